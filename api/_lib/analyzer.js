@@ -0,0 +1,325 @@
+// Static security analysis of generated Solidity source
+//
+// The detectors work on the source text rather than a full AST, so they are
+// heuristics: they favour flagging a suspicious line over missing a real hazard.
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2, info: 3 };
+
+// Function header words that are not modifiers
+const HEADER_KEYWORDS = new Set([
+  'public', 'external', 'internal', 'private', 'view', 'pure', 'payable',
+  'virtual', 'override', 'returns', 'memory', 'calldata', 'storage'
+]);
+
+// Statement prefixes that cannot start a state variable declaration
+const NON_DECLARATION = /^(function|modifier|event|error|struct|enum|using|constructor|receive|fallback|return|emit|require|revert|if|for|while|else|delete|unchecked|assembly)\b/;
+
+// Replace comments and string literal contents with spaces, keeping offsets and line breaks
+function stripCommentsAndStrings(source) {
+  let result = '';
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (char === '/' && next === '/') {
+      while (i < source.length && source[i] !== '\n') {
+        result += ' ';
+        i++;
+      }
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      result += source.slice(i, stop).replace(/[^\n]/g, ' ');
+      i = stop;
+    } else if (char === '"' || char === "'") {
+      result += char;
+      i++;
+      while (i < source.length && source[i] !== char && source[i] !== '\n') {
+        if (source[i] === '\\') {
+          result += ' ';
+          i++;
+        }
+        result += ' ';
+        i++;
+      }
+      if (i < source.length) {
+        result += source[i];
+        i++;
+      }
+    } else {
+      result += char;
+      i++;
+    }
+  }
+
+  return result;
+}
+
+// Index of the brace closing the one at openIndex
+function findClosingBrace(code, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < code.length; i++) {
+    if (code[i] === '{') depth++;
+    if (code[i] === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return code.length - 1;
+}
+
+// Collect the facts the detectors need: lines, functions and state variables
+function buildContext(source) {
+  const code = stripCommentsAndStrings(source);
+  const lines = code.split('\n');
+
+  const lineStarts = [0];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === '\n') lineStarts.push(i + 1);
+  }
+  const lineOf = offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) low = mid; else high = mid - 1;
+    }
+    return low + 1;
+  };
+
+  // Functions with their parameters, header and body range
+  const functions = [];
+  const functionPattern = /\bfunction\s+(\w+)\s*\(([^)]*)\)([^{;]*)\{/g;
+  let match;
+  while ((match = functionPattern.exec(code)) !== null) {
+    const bodyStart = match.index + match[0].length - 1;
+    const bodyEnd = findClosingBrace(code, bodyStart);
+    functions.push({
+      name: match[1],
+      params: match[2].split(',').map(param => param.trim().split(/\s+/).pop()).filter(Boolean),
+      header: match[3],
+      line: lineOf(match.index),
+      startLine: lineOf(bodyStart),
+      endLine: lineOf(bodyEnd),
+      body: code.slice(bodyStart, bodyEnd + 1)
+    });
+  }
+
+  // State variables are declarations directly inside a contract body (brace depth 1)
+  const stateVariables = new Map();
+  let depth = 0;
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (depth === 1 && trimmed && !NON_DECLARATION.test(trimmed)) {
+      const declaration = trimmed.match(/^(mapping\s*\(.*\)|[\w.]+(?:\s*\[\s*\w*\s*\])*)\s+(?:(?:public|private|internal|constant|immutable|override)\s+)*(\w+)\s*(?:=|;)/);
+      if (declaration && !/\b(constant|immutable)\b/.test(trimmed)) {
+        stateVariables.set(declaration[2], {
+          type: declaration[1],
+          line: index + 1,
+          isArray: /\[\s*\w*\s*\]$/.test(declaration[1])
+        });
+      }
+    }
+    depth += (line.match(/\{/g) || []).length - (line.match(/\}/g) || []).length;
+  });
+
+  return { source, code, lines, functions, stateVariables, lineOf };
+}
+
+const EXTERNAL_CALL = /\.(call|delegatecall|staticcall|send|transfer|safeTransfer|safeTransferFrom|transferFrom)\s*(\{[^}]*\})?\s*\(/;
+
+const RULES = [
+  {
+    id: 'floating-pragma',
+    severity: 'low',
+    check(ctx) {
+      const findings = [];
+      ctx.lines.forEach((line, index) => {
+        const pragma = line.match(/pragma\s+solidity\s+([^;]+);/);
+        if (pragma && /[\^~<>]|\s-\s/.test(pragma[1])) {
+          findings.push({ line: index + 1, message: `Floating pragma "${pragma[1].trim()}"; pin an exact compiler version for deployment.` });
+        }
+      });
+      return findings;
+    }
+  },
+  {
+    id: 'tx-origin-auth',
+    severity: 'high',
+    check(ctx) {
+      const findings = [];
+      ctx.lines.forEach((line, index) => {
+        if (/tx\.origin\s*[!=]=|[!=]=\s*tx\.origin/.test(line)) {
+          findings.push({ line: index + 1, message: 'tx.origin used for authorization; a malicious contract called by the owner can pass this check. Use msg.sender.' });
+        }
+      });
+      return findings;
+    }
+  },
+  {
+    id: 'unchecked-call',
+    severity: 'high',
+    check(ctx) {
+      const findings = [];
+      ctx.lines.forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!/\.(call|send)\s*(\{[^}]*\})?\s*\(/.test(trimmed)) return;
+        const checked = /^\(\s*bool|^bool\b|^require\s*\(|^if\s*\(|^return\b|^assert\s*\(|[^=!<>]=[^=]/.test(trimmed);
+        if (!checked) {
+          findings.push({ line: index + 1, message: 'Return value of low-level call is not checked; failures are silently ignored.' });
+        }
+      });
+      return findings;
+    }
+  },
+  {
+    id: 'delegatecall-user-input',
+    severity: 'high',
+    check(ctx) {
+      const findings = [];
+      for (const fn of ctx.functions) {
+        const bodyLines = fn.body.split('\n');
+        bodyLines.forEach((line, offset) => {
+          const call = line.match(/(?:address\s*\(\s*)?(\w+)\s*\)?\s*\.delegatecall/);
+          if (call && fn.params.includes(call[1])) {
+            findings.push({ line: fn.startLine + offset, message: `delegatecall to caller-supplied address "${call[1]}" in ${fn.name}(); the callee runs with this contract's storage and balance.` });
+          }
+        });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'selfdestruct',
+    severity: 'high',
+    check(ctx) {
+      const findings = [];
+      ctx.lines.forEach((line, index) => {
+        if (/\b(selfdestruct|suicide)\s*\(/.test(line)) {
+          findings.push({ line: index + 1, message: 'selfdestruct can permanently disable the contract and is deprecated (EIP-6049).' });
+        }
+      });
+      return findings;
+    }
+  },
+  {
+    id: 'state-write-after-call',
+    severity: 'high',
+    check(ctx) {
+      const findings = [];
+      const names = [...ctx.stateVariables.keys()];
+      if (names.length === 0) return findings;
+
+      const write = new RegExp(`(?:\\bdelete\\s+(${names.join('|')})\\b|\\b(${names.join('|')})\\b(?:\\s*\\[[^\\]]*\\])*(?:\\.\\w+)*\\s*(?:[-+*/]?=(?!=)|\\+\\+|--))`);
+
+      for (const fn of ctx.functions) {
+        const bodyLines = fn.body.split('\n');
+        let callLine = null;
+        for (let offset = 0; offset < bodyLines.length; offset++) {
+          const line = bodyLines[offset];
+          const written = callLine !== null && line.match(write);
+          if (written) {
+            findings.push({ line: fn.startLine + offset, message: `State variable "${written[1] || written[2]}" is written after the external call on line ${callLine} in ${fn.name}(); update state before calling out (checks-effects-interactions).` });
+            break;
+          }
+          if (callLine === null && EXTERNAL_CALL.test(line)) {
+            callLine = fn.startLine + offset;
+          }
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'unbounded-loop',
+    severity: 'medium',
+    check(ctx) {
+      const findings = [];
+      ctx.lines.forEach((line, index) => {
+        const loop = line.match(/for\s*\([^;]*;[^;]*<=?\s*(\w+)\.length/);
+        const variable = loop && ctx.stateVariables.get(loop[1]);
+        if (variable && variable.isArray) {
+          findings.push({ line: index + 1, message: `Loop over storage array "${loop[1]}" grows with its length and can exceed the block gas limit.` });
+        }
+      });
+      return findings;
+    }
+  },
+  {
+    id: 'missing-access-control',
+    severity: 'high',
+    check(ctx) {
+      const findings = [];
+      for (const fn of ctx.functions) {
+        const kind = /^mint/i.test(fn.name) ? 'mint' : /^withdraw/i.test(fn.name) ? 'withdraw' : null;
+        if (!kind || !/\b(public|external)\b/.test(fn.header)) continue;
+
+        const headerWords = fn.header.replace(/returns\s*\([^)]*\)/, '').match(/\b\w+\b/g) || [];
+        const hasModifier = headerWords.some(word => !HEADER_KEYWORDS.has(word));
+        const checksCaller = /msg\.sender\s*==|==\s*msg\.sender|_checkOwner\s*\(|_checkRole\s*\(|hasRole\s*\(/.test(fn.body);
+        // Withdrawals scoped to the caller's own balance are fine without a role check
+        const callerScoped = kind === 'withdraw' && /\[\s*msg\.sender\s*\]/.test(fn.body);
+
+        if (!hasModifier && !checksCaller && !callerScoped) {
+          findings.push({
+            line: fn.line,
+            severity: kind === 'mint' ? 'high' : 'medium',
+            message: `${fn.name}() is ${/\bexternal\b/.test(fn.header) ? 'external' : 'public'} with no access control; anyone can call it.`
+          });
+        }
+      }
+      return findings;
+    }
+  }
+];
+
+// Run every detector and return findings ordered by line, plus counts per severity
+function analyzeContract(source) {
+  const ctx = buildContext(source);
+  const findings = [];
+
+  for (const rule of RULES) {
+    for (const finding of rule.check(ctx)) {
+      findings.push({
+        ruleId: rule.id,
+        severity: finding.severity || rule.severity,
+        line: finding.line,
+        message: finding.message
+      });
+    }
+  }
+
+  findings.sort((a, b) => a.line - b.line || SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+  const summary = { high: 0, medium: 0, low: 0, info: 0 };
+  for (const finding of findings) {
+    summary[finding.severity]++;
+  }
+
+  return { findings, summary };
+}
+
+// Analyze several files at once; each finding records the file it belongs to
+function analyzeFiles(files) {
+  const findings = [];
+  const summary = { high: 0, medium: 0, low: 0, info: 0 };
+
+  for (const file of files) {
+    const result = analyzeContract(file.source);
+    for (const finding of result.findings) {
+      findings.push({ file: file.path, ...finding });
+    }
+    for (const severity of Object.keys(summary)) {
+      summary[severity] += result.summary[severity];
+    }
+  }
+
+  return { findings, summary };
+}
+
+module.exports = {
+  analyzeContract,
+  analyzeFiles
+};
@@ -0,0 +1,220 @@
+// Wallet session handling shared by the API functions
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { buildSiweMessage, parseSiweMessage } = require('./siwe');
+const { getStore } = require('./store');
+
+// Lifetime of a session token issued after a successful sign-in
+const SESSION_TTL = (parseInt(process.env.AUTH_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+
+// How long a challenge may sit unsigned before it expires
+const CHALLENGE_TTL = 10 * 60 * 1000;
+
+let devSecret = null;
+
+// Raised when a request does not carry a valid wallet session
+class UnauthorizedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'Unauthorized';
+    this.statusCode = 401;
+  }
+}
+
+// Raised when a sign-in request is malformed
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+    this.statusCode = 400;
+  }
+}
+
+// Secret used to sign nonces and session tokens
+function getAuthSecret() {
+  if (process.env.AUTH_SECRET) {
+    return process.env.AUTH_SECRET;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('AUTH_SECRET is not configured');
+  }
+
+  // Development only: a per-process secret works with the single-process dev server
+  if (!devSecret) {
+    console.warn('⚠️ AUTH_SECRET is not set, using a temporary development secret');
+    devSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return devSecret;
+}
+
+function sign(value) {
+  return crypto.createHmac('sha256', getAuthSecret()).update(value).digest();
+}
+
+// Nonce = random part + MAC over the challenge it was issued for, so the server
+// can recognise its own challenges without keeping state between functions
+function nonceMac(random, fields) {
+  const bound = [random, fields.domain, fields.address.toLowerCase(), fields.chainId, fields.issuedAt, fields.expirationTime].join('|');
+  return sign(bound).toString('hex').slice(0, 24);
+}
+
+// Domain and URI the server issues challenges for
+function getSiweOrigin(req) {
+  const domain = process.env.SIWE_DOMAIN || req.headers['host'];
+  const uri = process.env.SIWE_URI || req.headers['origin'] || `https://${domain}`;
+  return { domain, uri };
+}
+
+// Nonces already exchanged for a session, shared by every instance (NONCE_STORE, else STORE_URL)
+function getNonceStore() {
+  return getStore('nonces', 'NONCE_STORE');
+}
+
+// Build a fresh sign-in challenge for the given wallet
+function createChallenge(req, address, chainId) {
+  const { domain, uri } = getSiweOrigin(req);
+  const now = Date.now();
+
+  const fields = {
+    domain,
+    address: ethers.getAddress(address),
+    statement: 'Please confirm authentication to Intelligent Contract Platform',
+    uri,
+    version: '1',
+    chainId,
+    issuedAt: new Date(now).toISOString(),
+    expirationTime: new Date(now + CHALLENGE_TTL).toISOString(),
+    notBefore: new Date(now).toISOString()
+  };
+
+  const random = crypto.randomBytes(8).toString('hex');
+  fields.nonce = random + nonceMac(random, fields);
+
+  return {
+    message: buildSiweMessage(fields),
+    nonce: fields.nonce,
+    expirationTime: fields.expirationTime
+  };
+}
+
+// Verify a signed challenge and consume its nonce
+async function verifyChallenge(req, message, signature) {
+  let fields;
+  try {
+    fields = parseSiweMessage(message);
+  } catch (error) {
+    throw new UnauthorizedError(error.message);
+  }
+
+  if (!ethers.isAddress(fields.address)) {
+    throw new ValidationError('Message address is not a valid address (bad checksum?)');
+  }
+
+  const { domain } = getSiweOrigin(req);
+  if (fields.domain !== domain) {
+    throw new UnauthorizedError(`Message was issued for a different domain: ${fields.domain}`);
+  }
+
+  const random = fields.nonce.slice(0, 16);
+  const givenNonce = Buffer.from(fields.nonce);
+  const expectedNonce = Buffer.from(random + nonceMac(random, fields));
+  if (givenNonce.length !== expectedNonce.length || !crypto.timingSafeEqual(givenNonce, expectedNonce)) {
+    throw new UnauthorizedError('Message was not issued by this server');
+  }
+
+  const now = Date.now();
+  if (!fields.expirationTime || now >= Date.parse(fields.expirationTime)) {
+    throw new UnauthorizedError('Sign-in challenge has expired');
+  }
+
+  if (fields.notBefore && now < Date.parse(fields.notBefore)) {
+    throw new UnauthorizedError('Sign-in challenge is not valid yet');
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(message, signature);
+  } catch (error) {
+    throw new UnauthorizedError('Invalid signature');
+  }
+
+  if (ethers.getAddress(signer) !== ethers.getAddress(fields.address)) {
+    throw new UnauthorizedError('Signature does not match the signing address');
+  }
+
+  // Kept until the challenge expires; after that the expiry check rejects it anyway
+  const ttl = Date.parse(fields.expirationTime) - now;
+  if (!(await getNonceStore().setIfAbsent(`nonce:${fields.nonce}`, fields.address.toLowerCase(), ttl))) {
+    throw new UnauthorizedError('Sign-in challenge has already been used');
+  }
+
+  return {
+    address: ethers.getAddress(fields.address),
+    chainId: fields.chainId,
+    domain: fields.domain,
+    uri: fields.uri,
+    issuedAt: fields.issuedAt
+  };
+}
+
+// Issue a signed session token for a verified wallet
+function issueSessionToken(wallet) {
+  const expiresAt = Date.now() + SESSION_TTL;
+  const payload = Buffer.from(JSON.stringify({
+    address: wallet.address,
+    chainId: wallet.chainId,
+    exp: expiresAt
+  })).toString('base64url');
+
+  return {
+    token: `${payload}.${sign(payload).toString('base64url')}`,
+    expiresAt: new Date(expiresAt).toISOString()
+  };
+}
+
+// Check the session token on the request and return the wallet it belongs to
+function requireWalletAuth(req) {
+  const header = req.headers['authorization'] || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    throw new UnauthorizedError('Wallet authentication required');
+  }
+
+  const [payload, mac] = token.split('.');
+  if (!payload || !mac) {
+    throw new UnauthorizedError('Malformed session token');
+  }
+
+  const expectedMac = sign(payload);
+  const givenMac = Buffer.from(mac, 'base64url');
+  if (givenMac.length !== expectedMac.length || !crypto.timingSafeEqual(givenMac, expectedMac)) {
+    throw new UnauthorizedError('Invalid session token');
+  }
+
+  let session;
+  try {
+    session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new UnauthorizedError('Malformed session token');
+  }
+
+  if (!session.exp || Date.now() >= session.exp) {
+    throw new UnauthorizedError('Wallet session has expired');
+  }
+
+  return {
+    address: session.address,
+    chainId: session.chainId
+  };
+}
+
+module.exports = {
+  UnauthorizedError,
+  ValidationError,
+  createChallenge,
+  verifyChallenge,
+  issueSessionToken,
+  requireWalletAuth
+};
@@ -0,0 +1,110 @@
+// In-process Solidity compilation with solc-js
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+
+// OpenZeppelin imports are served from the pinned @openzeppelin/contracts package
+const OPENZEPPELIN_PREFIX = '@openzeppelin/contracts/';
+const OPENZEPPELIN_ROOT = path.dirname(require.resolve('@openzeppelin/contracts/package.json'));
+
+// Resolve `import` statements for the compiler
+function findImport(importPath) {
+  if (!importPath.startsWith(OPENZEPPELIN_PREFIX)) {
+    return { error: `Import not available: ${importPath}. Only ${OPENZEPPELIN_PREFIX}* can be imported.` };
+  }
+
+  const filePath = path.join(OPENZEPPELIN_ROOT, importPath.slice(OPENZEPPELIN_PREFIX.length));
+
+  // Keep lookups inside the package directory
+  if (!filePath.startsWith(OPENZEPPELIN_ROOT + path.sep)) {
+    return { error: `Import not available: ${importPath}` };
+  }
+
+  try {
+    return { contents: fs.readFileSync(filePath, 'utf8') };
+  } catch (error) {
+    return { error: `File not found: ${importPath}` };
+  }
+}
+
+// 1-based line number of a character offset
+function lineAt(source, offset) {
+  return source.slice(0, offset).split('\n').length;
+}
+
+// Compile one or more source files ({ path, source } or a plain source string);
+// returns diagnostics plus ABI/bytecode per contract. With options.ast the result also has
+// the AST of every source unit, imports included, keyed by path
+function compileContract(files, options = {}) {
+  if (typeof files === 'string') {
+    files = [{ path: 'Contract.sol', source: files }];
+  }
+
+  const sources = {};
+  for (const file of files) {
+    sources[file.path] = { content: file.source };
+  }
+
+  const input = {
+    language: 'Solidity',
+    sources,
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: {
+        '*': options.ast
+          ? { '*': ['abi', 'evm.bytecode.object'], '': ['ast'] }
+          : { '*': ['abi', 'evm.bytecode.object'] }
+      }
+    }
+  };
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImport }));
+
+  const diagnostics = (output.errors || []).map(error => {
+    const location = error.sourceLocation;
+    const file = location && sources[location.file] ? location.file : null;
+    return {
+      severity: error.severity,
+      type: error.type,
+      message: error.message,
+      formattedMessage: error.formattedMessage,
+      file,
+      line: file ? lineAt(sources[file].content, location.start) : null
+    };
+  });
+
+  const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+  const warnings = diagnostics.filter(diagnostic => diagnostic.severity !== 'error');
+
+  const contracts = {};
+  for (const file of files) {
+    for (const [name, contract] of Object.entries((output.contracts || {})[file.path] || {})) {
+      contracts[name] = {
+        file: file.path,
+        abi: contract.abi,
+        bytecode: contract.evm.bytecode.object
+      };
+    }
+  }
+
+  const result = {
+    success: errors.length === 0,
+    compilerVersion: solc.version(),
+    errors,
+    warnings,
+    contracts
+  };
+
+  if (options.ast) {
+    result.ast = {};
+    for (const [sourcePath, unit] of Object.entries(output.sources || {})) {
+      result.ast[sourcePath] = unit.ast;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  compileContract
+};
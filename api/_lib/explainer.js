@@ -0,0 +1,407 @@
+// Facts for plain-language contract explanations, read from the compiler's AST
+//
+// For the contract to explain this lists every function that can be called from outside,
+// inherited ones included, with who may call it, what it changes, the events it emits and
+// whether it moves Ether or calls other contracts. Internal calls and modifiers are followed,
+// so onlyOwner or ERC20._update count for the functions that reach them. Access checks are
+// recognized by shape (onlyRole, _checkOwner, msg.sender comparisons, allow-list lookups),
+// which covers OpenZeppelin and the usual hand-written patterns.
+const { compileContract } = require('./compiler');
+
+// Modifiers that restrict when rather than by whom a function can be called, in plain words;
+// null hides an implementation detail
+const CONDITION_MODIFIERS = {
+  whenNotPaused: 'only while the contract is not paused',
+  whenPaused: 'only while the contract is paused',
+  nonReentrant: null,
+  initializer: 'only once, when the contract is initialized',
+  onlyInitializing: null
+};
+
+// Consequences of privileged functions, recognized by function name
+const PRIVILEGES = [
+  { pattern: /mint/i, text: 'create new tokens' },
+  { pattern: /burn/i, text: 'destroy tokens' },
+  { pattern: /pause/i, text: 'pause the contract' },
+  { pattern: /withdraw|release|claim|sweep|rescue/i, text: 'move funds held by the contract' },
+  { pattern: /upgrade/i, text: "replace the contract's code" },
+  { pattern: /blacklist|blocklist|freeze/i, text: 'block accounts' },
+  { pattern: /fee|tax|price|rate/i, text: 'change fees or prices' },
+  { pattern: /transferOwnership|renounce|grantRole|revokeRole|setAdmin/i, text: 'hand over or give up control' }
+];
+
+// Plain rendering of a simple expression, e.g. "owner()" or "hasRole(MINTER_ROLE, account)"
+function render(node) {
+  if (!node) return '';
+  switch (node.nodeType) {
+    case 'Identifier':
+      return node.name;
+    case 'MemberAccess':
+      return `${render(node.expression)}.${node.memberName}`;
+    case 'FunctionCall':
+      return `${render(node.expression)}(${node.arguments.map(render).join(', ')})`;
+    case 'IndexAccess':
+      return `${render(node.baseExpression)}[${render(node.indexExpression)}]`;
+    case 'Literal':
+      return node.value ?? node.hexValue;
+    case 'ElementaryTypeNameExpression':
+      return node.typeName.name;
+    default:
+      return '…';
+  }
+}
+
+// msg.sender or _msgSender()
+function isSender(node) {
+  if (!node) return false;
+  if (node.nodeType === 'MemberAccess') {
+    return node.memberName === 'sender' && node.expression.nodeType === 'Identifier' && node.expression.name === 'msg';
+  }
+  return node.nodeType === 'FunctionCall' && node.expression.nodeType === 'Identifier' && node.expression.name === '_msgSender';
+}
+
+function ownerRole() {
+  return { id: 'owner', label: 'the owner' };
+}
+
+function namedRole(expression) {
+  if (expression.nodeType !== 'Identifier' && expression.nodeType !== 'MemberAccess') {
+    return { id: 'role admin', label: 'the admin of the role concerned' };
+  }
+  const id = render(expression);
+  return { id, label: id === 'DEFAULT_ADMIN_ROLE' ? 'role admins (DEFAULT_ADMIN_ROLE)' : `accounts with ${id}` };
+}
+
+// Role of the account msg.sender is compared with, e.g. "owner()" or "admin"
+function comparedRole(expression) {
+  const id = render(expression).replace(/\(\)$/, '');
+  return id === 'owner' ? ownerRole() : { id, label: `the ${id}` };
+}
+
+// Every node of the ASTs, by id
+function indexAst(ast) {
+  const nodesById = new Map();
+
+  const visit = node => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (node && typeof node === 'object') {
+      if (typeof node.id === 'number' && node.nodeType) {
+        nodesById.set(node.id, node);
+      }
+      Object.values(node).forEach(visit);
+    }
+  };
+
+  Object.values(ast).forEach(visit);
+  return nodesById;
+}
+
+// Contract to explain: the named one, else the last deployable contract of the given files
+function findContract(ast, files, contractName) {
+  const candidates = files.flatMap(file => (ast[file.path]?.nodes || [])
+    .filter(node => node.nodeType === 'ContractDefinition' && node.contractKind !== 'interface'));
+
+  if (contractName) {
+    return candidates.find(node => node.name === contractName) || null;
+  }
+
+  const deployable = candidates.filter(node => node.contractKind === 'contract' && !node.abstract);
+  return deployable[deployable.length - 1] || candidates[candidates.length - 1] || null;
+}
+
+// Name of the state variable an assignment target belongs to, or null
+function writtenVariable(node, nodesById) {
+  switch (node?.nodeType) {
+    case 'Identifier': {
+      const declaration = nodesById.get(node.referencedDeclaration);
+      return declaration?.nodeType === 'VariableDeclaration' && declaration.stateVariable ? declaration.name : null;
+    }
+    case 'IndexAccess':
+      return writtenVariable(node.baseExpression, nodesById);
+    case 'MemberAccess':
+      return writtenVariable(node.expression, nodesById);
+    default:
+      return null;
+  }
+}
+
+// Implementation of an internally called function in the explained contract's linearization,
+// so calls to virtual functions reach their overrides
+function resolveOverride(declaration, context) {
+  for (const baseId of context.linearization) {
+    const base = context.nodesById.get(baseId);
+    const override = (base?.nodes || []).find(node => node.nodeType === 'FunctionDefinition' && node.implemented &&
+      node.name === declaration.name && node.parameters.parameters.length === declaration.parameters.parameters.length);
+    if (override) return override;
+  }
+  return declaration;
+}
+
+// Walk a function body, its modifiers and everything it calls internally, collecting facts
+function collect(node, context, facts, visited) {
+  if (Array.isArray(node)) {
+    node.forEach(child => collect(child, context, facts, visited));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+
+  const { nodesById } = context;
+
+  switch (node.nodeType) {
+    case 'EmitStatement': {
+      const event = nodesById.get(node.eventCall.expression.referencedDeclaration);
+      if (event) facts.events.add(event.name);
+      break;
+    }
+
+    case 'Assignment': {
+      const variable = writtenVariable(node.leftHandSide, nodesById);
+      if (variable) facts.writes.add(variable);
+      break;
+    }
+
+    case 'UnaryOperation': {
+      if (['++', '--', 'delete'].includes(node.operator)) {
+        const variable = writtenVariable(node.subExpression, nodesById);
+        if (variable) facts.writes.add(variable);
+      }
+      break;
+    }
+
+    case 'BinaryOperation': {
+      if (node.operator === '==' || node.operator === '!=') {
+        if (isSender(node.leftExpression) && !isSender(node.rightExpression)) facts.roles.push(comparedRole(node.rightExpression));
+        if (isSender(node.rightExpression) && !isSender(node.leftExpression)) facts.roles.push(comparedRole(node.leftExpression));
+      }
+      break;
+    }
+
+    case 'IndexAccess': {
+      // Allow lists such as isOwner[msg.sender]; nested lookups are per-item state, not roles
+      if (isSender(node.indexExpression) && node.typeDescriptions?.typeString === 'bool' &&
+          writtenVariable(node.baseExpression, nodesById) && node.baseExpression.nodeType === 'Identifier') {
+        facts.roles.push({ id: render(node.baseExpression), label: `accounts listed in ${render(node.baseExpression)}` });
+      }
+      break;
+    }
+
+    case 'ModifierInvocation': {
+      const modifier = nodesById.get(node.modifierName.referencedDeclaration);
+      if (!modifier) break;
+
+      if (modifier.name === 'onlyRole' && node.arguments?.length) {
+        facts.roles.push(namedRole(node.arguments[0]));
+      } else if (modifier.name in CONDITION_MODIFIERS) {
+        if (CONDITION_MODIFIERS[modifier.name]) facts.conditions.add(CONDITION_MODIFIERS[modifier.name]);
+      } else if (!visited.has(modifier.id)) {
+        visited.add(modifier.id);
+        const rolesBefore = facts.roles.length;
+        collect(modifier.body, context, facts, visited);
+        if (facts.roles.length === rolesBefore) facts.conditions.add(`subject to the ${modifier.name} check`);
+      }
+      return;
+    }
+
+    case 'FunctionCall': {
+      const callee = node.expression.nodeType === 'FunctionCallOptions' ? node.expression.expression : node.expression;
+
+      if (node.expression.nodeType === 'FunctionCallOptions' && node.expression.names.includes('value')) {
+        facts.sendsEther = true;
+      }
+      if (callee.nodeType === 'MemberAccess' && ['transfer', 'send'].includes(callee.memberName) &&
+          /^address/.test(callee.expression.typeDescriptions?.typeString || '')) {
+        facts.sendsEther = true;
+      }
+
+      const declaration = nodesById.get(callee.referencedDeclaration);
+      if (declaration?.nodeType !== 'FunctionDefinition') break;
+
+      if (declaration.name === '_checkOwner') {
+        facts.roles.push(ownerRole());
+      } else if ((declaration.name === '_checkRole' && node.arguments.length === 1) ||
+                 (declaration.name === 'hasRole' && isSender(node.arguments[1]))) {
+        facts.roles.push(namedRole(node.arguments[0]));
+      }
+
+      // A member call on a contract-typed value is an external call to another contract
+      const target = callee.nodeType === 'MemberAccess' ? callee.expression.typeDescriptions?.typeString || '' : '';
+      if (/^contract /.test(target) && !/^contract super /.test(target) && render(callee.expression) !== 'this') {
+        facts.externalCalls.add(`${target.replace(/^contract /, '')}.${declaration.name}`);
+        break;
+      }
+
+      const implementation = callee.nodeType === 'Identifier' ? resolveOverride(declaration, context) : declaration;
+      if (implementation.implemented && !visited.has(implementation.id)) {
+        visited.add(implementation.id);
+        collect(implementation.modifiers, context, facts, visited);
+        collect(implementation.body, context, facts, visited);
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key !== 'typeDescriptions' && value && typeof value === 'object') {
+      collect(value, context, facts, visited);
+    }
+  }
+}
+
+// Parameter type as written in a signature
+function typeName(parameter) {
+  return (parameter.typeDescriptions?.typeString || '')
+    .replace(/ (memory|calldata|storage)( pointer| ref)?/g, '')
+    .replace(/^(contract|struct|enum) /, '');
+}
+
+function plainList(items) {
+  return items.length <= 1 ? items.join('') : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+// One sentence on what a function does, from its facts
+function describeEffects(fn) {
+  if (fn.readOnly) return 'Reads information; changes nothing.';
+
+  const parts = [];
+  if (fn.stateChanges.length > 0) parts.push(`updates ${plainList(fn.stateChanges.map(name => name.replace(/^_+/, '')))}`);
+  if (fn.sendsEther) parts.push('sends Ether');
+  if (fn.externalCalls.length > 0) parts.push(`calls ${plainList(fn.externalCalls)}`);
+  if (fn.events.length > 0) parts.push(`emits ${plainList(fn.events)}`);
+  if (fn.payable) parts.push('accepts Ether');
+
+  const text = parts.length > 0 ? parts.join(', ') : 'changes no stored data';
+  return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+}
+
+// Trust assumptions implied by the facts, one sentence each
+function describeTrust(functions, roles) {
+  const assumptions = roles.map(role => {
+    const consequences = [...new Set(role.functions.flatMap(name => PRIVILEGES.filter(privilege => privilege.pattern.test(name)).map(privilege => privilege.text)))];
+    const label = `${role.label.charAt(0).toUpperCase()}${role.label.slice(1)}`;
+    return consequences.length > 0
+      ? `${label} can ${plainList(consequences)} (${role.functions.join(', ')}).`
+      : `${label} can call ${plainList(role.functions)}.`;
+  });
+
+  if (roles.length === 0) {
+    assumptions.push('No account has special privileges: after deployment nobody can change the rules or stop the contract.');
+  }
+
+  const externalCalls = [...new Set(functions.flatMap(fn => fn.externalCalls))];
+  if (externalCalls.length > 0) {
+    assumptions.push(`The contract relies on the other contracts it calls (${externalCalls.join(', ')}) behaving as expected.`);
+  }
+
+  return assumptions;
+}
+
+// Facts about one contract of the files, or { compilation } alone when they do not compile.
+// Returns { compilation, contractName, bases, functions, roles, events, summary, trustAssumptions }
+function explainContract(files, contractName = null) {
+  const compiled = compileContract(files, { ast: true });
+  const compilation = { success: compiled.success, errors: compiled.errors };
+  if (!compiled.success) {
+    return { compilation };
+  }
+
+  const contract = findContract(compiled.ast, files, contractName);
+  if (!contract) {
+    return { compilation };
+  }
+
+  const nodesById = indexAst(compiled.ast);
+  const context = { nodesById, linearization: contract.linearizedBaseContracts };
+
+  // Callable functions, the most derived implementation of each
+  const reachable = new Map();
+  for (const baseId of context.linearization) {
+    const base = nodesById.get(baseId);
+    for (const node of base?.nodes || []) {
+      if (node.nodeType !== 'FunctionDefinition' || !node.implemented) continue;
+      const callable = node.kind === 'function' ? ['public', 'external'].includes(node.visibility) : ['receive', 'fallback'].includes(node.kind);
+      const key = node.kind === 'function' ? node.functionSelector : node.kind;
+      if (callable && !reachable.has(key)) {
+        reachable.set(key, { node, base });
+      }
+    }
+  }
+
+  const functions = [...reachable.values()].map(({ node, base }) => {
+    const facts = { roles: [], conditions: new Set(), events: new Set(), writes: new Set(), sendsEther: false, externalCalls: new Set() };
+    const visited = new Set([node.id]);
+    collect(node.modifiers, context, facts, visited);
+    collect(node.body, context, facts, visited);
+
+    const roles = [...new Map(facts.roles.map(role => [role.id, role])).values()];
+    const name = node.kind === 'function' ? node.name : node.kind;
+
+    const fn = {
+      name,
+      signature: `${name}(${node.parameters.parameters.map(typeName).join(',')})`,
+      parameters: node.parameters.parameters.map(parameter => ({ name: parameter.name, type: typeName(parameter) })),
+      declaredIn: base.name,
+      readOnly: ['view', 'pure'].includes(node.stateMutability),
+      payable: node.stateMutability === 'payable',
+      callers: roles.length > 0 ? `Only ${plainList(roles.map(role => role.label))}` : 'Anyone',
+      roles: roles.map(role => role.id),
+      conditions: [...facts.conditions],
+      events: [...facts.events],
+      stateChanges: [...facts.writes],
+      sendsEther: facts.sendsEther,
+      externalCalls: [...facts.externalCalls]
+    };
+    fn.effects = describeEffects(fn);
+    return { fn, roles };
+  });
+
+  // Roles with the state-changing functions they unlock
+  const roles = new Map();
+  for (const { fn, roles: fnRoles } of functions) {
+    if (fn.readOnly) continue;
+    for (const role of fnRoles) {
+      if (!roles.has(role.id)) roles.set(role.id, { ...role, functions: [] });
+      roles.get(role.id).functions.push(fn.name);
+    }
+  }
+
+  // Events the functions emit or the explained contract declares
+  const events = new Map();
+  for (const baseId of context.linearization) {
+    for (const node of nodesById.get(baseId)?.nodes || []) {
+      if (node.nodeType !== 'EventDefinition' || events.has(node.name)) continue;
+      const emittedBy = functions.filter(({ fn }) => fn.events.includes(node.name)).map(({ fn }) => fn.name);
+      if (emittedBy.length > 0 || baseId === contract.id) {
+        events.set(node.name, {
+          name: node.name,
+          signature: `${node.name}(${node.parameters.parameters.map(typeName).join(',')})`,
+          emittedBy
+        });
+      }
+    }
+  }
+
+  const functionList = functions.map(({ fn }) => fn);
+  const roleList = [...roles.values()];
+  const bases = (contract.baseContracts || []).map(base => base.baseName.name);
+  const changing = functionList.filter(fn => !fn.readOnly).length;
+
+  return {
+    compilation,
+    contractName: contract.name,
+    bases,
+    functions: functionList,
+    roles: roleList,
+    events: [...events.values()],
+    summary: `${contract.name}${bases.length > 0 ? ` builds on ${plainList(bases)}` : ''}. It has ${changing} function(s) that change its state and ${functionList.length - changing} read-only function(s). ` +
+      (roleList.length > 0 ? `Privileged: ${plainList(roleList.map(role => role.label))}.` : 'No account has special privileges.'),
+    trustAssumptions: describeTrust(functionList, roleList)
+  };
+}
+
+module.exports = {
+  explainContract
+};
@@ -0,0 +1,81 @@
+// Content-addressed cache of finished generations, so repeated prompts skip the LLM
+const crypto = require('crypto');
+const { getStore } = require('./store');
+
+// Template version: bump when the cleaner, the repair loop or the response shape change.
+// System and user prompt edits are picked up through their digests.
+const CACHE_VERSION = 1;
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+// Same object with keys sorted at every level, so key order does not change the hash
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalize(value[key])]));
+  }
+  return value;
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Whitespace-insensitive form of free text
+function normalizeText(text) {
+  return text.trim().replace(/\s+/g, ' ');
+}
+
+// Key of a generation request: the normalized request, the system and user prompts it is
+// sent with and the providers that may answer it. The user prompt is whitespace-normalized
+// like the requirements it contains. The `cache` option only steers lookup, so it is left out.
+function getCacheKey({ mode, contractType, requirements, previousContract, options, systemPrompt, userPrompt, providers }) {
+  const { cache, ...generationOptions } = options;
+  const material = {
+    version: CACHE_VERSION,
+    mode,
+    contractType,
+    requirements: normalizeText(requirements),
+    previousContract: previousContract ? sha256(previousContract) : null,
+    options: canonicalize(generationOptions),
+    prompt: sha256(systemPrompt),
+    userPrompt: sha256(normalizeText(userPrompt)),
+    providers
+  };
+  return sha256(JSON.stringify(material));
+}
+
+function getCacheStore() {
+  return getStore('generation-cache', 'GENERATION_CACHE_STORE');
+}
+
+// Cached response data for a key, or null. An unreachable store is treated as a miss so
+// the cache can never take generation down with it.
+async function getCachedGeneration(key) {
+  if (process.env.GENERATION_CACHE === 'off') return null;
+  try {
+    return await getCacheStore().get(key);
+  } catch (error) {
+    console.warn('⚠️ Generation cache read failed:', error.message);
+    return null;
+  }
+}
+
+// Store response data under a key for GENERATION_CACHE_TTL_SECONDS (default one day)
+async function setCachedGeneration(key, data) {
+  if (process.env.GENERATION_CACHE === 'off') return;
+  const ttlSeconds = parseInt(process.env.GENERATION_CACHE_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+  try {
+    await getCacheStore().set(key, { ...data, cachedAt: new Date().toISOString() }, ttlSeconds * 1000);
+  } catch (error) {
+    console.warn('⚠️ Generation cache write failed:', error.message);
+  }
+}
+
+module.exports = {
+  getCacheKey,
+  getCachedGeneration,
+  setCachedGeneration
+};
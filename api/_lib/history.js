@@ -0,0 +1,283 @@
+// Per-wallet generation history kept in the pluggable store (HISTORY_STORE, else STORE_URL)
+//
+// Each wallet has an index of entry summaries, newest first, plus one record per entry:
+//   index:<address>        [{ id, title, requirements, contractType, provider, model, tags, createdAt, updatedAt }]
+//   item:<address>:<id>    the full entry, including the contract source and its versions
+//
+// An entry is a thread: regenerating or refining it appends a version
+// { version, contract, files, instruction, mode, provider, model, prompts, createdAt }, and
+// the entry's contract and files are those of its latest version. On-chain deployments are
+// kept with the entry as { version, contractName, address, chainId, txHash, deployedAt, ... }.
+// Index updates are read-modify-write, so two simultaneous writes for one wallet can lose
+// an index line; the entry record itself is never lost.
+const crypto = require('crypto');
+const { getStore } = require('./store');
+
+const MAX_ITEMS = parseInt(process.env.HISTORY_MAX_ITEMS) || 500;
+const MAX_VERSIONS = parseInt(process.env.HISTORY_MAX_VERSIONS) || 50;
+const MAX_TITLE_LENGTH = 200;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 32;
+const MAX_DEPLOYMENTS = 100;
+
+// Sort orders accepted by listHistory
+const SORT_ORDERS = ['newest', 'oldest', 'title'];
+
+// How a version came about
+const VERSION_MODES = ['generate', 'refine', 'template', 'review', 'restore'];
+
+function getHistoryStore() {
+  return getStore('history', 'HISTORY_STORE');
+}
+
+function indexKey(address) {
+  return `index:${address.toLowerCase()}`;
+}
+
+function itemKey(address, id) {
+  return `item:${address.toLowerCase()}:${id}`;
+}
+
+function summarize(entry) {
+  const { id, title, requirements, contractType, provider, model, tags, createdAt, updatedAt } = entry;
+  return { id, title, requirements, contractType, provider, model, tags, versionCount: entry.versions.length, createdAt, updatedAt };
+}
+
+// Append a version to an entry, keeping the newest MAX_VERSIONS, and make it current.
+// prompts lists the prompt template versions that produced it (api/_lib/prompts.js)
+function pushVersion(entry, { contract, files = null, instruction, mode, provider = null, model = null, prompts = null, createdAt }) {
+  const last = entry.versions[entry.versions.length - 1];
+  const version = {
+    version: last ? last.version + 1 : 1,
+    contract,
+    files,
+    instruction,
+    mode,
+    provider,
+    model,
+    prompts,
+    createdAt: createdAt || new Date().toISOString()
+  };
+
+  entry.versions = [...entry.versions, version].slice(-MAX_VERSIONS);
+  entry.contract = contract;
+  entry.files = files;
+  entry.updatedAt = new Date().toISOString();
+  return version;
+}
+
+// Trimmed, lower-case, unique tags; null if the value is not a valid tag list
+function normalizeTags(tags) {
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS) return null;
+  if (!tags.every(tag => typeof tag === 'string' && tag.trim() && tag.trim().length <= MAX_TAG_LENGTH)) return null;
+  return [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+}
+
+// Entries matching a search text (title, requirements, type, tags), type and tag, in a sort order
+function filterEntries(entries, { query = '', type = '', tag = '', sort = 'newest' } = {}) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+  const matching = entries.filter(entry => {
+    if (type && entry.contractType !== type) return false;
+    if (tag && !(entry.tags || []).includes(tag.toLowerCase())) return false;
+
+    const text = [entry.title, entry.requirements, entry.contractType, ...(entry.tags || [])].join(' ').toLowerCase();
+    return terms.every(term => text.includes(term));
+  });
+
+  const byCreated = (a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt);
+  if (sort === 'oldest') return matching.sort(byCreated);
+  if (sort === 'title') return matching.sort((a, b) => a.title.localeCompare(b.title));
+  return matching.sort((a, b) => byCreated(b, a));
+}
+
+// Title shown in the history list when none is given: the start of the requirements
+function defaultTitle(requirements) {
+  const singleLine = requirements.trim().replace(/\s+/g, ' ');
+  return singleLine.length > 80 ? `${singleLine.slice(0, 77)}...` : singleLine;
+}
+
+// Entries saved before threads had versions get their contract as version 1
+async function readItem(address, id) {
+  const entry = await getHistoryStore().get(itemKey(address, id));
+  if (entry && !entry.versions) {
+    const { contract, files, requirements, provider, model, createdAt } = entry;
+    entry.versions = [{ version: 1, contract, files, instruction: requirements, mode: 'generate', provider, model, createdAt }];
+  }
+  if (entry && !entry.deployments) {
+    entry.deployments = [];
+  }
+  return entry;
+}
+
+async function readIndex(address) {
+  return (await getHistoryStore().get(indexKey(address))) || [];
+}
+
+// One page of a wallet's history, filtered and sorted (newest first by default)
+async function listHistory(address, { page = 1, limit = 10, ...filters } = {}) {
+  const entries = filterEntries(await readIndex(address), filters);
+  const start = (page - 1) * limit;
+
+  return {
+    items: entries.slice(start, start + limit),
+    page,
+    limit,
+    total: entries.length,
+    totalPages: Math.ceil(entries.length / limit)
+  };
+}
+
+// Every full entry of a wallet, newest first, for export
+async function exportHistory(address) {
+  const entries = await Promise.all((await readIndex(address)).map(item => readItem(address, item.id)));
+  return filterEntries(entries.filter(Boolean));
+}
+
+async function getHistoryItem(address, id) {
+  return readItem(address, id);
+}
+
+// Save a generation as a new thread for a wallet; the oldest entries beyond HISTORY_MAX_ITEMS
+// are dropped. versions and deployments restore those of an uploaded or imported entry.
+async function addHistoryItem(address, { title, requirements, contract, files = null, contractType = null, provider = null, model = null, tags = [], metadata = {}, versions = null, deployments = [], createdAt }) {
+  const store = getHistoryStore();
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    title: (title || defaultTitle(requirements)).slice(0, MAX_TITLE_LENGTH),
+    requirements,
+    contract,
+    files,
+    contractType,
+    provider,
+    model,
+    tags,
+    metadata,
+    versions: [],
+    deployments: [],
+    createdAt: createdAt || now,
+    updatedAt: now
+  };
+
+  if (versions && versions.length > 0) {
+    versions.forEach(version => pushVersion(entry, version));
+  } else {
+    pushVersion(entry, { contract, files, instruction: requirements, mode: 'generate', provider, model, prompts: metadata.prompts || null, createdAt: entry.createdAt });
+  }
+  const latest = entry.versions[entry.versions.length - 1];
+  entry.deployments = deployments
+    .map(deployment => ({ ...deployment, version: deployment.version || latest.version }))
+    .slice(-MAX_DEPLOYMENTS);
+  entry.updatedAt = now;
+
+  await store.set(itemKey(address, entry.id), entry);
+
+  const index = [summarize(entry), ...(await readIndex(address))];
+  const dropped = index.splice(MAX_ITEMS);
+  await store.set(indexKey(address), index);
+  await Promise.all(dropped.map(item => store.delete(itemKey(address, item.id))));
+
+  return entry;
+}
+
+// Append a regenerated or refined version to a thread; returns the entry or null if there is none
+async function addHistoryVersion(address, id, version) {
+  const store = getHistoryStore();
+  const entry = await readItem(address, id);
+  if (!entry) return null;
+
+  pushVersion(entry, version);
+  if (version.provider) {
+    entry.provider = version.provider;
+    entry.model = version.model;
+  }
+  await store.set(itemKey(address, id), entry);
+
+  const index = await readIndex(address);
+  await store.set(indexKey(address), index.map(item => item.id === id ? summarize(entry) : item));
+
+  return entry;
+}
+
+// Make an earlier version current again by appending a copy of it, so nothing is lost;
+// returns the entry, or null if the entry or version does not exist
+async function restoreHistoryVersion(address, id, versionNumber) {
+  const entry = await getHistoryItem(address, id);
+  const source = entry?.versions.find(version => version.version === versionNumber);
+  if (!source) return null;
+
+  return addHistoryVersion(address, id, {
+    contract: source.contract,
+    files: source.files,
+    instruction: `Restored version ${versionNumber}`,
+    mode: 'restore'
+  });
+}
+
+// Record an on-chain deployment of an entry's version (its latest one unless the deployment
+// names it); returns the entry or null if there is none
+async function addHistoryDeployment(address, id, deployment) {
+  const store = getHistoryStore();
+  const entry = await readItem(address, id);
+  if (!entry) return null;
+
+  const latest = entry.versions[entry.versions.length - 1];
+  entry.deployments = [...entry.deployments, { ...deployment, version: deployment.version || latest.version }].slice(-MAX_DEPLOYMENTS);
+  entry.updatedAt = new Date().toISOString();
+  await store.set(itemKey(address, id), entry);
+
+  const index = await readIndex(address);
+  await store.set(indexKey(address), index.map(item => item.id === id ? summarize(entry) : item));
+
+  return entry;
+}
+
+// Change an entry's title and/or tags; returns the updated entry or null if there is none
+async function updateHistoryItem(address, id, { title, tags }) {
+  const store = getHistoryStore();
+  const entry = await readItem(address, id);
+  if (!entry) return null;
+
+  if (title !== undefined) entry.title = title.slice(0, MAX_TITLE_LENGTH);
+  if (tags !== undefined) entry.tags = tags;
+  entry.updatedAt = new Date().toISOString();
+  await store.set(itemKey(address, id), entry);
+
+  const index = await readIndex(address);
+  await store.set(indexKey(address), index.map(item => item.id === id ? summarize(entry) : item));
+
+  return entry;
+}
+
+// Remove an entry; returns whether it existed
+async function deleteHistoryItem(address, id) {
+  const store = getHistoryStore();
+  const index = await readIndex(address);
+  const existed = index.some(item => item.id === id) || !!(await store.get(itemKey(address, id)));
+
+  await store.delete(itemKey(address, id));
+  await store.set(indexKey(address), index.filter(item => item.id !== id));
+
+  return existed;
+}
+
+module.exports = {
+  MAX_TITLE_LENGTH,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  SORT_ORDERS,
+  VERSION_MODES,
+  MAX_VERSIONS,
+  MAX_DEPLOYMENTS,
+  normalizeTags,
+  listHistory,
+  exportHistory,
+  getHistoryItem,
+  addHistoryItem,
+  addHistoryVersion,
+  restoreHistoryVersion,
+  addHistoryDeployment,
+  updateHistoryItem,
+  deleteHistoryItem
+};
@@ -0,0 +1,100 @@
+// Retry and circuit-breaker policy for LLM provider calls
+
+// Network error codes worth another attempt against the same provider
+const RETRYABLE_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'EPIPE']);
+
+// Timeouts, rate limiting (429) and server errors (5xx) may succeed on retry;
+// anything else (bad request, auth, invalid response) will fail the same way again
+function isRetryableError(error) {
+  const status = error.response?.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_CODES.has(error.code) || /timeout/i.test(error.message || '');
+}
+
+// Milliseconds requested by a Retry-After header (delta seconds or HTTP date), or null
+function getRetryAfterMs(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (header === undefined || header === null || header === '') return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Per-provider circuit breaker shared by all requests of this function instance. After
+// `threshold` consecutive retryable failures the provider is skipped for `cooldownMs`; then
+// a single trial call is let through (half-open) while other callers keep skipping it, and
+// its outcome closes or re-opens the circuit. A trial that never reports back is replaced
+// by a new one after another cooldown.
+class CircuitBreaker {
+  constructor({ threshold = 5, cooldownMs = 60000 } = {}) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.circuits = new Map();
+  }
+
+  getCircuit(provider) {
+    if (!this.circuits.has(provider)) {
+      this.circuits.set(provider, { failures: 0, openedAt: null, probeStartedAt: null });
+    }
+    return this.circuits.get(provider);
+  }
+
+  // Whether a call to the provider may be attempted now. In the half-open state this admits
+  // the caller as the trial call, so it must report the outcome with recordSuccess,
+  // recordFailure or releaseProbe
+  canRequest(provider) {
+    const circuit = this.getCircuit(provider);
+    const now = Date.now();
+    if (circuit.openedAt === null) return true;
+    if (now - circuit.openedAt < this.cooldownMs) return false;
+    if (circuit.probeStartedAt !== null && now - circuit.probeStartedAt < this.cooldownMs) return false;
+
+    circuit.probeStartedAt = now;
+    return true;
+  }
+
+  recordSuccess(provider) {
+    const circuit = this.getCircuit(provider);
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    circuit.probeStartedAt = null;
+  }
+
+  // Count a retryable failure; a failed trial call re-opens the circuit for another cooldown
+  recordFailure(provider) {
+    const circuit = this.getCircuit(provider);
+    circuit.failures++;
+    circuit.probeStartedAt = null;
+    if (circuit.failures >= this.threshold) {
+      if (circuit.openedAt === null) {
+        console.warn(`⚡ Circuit opened for LLM provider ${provider} after ${circuit.failures} consecutive failures`);
+      }
+      circuit.openedAt = Date.now();
+    }
+  }
+
+  // End a trial call whose outcome says nothing about the provider's health (e.g. a 400
+  // for one request), so the next caller may try instead
+  releaseProbe(provider) {
+    this.getCircuit(provider).probeStartedAt = null;
+  }
+
+  getState(provider) {
+    const circuit = this.getCircuit(provider);
+    if (circuit.openedAt === null) return 'closed';
+    return Date.now() - circuit.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+  }
+}
+
+module.exports = {
+  isRetryableError,
+  getRetryAfterMs,
+  CircuitBreaker
+};
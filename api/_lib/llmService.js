@@ -0,0 +1,206 @@
+// LLM completions through the configured provider chain, with retries and a circuit breaker
+const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+const { getAdapter, getProviderChain, getProviderConfig, isProviderConfigured, buildHeaders } = require('./providers');
+const { isRetryableError, getRetryAfterMs, CircuitBreaker } = require('./llmPolicy');
+
+// Circuit breaker shared by every LLMService of this function instance
+const circuitBreaker = new CircuitBreaker({
+  threshold: parseInt(process.env.LLM_BREAKER_THRESHOLD) || 5,
+  cooldownMs: parseInt(process.env.LLM_BREAKER_COOLDOWN_MS) || 60000
+});
+
+// LLM Service
+class LLMService {
+  constructor(providers = getProviderChain()) {
+    this.providers = providers;
+    this.maxAttempts = parseInt(process.env.LLM_MAX_ATTEMPTS) || 3;
+    this.maxRetryDelay = parseInt(process.env.LLM_MAX_RETRY_DELAY_MS) || 10000;
+    // Provider and model of every completed call, in order
+    this.calls = [];
+  }
+
+  // Provider and model of the first completed call, i.e. the one that wrote the contract
+  get producer() {
+    return this.calls[0] || null;
+  }
+
+  // Try each provider of the chain in order. Within a provider only retryable failures
+  // (timeouts, 429, 5xx) are retried, waiting for Retry-After when the provider sends it.
+  // When onDelta is given the provider response is streamed and each text chunk is
+  // passed to it as it arrives; the full completion is still returned at the end
+  async generateContract(systemPrompt, userPrompt, options = {}, onDelta = null) {
+    const failures = [];
+
+    for (const provider of this.providers) {
+      let config;
+      try {
+        config = getProviderConfig(provider);
+      } catch (error) {
+        failures.push(`${provider}: ${error.message}`);
+        continue;
+      }
+
+      if (!isProviderConfigured(config)) {
+        failures.push(`${provider}: not configured (no API key set)`);
+        continue;
+      }
+
+      if (!circuitBreaker.canRequest(provider)) {
+        console.warn(`⏭️ Skipping LLM provider ${provider}: circuit open`);
+        failures.push(`${provider}: circuit open after repeated failures`);
+        continue;
+      }
+
+      try {
+        const text = await this.callWithRetry(provider, config, systemPrompt, userPrompt, options, onDelta);
+        this.calls.push({ provider, model: config.model });
+        return text;
+      } catch (error) {
+        // Text already relayed to the client cannot be taken back, so do not fall back
+        if (error.streamStarted) {
+          throw new Error(`LLM stream interrupted: ${error.message}`);
+        }
+        failures.push(`${provider}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`LLM generation failed on every provider (${failures.join('; ')})`);
+  }
+
+  async callWithRetry(provider, config, systemPrompt, userPrompt, options, onDelta) {
+    const adapter = getAdapter(config.adapter);
+    const request = {
+      systemPrompt,
+      userPrompt,
+      maxTokens: options.maxTokens || config.maxTokens,
+      temperature: options.temperature ?? config.temperature,
+      stream: !!onDelta
+    };
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      let streamStarted = false;
+      const handleDelta = onDelta && (text => {
+        streamStarted = true;
+        onDelta(text);
+      });
+
+      try {
+        console.log(`🤖 Attempting contract generation with ${provider}/${config.model} (attempt ${attempt}/${this.maxAttempts})`);
+        
+        const result = await this.callProvider(config, adapter, request, handleDelta);
+
+        circuitBreaker.recordSuccess(provider);
+        console.log(`✅ Contract generated successfully on attempt ${attempt}`);
+        return result;
+      } catch (error) {
+        console.error(`❌ ${provider} attempt ${attempt} failed:`, error.message);
+        // A bad request says nothing about the provider, so only retryable failures count
+        const retryable = isRetryableError(error);
+        if (retryable) {
+          circuitBreaker.recordFailure(provider);
+        } else {
+          circuitBreaker.releaseProbe(provider);
+        }
+        error.streamStarted = streamStarted;
+
+        if (streamStarted || !retryable || attempt === this.maxAttempts ||
+            circuitBreaker.getState(provider) !== 'closed') {
+          throw error;
+        }
+
+        // Honor Retry-After; a wait longer than we can afford goes to the next provider instead
+        const retryAfter = getRetryAfterMs(error);
+        if (retryAfter !== null && retryAfter > this.maxRetryDelay) {
+          throw new Error(`${error.message} (Retry-After ${Math.ceil(retryAfter / 1000)}s)`);
+        }
+
+        // Otherwise exponential backoff with a little jitter
+        await this.delay(retryAfter ?? Math.pow(2, attempt - 1) * 1000 + Math.floor(Math.random() * 250));
+      }
+    }
+  }
+
+  // Send one request through a provider adapter and return the completion text
+  async callProvider(config, adapter, request, onDelta = null) {
+    // In-process adapters (the mock) produce the text directly
+    if (adapter.complete) {
+      const text = await adapter.complete(config, request);
+      if (onDelta) {
+        for (const line of text.match(/[^\n]*\n|[^\n]+$/g) || []) {
+          onDelta(line);
+        }
+      }
+      return text;
+    }
+
+    const response = await axios.post(
+      `${config.baseUrl.replace(/\/+$/, '')}${config.path}`,
+      adapter.buildRequest(config, request),
+      {
+        headers: buildHeaders(config),
+        timeout: config.timeout,
+        responseType: onDelta ? 'stream' : 'json'
+      }
+    );
+
+    if (onDelta) {
+      let content = '';
+      await this.readEventStream(response.data, (event, data) => {
+        const text = adapter.parseStreamEvent(event, data);
+        if (text) {
+          content += text;
+          onDelta(text);
+        }
+      });
+      return content;
+    }
+
+    return adapter.parseResponse(response.data);
+  }
+
+  // Read a provider Server-Sent Events body, calling onEvent(event, data) per message
+  async readEventStream(stream, onEvent) {
+    // One decoder for the whole body, so a character split across chunks stays intact
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+
+    const dispatch = (block) => {
+      let event = 'message';
+      const data = [];
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).trimStart());
+        }
+      }
+      if (data.length > 0) {
+        onEvent(event, data.join('\n'));
+      }
+    };
+
+    for await (const chunk of stream) {
+      buffer = (buffer + decoder.write(chunk)).replace(/\r\n/g, '\n');
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        dispatch(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+      }
+    }
+
+    buffer = (buffer + decoder.end()).replace(/\r\n/g, '\n');
+    if (buffer.trim()) {
+      dispatch(buffer);
+    }
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = {
+  LLMService
+};
@@ -0,0 +1,41 @@
+// Validation and prompt text for the typed generation parameters of a contract type.
+//
+// Each type definition (shared/contractTypes/) carries a JSON Schema of its parameters, which
+// /api/types publishes. Parameters travel as plain keys of the generate request's options
+// (next to maxTokens, withTests, ...), so a schema only constrains the keys it declares. All
+// parameters are optional: the free-text requirements still describe everything else.
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true, formats: { date: /^\d{4}-\d{2}-\d{2}$/ } });
+
+// Compiled schema per definition object
+const validators = new WeakMap();
+
+// Problems with the parameters in options for a type definition, as readable messages
+function validateParameters(definition, options = {}) {
+  if (!validators.has(definition)) {
+    validators.set(definition, ajv.compile(definition.parameters));
+  }
+  const validate = validators.get(definition);
+
+  const errors = validate(options)
+    ? []
+    : validate.errors.map(error => `${error.instancePath.slice(1).replace(/\//g, '.') || 'options'} ${error.message}`);
+
+  if (errors.length > 0 || !definition.checkParameters) {
+    return errors;
+  }
+  return definition.checkParameters(options);
+}
+
+// Prompt lines ("Title: value") for the parameters in options that the definition declares
+function describeParameters(definition, options = {}) {
+  return Object.entries(definition.parameters.properties)
+    .filter(([key]) => options[key] !== undefined && options[key] !== '' && !(Array.isArray(options[key]) && options[key].length === 0))
+    .map(([key, property]) => `${property.title || key}: ${Array.isArray(options[key]) ? options[key].join(', ') : options[key]}`);
+}
+
+module.exports = {
+  validateParameters,
+  describeParameters
+};
@@ -0,0 +1,368 @@
+// Hardhat and Foundry project scaffolding for exported contracts
+const JSZip = require('jszip');
+const solc = require('solc');
+
+const OPENZEPPELIN_VERSION = require('@openzeppelin/contracts/package.json').version;
+const SOLC_VERSION = solc.version().split('+')[0];
+
+const HARDHAT_VERSION = '2.22.15';
+const HARDHAT_TOOLBOX_VERSION = '5.0.0';
+const FORGE_STD_VERSION = 'v1.9.4';
+
+const FRAMEWORKS = ['hardhat', 'foundry'];
+
+// Generation options that may feed a constructor parameter, by normalized parameter name
+const OPTION_ALIASES = {
+  name: ['tokenName', 'name'],
+  tokenname: ['tokenName', 'name'],
+  symbol: ['tokenSymbol', 'symbol'],
+  tokensymbol: ['tokenSymbol', 'symbol'],
+  initialsupply: ['initialSupply', 'totalSupply', 'supply'],
+  totalsupply: ['totalSupply', 'initialSupply', 'supply'],
+  supply: ['initialSupply', 'totalSupply', 'supply']
+};
+
+// The contract to deploy: the last deployable contract of the last file that has one
+function pickMainContract(files, contracts, requestedName) {
+  const deployable = Object.entries(contracts).filter(([, contract]) => contract.bytecode);
+
+  if (requestedName) {
+    return deployable.find(([name]) => name === requestedName) || null;
+  }
+
+  for (let i = files.length - 1; i >= 0; i--) {
+    const inFile = deployable.filter(([, contract]) => contract.file === files[i].path);
+    if (inFile.length > 0) {
+      return inFile[inFile.length - 1];
+    }
+  }
+
+  return null;
+}
+
+// Look up the generation option for a constructor parameter
+function findOptionValue(paramName, options) {
+  const key = paramName.replace(/^_+|_+$/g, '').toLowerCase();
+  const candidates = [paramName, paramName.replace(/^_+/, ''), ...(OPTION_ALIASES[key] || [])];
+
+  for (const candidate of candidates) {
+    if (options[candidate] !== undefined && options[candidate] !== null && options[candidate] !== '') {
+      return options[candidate];
+    }
+  }
+
+  return undefined;
+}
+
+// Constructor arguments as { name, type, value, fromOptions }; value is null when no
+// usable option exists and the scripts have to fall back to a placeholder
+function resolveConstructorArgs(abi, options) {
+  const constructor = abi.find(entry => entry.type === 'constructor');
+  if (!constructor) return [];
+
+  return constructor.inputs.map((input, index) => {
+    const name = input.name || `arg${index}`;
+    const value = findOptionValue(name, options);
+    const usable = value !== undefined && isValidValue(input.type, value);
+    return { name, type: input.type, value: usable ? value : null, fromOptions: usable };
+  });
+}
+
+function isValidValue(type, value) {
+  if (/^u?int\d*$/.test(type)) return /^\d+$/.test(String(value)) || (/^int/.test(type) && /^-\d+$/.test(String(value)));
+  if (type === 'address') return /^0x[0-9a-fA-F]{40}$/.test(String(value));
+  if (type === 'bool') return typeof value === 'boolean';
+  if (type === 'string') return typeof value === 'string';
+  return false;
+}
+
+// Element type and length of an array type ("address[3]" -> { base: "address", length: 3 },
+// length null when dynamic); null for other types
+function parseArrayType(type) {
+  const match = type.match(/^(.*)\[(\d*)\]$/);
+  return match ? { base: match[1], length: match[2] === '' ? null : parseInt(match[2]) } : null;
+}
+
+// Argument as a JavaScript expression for the Hardhat deploy script
+function toJsLiteral(arg) {
+  if (arg.value !== null) {
+    return JSON.stringify(/^u?int/.test(arg.type) ? String(arg.value) : arg.value);
+  }
+  return jsPlaceholder(arg.type);
+}
+
+function jsPlaceholder(type) {
+  const array = parseArrayType(type);
+  if (array) {
+    return array.length === null ? '[]' : `[${Array(array.length).fill(jsPlaceholder(array.base)).join(', ')}]`;
+  }
+  if (type === 'address') return 'deployer.address';
+  if (/^u?int\d*$/.test(type)) return '0';
+  if (type === 'bool') return 'false';
+  if (type === 'string') return '""';
+  if (/^bytes\d+$/.test(type)) return 'hre.ethers.ZeroHash';
+  return '"0x"';
+}
+
+// Argument as a Solidity expression for the Foundry deploy script. Strings with non-ASCII
+// characters need a unicode"..." literal
+function toSolidityLiteral(arg) {
+  if (arg.value !== null) {
+    if (arg.type === 'string') {
+      return `${/[^\x00-\x7F]/.test(arg.value) ? 'unicode' : ''}${JSON.stringify(arg.value)}`;
+    }
+    return String(arg.value);
+  }
+  return solidityPlaceholder(arg.type);
+}
+
+function solidityPlaceholder(type) {
+  const array = parseArrayType(type);
+  if (array && array.length === null) return `new ${array.base}[](0)`;
+  if (array) {
+    // An inline array takes the type of its first element, so that one is converted
+    // explicitly (a bare 0 would make a uint8 array)
+    const element = solidityPlaceholder(array.base);
+    const first = parseArrayType(array.base) ? element : `${array.base}(${element})`;
+    return `[${[first, ...Array(array.length - 1).fill(element)].join(', ')}]`;
+  }
+  if (type === 'address') return 'msg.sender';
+  if (/^u?int\d*$/.test(type)) return '0';
+  if (type === 'bool') return 'false';
+  if (type === 'string') return '""';
+  if (/^bytes\d+$/.test(type)) return `${type}(0)`;
+  return '""';
+}
+
+// One line per argument, with a reminder where a placeholder was used
+function argumentLines(args, toLiteral, commentPrefix) {
+  return args.map((arg, index) => {
+    const separator = index < args.length - 1 ? ',' : '';
+    const note = arg.fromOptions ? '' : ' (TODO: set before deploying)';
+    return `${toLiteral(arg)}${separator} ${commentPrefix} ${arg.type} ${arg.name}${note}`;
+  });
+}
+
+function hardhatFiles(files, contractName, args) {
+  const project = {};
+
+  for (const file of files) {
+    project[`contracts/${file.path}`] = file.source;
+  }
+
+  project['package.json'] = JSON.stringify({
+    name: contractName.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase(),
+    version: '1.0.0',
+    private: true,
+    scripts: {
+      compile: 'hardhat compile',
+      test: 'hardhat test',
+      deploy: 'hardhat run scripts/deploy.js'
+    },
+    dependencies: {
+      '@openzeppelin/contracts': OPENZEPPELIN_VERSION
+    },
+    devDependencies: {
+      hardhat: HARDHAT_VERSION,
+      '@nomicfoundation/hardhat-toolbox': HARDHAT_TOOLBOX_VERSION
+    }
+  }, null, 2) + '\n';
+
+  project['hardhat.config.js'] = `require('@nomicfoundation/hardhat-toolbox');
+
+/** @type import('hardhat/config').HardhatUserConfig */
+module.exports = {
+  solidity: {
+    version: '${SOLC_VERSION}',
+    settings: {
+      optimizer: { enabled: true, runs: 200 }
+    }
+  },
+  networks: {
+    sepolia: {
+      url: process.env.RPC_URL || '',
+      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : []
+    }
+  }
+};
+`;
+
+  const argLines = argumentLines(args, toJsLiteral, '//').map(line => `    ${line}`);
+
+  project['scripts/deploy.js'] = `const hre = require('hardhat');
+
+async function main() {
+  const [deployer] = await hre.ethers.getSigners();
+  console.log('Deploying ${contractName} with', deployer.address);
+
+  const factory = await hre.ethers.getContractFactory('${contractName}');
+  const contract = await factory.deploy(${args.length ? `\n${argLines.join('\n')}\n  ` : ''});
+  await contract.waitForDeployment();
+
+  console.log('${contractName} deployed to', await contract.getAddress());
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
+`;
+
+  project['.gitignore'] = 'node_modules\ncache\nartifacts\ntypechain-types\n.env\n';
+
+  project['README.md'] = `# ${contractName}
+
+Hardhat project exported from the Intelligent Contract Platform.
+
+## Setup
+
+\`\`\`bash
+npm install
+npx hardhat compile
+npx hardhat test
+\`\`\`
+
+## Deploy
+
+\`\`\`bash
+# Local in-process network
+npx hardhat run scripts/deploy.js
+
+# Sepolia
+RPC_URL=https://... PRIVATE_KEY=0x... npx hardhat run scripts/deploy.js --network sepolia
+\`\`\`
+
+${readmeArgsNote(args, 'scripts/deploy.js')}`;
+
+  return project;
+}
+
+function foundryFiles(files, contractName, mainFile, args) {
+  const project = {};
+
+  for (const file of files) {
+    project[`src/${file.path}`] = file.source;
+  }
+
+  project['package.json'] = JSON.stringify({
+    name: contractName.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase(),
+    version: '1.0.0',
+    private: true,
+    dependencies: {
+      '@openzeppelin/contracts': OPENZEPPELIN_VERSION,
+      'forge-std': `github:foundry-rs/forge-std#${FORGE_STD_VERSION}`
+    }
+  }, null, 2) + '\n';
+
+  project['foundry.toml'] = `[profile.default]
+src = "src"
+out = "out"
+script = "script"
+libs = ["node_modules"]
+solc_version = "${SOLC_VERSION}"
+optimizer = true
+optimizer_runs = 200
+`;
+
+  project['remappings.txt'] = '@openzeppelin/contracts/=node_modules/@openzeppelin/contracts/\nforge-std/=node_modules/forge-std/src/\n';
+
+  const argLines = argumentLines(args, toSolidityLiteral, '//').map(line => `            ${line}`);
+
+  project['script/Deploy.s.sol'] = `// SPDX-License-Identifier: MIT
+pragma solidity ^${SOLC_VERSION};
+
+import {Script, console} from "forge-std/Script.sol";
+import {${contractName}} from "../src/${mainFile}";
+
+contract Deploy is Script {
+    function run() external {
+        vm.startBroadcast();
+        ${contractName} deployed = new ${contractName}(${args.length ? `\n${argLines.join('\n')}\n        ` : ''});
+        vm.stopBroadcast();
+
+        console.log("${contractName} deployed to", address(deployed));
+    }
+}
+`;
+
+  project['.gitignore'] = 'node_modules\ncache\nout\nbroadcast\n.env\n';
+
+  project['README.md'] = `# ${contractName}
+
+Foundry project exported from the Intelligent Contract Platform.
+
+## Setup
+
+\`\`\`bash
+npm install   # OpenZeppelin and forge-std, see remappings.txt
+forge build
+\`\`\`
+
+## Deploy
+
+\`\`\`bash
+# Tests and dry run
+forge test
+forge script script/Deploy.s.sol
+
+# Sepolia
+forge script script/Deploy.s.sol --rpc-url $RPC_URL --private-key $PRIVATE_KEY --broadcast
+\`\`\`
+
+${readmeArgsNote(args, 'script/Deploy.s.sol')}`;
+
+  return project;
+}
+
+function readmeArgsNote(args, scriptPath) {
+  if (args.length === 0) {
+    return 'The constructor takes no arguments.\n';
+  }
+
+  const rows = args.map(arg => `| \`${arg.name}\` | \`${arg.type}\` | ${arg.fromOptions ? 'generation options' : '**placeholder, set before deploying**'} |`);
+  return `## Constructor arguments
+
+Filled in \`${scriptPath}\`:
+
+| Name | Type | Source |
+|------|------|--------|
+${rows.join('\n')}
+`;
+}
+
+// Build the project archive for compiled files; returns { fileName, contractName, buffer },
+// or null when there is no deployable contract (by that name)
+async function buildProjectArchive({ files, compilation, framework, options = {}, contractName = null, tests = null }) {
+  const main = pickMainContract(files, compilation.contracts, contractName);
+  if (!main) {
+    return null;
+  }
+
+  const [name, contract] = main;
+  const args = resolveConstructorArgs(contract.abi, options);
+  const project = framework === 'foundry'
+    ? foundryFiles(files, name, contract.file, args)
+    : hardhatFiles(files, name, args);
+
+  // A generated test suite for the same framework ships with the project
+  if (tests && tests.framework === framework) {
+    project[tests.path] = tests.source;
+  }
+
+  const zip = new JSZip();
+  const root = zip.folder(`${name}-${framework}`);
+  for (const [path, content] of Object.entries(project)) {
+    root.file(path, content);
+  }
+
+  return {
+    fileName: `${name}-${framework}.zip`,
+    contractName: name,
+    buffer: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+  };
+}
+
+module.exports = {
+  FRAMEWORKS,
+  buildProjectArchive
+};
@@ -0,0 +1,135 @@
+// Versioned prompt templates, read once per instance from prompts/<id>/<version>.txt.
+//
+// A template file is the prompt text with {{variable}} placeholders. Lines of the form
+// "@@ type <contract type>" start a section that overrides the {{typePrompt}} variable for
+// that type; text before the first such line is the prompt itself. Versions are named v1,
+// v2, ... and the highest one is used unless PROMPT_VERSIONS (JSON) selects others, e.g.
+//   {"contract-system":"v3"}                    pin a version
+//   {"contract-system":{"v3":80,"v4":20}}       weighted A/B variants
+// A/B variants are assigned per key (the wallet address), so a caller keeps its variant.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PROMPTS_DIR = path.join(__dirname, '..', '..', 'prompts');
+
+const VERSION_NAME = /^v(\d+)$/;
+const SECTION_LINE = /^@@ type ([a-z0-9-]+)\s*$/;
+const VARIABLE = /\{\{(\w+)\}\}/g;
+
+const versionCache = new Map();
+
+function parseTemplate(text) {
+  const types = {};
+  const lines = [];
+  let section = lines;
+
+  for (const line of text.replace(/\r\n/g, '\n').split('\n')) {
+    const match = line.match(SECTION_LINE);
+    if (match) {
+      section = types[match[1]] = [];
+    } else {
+      section.push(line);
+    }
+  }
+
+  return {
+    template: lines.join('\n').trim(),
+    types: Object.fromEntries(Object.entries(types).map(([type, typeLines]) => [type, typeLines.join('\n').trim()]))
+  };
+}
+
+// All versions of a prompt, oldest first; throws when the prompt has none
+function loadPromptVersions(id) {
+  if (versionCache.has(id)) {
+    return versionCache.get(id);
+  }
+
+  const dir = path.join(PROMPTS_DIR, id);
+  const files = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(file => file.endsWith('.txt') && VERSION_NAME.test(path.basename(file, '.txt')))
+    : [];
+  if (files.length === 0) {
+    throw new Error(`No versions of prompt "${id}" in ${dir}`);
+  }
+
+  const versions = files
+    .map(file => ({ id, version: path.basename(file, '.txt'), ...parseTemplate(fs.readFileSync(path.join(dir, file), 'utf8')) }))
+    .sort((a, b) => Number(a.version.match(VERSION_NAME)[1]) - Number(b.version.match(VERSION_NAME)[1]));
+
+  versionCache.set(id, versions);
+  return versions;
+}
+
+function getSelections() {
+  if (!process.env.PROMPT_VERSIONS) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.PROMPT_VERSIONS);
+  } catch (error) {
+    console.error('❌ Invalid PROMPT_VERSIONS, using the latest prompt versions:', error.message);
+    return {};
+  }
+}
+
+// Number in [0, 1) fixed for a key and prompt, or random without a key
+function bucketOf(id, key) {
+  if (!key) {
+    return Math.random();
+  }
+  const hash = crypto.createHash('sha256').update(`${id}:${String(key).toLowerCase()}`).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+// The version of a prompt to use for a caller: { id, version, template, types, selection }
+// where selection is "latest", "pinned" or "variant". Throws when PROMPT_VERSIONS names a
+// version that does not exist
+function selectPromptVersion(id, key = null) {
+  const versions = loadPromptVersions(id);
+  const selection = getSelections()[id];
+  const find = version => {
+    const found = versions.find(candidate => candidate.version === version);
+    if (!found) {
+      throw new Error(`PROMPT_VERSIONS selects version "${version}" of prompt "${id}", which does not exist`);
+    }
+    return found;
+  };
+
+  if (typeof selection === 'string') {
+    return { ...find(selection), selection: 'pinned' };
+  }
+
+  const weights = selection && typeof selection === 'object'
+    ? Object.entries(selection).filter(([, weight]) => typeof weight === 'number' && weight > 0)
+    : [];
+  if (weights.length === 0) {
+    return { ...versions[versions.length - 1], selection: 'latest' };
+  }
+
+  const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+  let point = bucketOf(id, key) * total;
+  for (const [version, weight] of weights) {
+    point -= weight;
+    if (point < 0) {
+      return { ...find(version), selection: 'variant' };
+    }
+  }
+  return { ...find(weights[weights.length - 1][0]), selection: 'variant' };
+}
+
+// Fill the {{variables}} of a selected prompt; a variable without a value is an error in the template
+function renderPrompt(prompt, variables) {
+  return prompt.template.replace(VARIABLE, (placeholder, name) => {
+    if (variables[name] === undefined || variables[name] === null) {
+      throw new Error(`Prompt "${prompt.id}" ${prompt.version} uses unknown variable ${placeholder}`);
+    }
+    return String(variables[name]);
+  });
+}
+
+module.exports = {
+  loadPromptVersions,
+  selectPromptVersion,
+  renderPrompt
+};
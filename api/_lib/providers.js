@@ -0,0 +1,249 @@
+// LLM provider registry
+//
+// An adapter knows one wire format: its default base URL and auth header, how to map a
+// generation request onto the provider's request body, and how to read the completion
+// (whole or streamed) back out. A provider is a named, configured instance of an adapter,
+// so several OpenAI-compatible endpoints (a gateway, a local model) can share one adapter.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const adapters = new Map();
+
+// Register a wire format under a name that provider configs can reference as `adapter`
+function registerAdapter(name, adapter) {
+  adapters.set(name, adapter);
+}
+
+function getAdapter(name) {
+  return adapters.get(name) || null;
+}
+
+// OpenAI Chat Completions; also spoken by Ollama, llama.cpp, vLLM and most gateways
+registerAdapter('openai', {
+  defaults: {
+    baseUrl: 'https://api.openai.com/v1',
+    path: '/chat/completions',
+    authHeader: 'Authorization',
+    authScheme: 'Bearer',
+    model: 'gpt-4-turbo-preview',
+    requiresApiKey: true
+  },
+  buildRequest(config, { systemPrompt, userPrompt, maxTokens, temperature, stream }) {
+    return {
+      model: config.model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      max_tokens: maxTokens,
+      temperature: temperature,
+      stream: stream
+    };
+  },
+  parseResponse(data) {
+    const content = data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Invalid response from OpenAI-compatible API');
+    }
+    return content;
+  },
+  parseStreamEvent(event, data) {
+    if (data === '[DONE]') return null;
+    return JSON.parse(data).choices?.[0]?.delta?.content || null;
+  }
+});
+
+// Anthropic Messages API
+registerAdapter('anthropic', {
+  defaults: {
+    baseUrl: 'https://api.anthropic.com/v1',
+    path: '/messages',
+    authHeader: 'x-api-key',
+    authScheme: '',
+    headers: { 'anthropic-version': '2023-06-01' },
+    model: 'claude-3-sonnet-20240229',
+    requiresApiKey: true
+  },
+  buildRequest(config, { systemPrompt, userPrompt, maxTokens, temperature, stream }) {
+    return {
+      model: config.model,
+      max_tokens: maxTokens,
+      temperature: temperature,
+      system: systemPrompt,
+      messages: [
+        { role: 'user', content: userPrompt }
+      ],
+      stream: stream
+    };
+  },
+  parseResponse(data) {
+    const text = data?.content?.[0]?.text;
+    if (typeof text !== 'string') {
+      throw new Error('Invalid response from Anthropic API');
+    }
+    return text;
+  },
+  parseStreamEvent(event, data) {
+    const payload = JSON.parse(data);
+    if (payload.type === 'error') {
+      throw new Error(payload.error?.message || 'Anthropic stream error');
+    }
+    return payload.type === 'content_block_delta' ? payload.delta?.text || null : null;
+  }
+});
+
+// Deterministic offline provider: the same prompts always give the same compilable
+// contract, which makes it useful for local development and tests without an API key
+registerAdapter('mock', {
+  defaults: {
+    model: 'mock-1',
+    requiresApiKey: false
+  },
+  complete(config, { systemPrompt, userPrompt }) {
+    const digest = crypto.createHash('sha256').update(`${systemPrompt}\n${userPrompt}`).digest('hex');
+    const name = `MockContract${digest.slice(0, 6).toUpperCase()}`;
+
+    return `// SPDX-License-Identifier: MIT
+pragma solidity 0.8.26;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/// @title ${name}
+/// @notice Placeholder contract from the mock LLM provider (prompt digest ${digest.slice(0, 16)})
+contract ${name} is Ownable {
+    /// @notice Last value stored by the owner
+    uint256 public value;
+
+    /// @notice Emitted when the stored value changes
+    event ValueChanged(uint256 previousValue, uint256 newValue);
+
+    constructor() Ownable(msg.sender) {}
+
+    /// @notice Store a new value
+    /// @param newValue The value to store
+    function setValue(uint256 newValue) external onlyOwner {
+        emit ValueChanged(value, newValue);
+        value = newValue;
+    }
+}
+`;
+  }
+});
+
+// Built-in providers and the environment variables that configure them
+const ENV_PROVIDERS = {
+  openai: { adapter: 'openai', prefix: 'OPENAI' },
+  anthropic: { adapter: 'anthropic', prefix: 'ANTHROPIC' },
+  local: { adapter: 'openai', prefix: 'LOCAL_LLM', defaults: { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', requiresApiKey: false } },
+  mock: { adapter: 'mock', prefix: 'MOCK_LLM' }
+};
+
+// Provider settings read from <PREFIX>_BASE_URL, _API_KEY, _MODEL, _MAX_TOKENS, _TEMPERATURE,
+// _AUTH_HEADER, _AUTH_SCHEME and _TIMEOUT_MS
+function readEnvConfig(prefix) {
+  const env = name => process.env[`${prefix}_${name}`];
+  const config = {
+    baseUrl: env('BASE_URL'),
+    apiKey: env('API_KEY'),
+    model: env('MODEL'),
+    maxTokens: parseInt(env('MAX_TOKENS')) || undefined,
+    temperature: env('TEMPERATURE') !== undefined ? parseFloat(env('TEMPERATURE')) : undefined,
+    authHeader: env('AUTH_HEADER'),
+    authScheme: env('AUTH_SCHEME'),
+    timeout: parseInt(env('TIMEOUT_MS')) || undefined
+  };
+  return Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined && !Number.isNaN(value)));
+}
+
+// JSON file named by LLM_CONFIG_FILE: { "provider": "...", "providers": { "<name>": {...} } }
+let fileConfigCache = null;
+function readConfigFile() {
+  const configPath = process.env.LLM_CONFIG_FILE;
+  if (!configPath) return { providers: {} };
+
+  const resolved = path.resolve(configPath);
+  if (fileConfigCache && fileConfigCache.path === resolved) {
+    return fileConfigCache.config;
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    fileConfigCache = { path: resolved, config: { ...config, providers: config.providers || {} } };
+    return fileConfigCache.config;
+  } catch (error) {
+    throw new Error(`Cannot read LLM config file ${resolved}: ${error.message}`);
+  }
+}
+
+// Name of the provider to use: LLM_PROVIDER, else the config file's "provider", else openai
+function getDefaultProviderName() {
+  return process.env.LLM_PROVIDER || readConfigFile().provider || 'openai';
+}
+
+// Providers to try in order: the default provider, then LLM_FALLBACK (comma separated) or
+// the config file's "fallback" list, without duplicates
+function getProviderChain() {
+  const fallback = process.env.LLM_FALLBACK
+    ? process.env.LLM_FALLBACK.split(',').map(name => name.trim()).filter(Boolean)
+    : readConfigFile().fallback || [];
+  return [...new Set([getDefaultProviderName(), ...fallback])];
+}
+
+// Fully resolved settings of a named provider: adapter defaults, then environment
+// variables, then the config file entry. Throws for unknown providers.
+function getProviderConfig(name) {
+  const fileEntry = readConfigFile().providers[name] || {};
+  const builtIn = ENV_PROVIDERS[name];
+  const adapterName = fileEntry.adapter || builtIn?.adapter;
+  const adapter = getAdapter(adapterName);
+
+  if (!adapter) {
+    throw new Error(`Unsupported LLM provider: ${name}`);
+  }
+
+  const { apiKeyEnv, ...fileSettings } = fileEntry;
+  const config = {
+    headers: {},
+    maxTokens: 4000,
+    temperature: 0.7,
+    timeout: 30000,
+    ...adapter.defaults,
+    ...(builtIn?.defaults || {}),
+    ...(builtIn ? readEnvConfig(builtIn.prefix) : {}),
+    ...fileSettings,
+    name,
+    adapter: adapterName
+  };
+
+  // Keep secrets out of the config file by naming the variable that holds the key
+  if (apiKeyEnv && process.env[apiKeyEnv]) {
+    config.apiKey = process.env[apiKeyEnv];
+  }
+
+  return config;
+}
+
+// Whether a provider has everything it needs to be called
+function isProviderConfigured(config) {
+  return !config.requiresApiKey || !!config.apiKey;
+}
+
+// Request headers for a provider, including its auth header when a key is set
+function buildHeaders(config) {
+  const headers = { 'Content-Type': 'application/json', ...config.headers };
+  if (config.apiKey && config.authHeader) {
+    headers[config.authHeader] = config.authScheme ? `${config.authScheme} ${config.apiKey}` : config.apiKey;
+  }
+  return headers;
+}
+
+module.exports = {
+  registerAdapter,
+  getAdapter,
+  getDefaultProviderName,
+  getProviderChain,
+  getProviderConfig,
+  isProviderConfigured,
+  buildHeaders
+};
@@ -0,0 +1,116 @@
+// Rate limiting keyed on the authenticated wallet, falling back to the client IP
+const { getStore } = require('./store');
+
+// Built-in tiers; RATE_LIMIT_TIERS (JSON) overrides or extends them, e.g.
+// {"wallet":{"limit":20,"windowMs":900000},"pro":{"limit":200,"windowMs":900000,"wallets":["0xabc..."]}}
+const DEFAULT_TIERS = {
+  anonymous: { limit: 30, windowMs: 15 * 60 * 1000 },
+  wallet: { limit: 10, windowMs: 15 * 60 * 1000 }
+};
+
+function getTiers() {
+  if (!process.env.RATE_LIMIT_TIERS) {
+    return DEFAULT_TIERS;
+  }
+  try {
+    return { ...DEFAULT_TIERS, ...JSON.parse(process.env.RATE_LIMIT_TIERS) };
+  } catch (error) {
+    console.error('❌ Invalid RATE_LIMIT_TIERS, using defaults:', error.message);
+    return DEFAULT_TIERS;
+  }
+}
+
+// Tier of a caller: a tier listing the wallet, else "wallet" for signed-in callers, else "anonymous"
+function resolveTier(address) {
+  const tiers = getTiers();
+
+  if (address) {
+    const wallet = address.toLowerCase();
+    for (const [name, tier] of Object.entries(tiers)) {
+      if (Array.isArray(tier.wallets) && tier.wallets.some(listed => listed.toLowerCase() === wallet)) {
+        return { name, ...tier };
+      }
+    }
+    return { name: 'wallet', ...tiers.wallet };
+  }
+
+  return { name: 'anonymous', ...tiers.anonymous };
+}
+
+// Client IP. Forwarding headers are client-controlled unless a proxy we trust sets them:
+// on Vercel the platform's own headers are used, elsewhere only with TRUST_PROXY=true
+// (taking the address appended by that proxy, i.e. the last x-forwarded-for entry)
+function getClientIp(req) {
+  if (process.env.VERCEL) {
+    const platformIp = req.headers['x-vercel-forwarded-for'] || req.headers['x-real-ip'];
+    if (platformIp) return String(platformIp).split(',')[0].trim();
+  }
+
+  if (process.env.TRUST_PROXY === 'true' && req.headers['x-forwarded-for']) {
+    const hops = String(req.headers['x-forwarded-for']).split(',').map(hop => hop.trim()).filter(Boolean);
+    if (hops.length > 0) return hops[hops.length - 1];
+  }
+
+  return req.socket?.remoteAddress || req.connection?.remoteAddress || 'unknown';
+}
+
+function getSubject(req, wallet) {
+  return wallet?.address ? `wallet:${wallet.address.toLowerCase()}` : `ip:${getClientIp(req)}`;
+}
+
+function toResult(tier, { count, resetAt }) {
+  return {
+    allowed: count <= tier.limit,
+    tier: tier.name,
+    limit: tier.limit,
+    remaining: Math.max(0, tier.limit - count),
+    resetAt: resetAt || Date.now() + tier.windowMs
+  };
+}
+
+// Count one request against the caller's quota for a scope (e.g. "generate")
+async function consumeRateLimit(req, scope, wallet = null) {
+  const tier = resolveTier(wallet?.address);
+  const store = getStore('ratelimit', 'RATE_LIMIT_STORE');
+  const counter = await store.increment(`${scope}:${getSubject(req, wallet)}`, tier.windowMs);
+  return toResult(tier, counter);
+}
+
+// The caller's quota for a scope without using any of it
+async function peekRateLimit(req, scope, wallet = null) {
+  const tier = resolveTier(wallet?.address);
+  const store = getStore('ratelimit', 'RATE_LIMIT_STORE');
+  const counter = await store.peekCounter(`${scope}:${getSubject(req, wallet)}`);
+  return toResult(tier, counter);
+}
+
+// Standard quota headers; Retry-After as well once the quota is used up
+function setRateLimitHeaders(res, result) {
+  res.setHeader('X-RateLimit-Limit', String(result.limit));
+  res.setHeader('X-RateLimit-Remaining', String(result.remaining));
+  res.setHeader('X-RateLimit-Reset', String(Math.ceil(result.resetAt / 1000)));
+  if (!result.allowed) {
+    res.setHeader('Retry-After', String(Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000))));
+  }
+}
+
+// Body of a 429 response
+function rateLimitError(result) {
+  return {
+    success: false,
+    error: {
+      message: 'Too many requests. Please try again later.',
+      type: 'RateLimitExceeded',
+      tier: result.tier,
+      resetAt: new Date(result.resetAt).toISOString()
+    }
+  };
+}
+
+module.exports = {
+  getClientIp,
+  consumeRateLimit,
+  peekRateLimit,
+  setRateLimitHeaders,
+  rateLimitError
+};
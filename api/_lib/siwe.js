@@ -0,0 +1,118 @@
+// Sign-In with Ethereum (EIP-4361) message helpers shared by the API functions
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// Field labels as they appear in the message body, mapped to parsed keys
+const FIELD_LABELS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+// Build an EIP-4361 message from its fields
+function buildSiweMessage(fields) {
+  const lines = [
+    `${fields.domain}${HEADER_SUFFIX}`,
+    fields.address,
+    ''
+  ];
+
+  if (fields.statement) {
+    lines.push(fields.statement, '');
+  }
+
+  lines.push(
+    `URI: ${fields.uri}`,
+    `Version: ${fields.version || '1'}`,
+    `Chain ID: ${fields.chainId}`,
+    `Nonce: ${fields.nonce}`,
+    `Issued At: ${fields.issuedAt}`
+  );
+
+  if (fields.expirationTime) {
+    lines.push(`Expiration Time: ${fields.expirationTime}`);
+  }
+
+  if (fields.notBefore) {
+    lines.push(`Not Before: ${fields.notBefore}`);
+  }
+
+  if (fields.requestId) {
+    lines.push(`Request ID: ${fields.requestId}`);
+  }
+
+  if (fields.resources && fields.resources.length > 0) {
+    lines.push('Resources:', ...fields.resources.map(resource => `- ${resource}`));
+  }
+
+  return lines.join('\n');
+}
+
+// Parse an EIP-4361 message into its fields
+function parseSiweMessage(message) {
+  if (!message || typeof message !== 'string') {
+    throw new Error('SIWE message is missing');
+  }
+
+  const lines = message.split('\n');
+
+  if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) {
+    throw new Error('Malformed SIWE message header');
+  }
+
+  const fields = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: (lines[1] || '').trim(),
+    statement: null,
+    resources: []
+  };
+
+  if (!/^0x[a-fA-F0-9]{40}$/.test(fields.address)) {
+    throw new Error('Malformed SIWE message address');
+  }
+
+  let inResources = false;
+  for (let i = 2; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (inResources && line.startsWith('- ')) {
+      fields.resources.push(line.slice(2));
+      continue;
+    }
+    inResources = false;
+
+    if (line === 'Resources:') {
+      inResources = true;
+      continue;
+    }
+
+    const separator = line.indexOf(': ');
+    const label = separator !== -1 ? line.slice(0, separator) : null;
+
+    if (label && FIELD_LABELS[label]) {
+      fields[FIELD_LABELS[label]] = line.slice(separator + 2);
+    } else if (line.trim() !== '' && fields.statement === null && !fields.uri) {
+      fields.statement = line;
+    }
+  }
+
+  for (const required of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+    if (!fields[required]) {
+      throw new Error(`SIWE message is missing ${required}`);
+    }
+  }
+
+  fields.chainId = parseInt(fields.chainId, 10);
+
+  return fields;
+}
+
+module.exports = {
+  buildSiweMessage,
+  parseSiweMessage
+};
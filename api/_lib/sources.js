@@ -0,0 +1,24 @@
+// Validation of client-supplied Solidity source files
+const MAX_FILES = 20;
+const MAX_TOTAL_SIZE = 200000;
+const FILE_PATH = /^[\w.-]+\.sol$/;
+
+// Returns an error message for an invalid file list, or null when it can be compiled
+function validateSourceFiles(files) {
+  const validFiles = Array.isArray(files) && files.length > 0 && files.length <= MAX_FILES &&
+    files.every(file => file && typeof file.path === 'string' && FILE_PATH.test(file.path) && typeof file.source === 'string');
+
+  if (!validFiles) {
+    return `Files must be a list of 1 to ${MAX_FILES} { path, source } entries with .sol paths`;
+  }
+
+  if (files.reduce((total, file) => total + file.source.length, 0) > MAX_TOTAL_SIZE) {
+    return `Files must not exceed ${MAX_TOTAL_SIZE} characters in total`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  validateSourceFiles
+};
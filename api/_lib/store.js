@@ -0,0 +1,218 @@
+// Pluggable key-value storage for server-side state (rate limits, caches, history)
+//
+// A store is picked by URL:
+//   memory://                 in-process Map; lost on cold start (default)
+//   file:///var/data/app      JSON file per namespace in that directory
+//   redis://host:6379/0       any Redis-protocol server (Redis, Valkey, KeyDB, Dragonfly)
+//
+// Values are JSON-serializable. Every method is async so backends are interchangeable.
+const fs = require('fs');
+const path = require('path');
+
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.read(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, ttlMs = null) {
+    this.entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  // Set a value only if the key holds none; returns whether it was set
+  async setIfAbsent(key, value, ttlMs = null) {
+    if (this.read(key)) return false;
+    this.entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    return true;
+  }
+
+  // Count a hit in a fixed window that starts with the first hit; returns { count, resetAt }
+  async increment(key, windowMs) {
+    const entry = this.read(key);
+    if (!entry) {
+      const fresh = { value: 1, expiresAt: Date.now() + windowMs };
+      this.entries.set(key, fresh);
+      return { count: 1, resetAt: fresh.expiresAt };
+    }
+    entry.value++;
+    return { count: entry.value, resetAt: entry.expiresAt };
+  }
+
+  // Current window without counting a hit
+  async peekCounter(key) {
+    const entry = this.read(key);
+    return entry ? { count: entry.value, resetAt: entry.expiresAt } : { count: 0, resetAt: null };
+  }
+}
+
+// Memory store persisted to <dir>/<namespace>.json after every write. Meant for a single
+// long-running server (dev-server.js, a VM); concurrent writers would overwrite each other.
+class FileStore extends MemoryStore {
+  constructor(directory, namespace) {
+    super();
+    this.filePath = path.join(directory, `${namespace}.json`);
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.entries = new Map(Object.entries(saved));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Ignoring unreadable store file ${this.filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  save() {
+    const now = Date.now();
+    const live = [...this.entries].filter(([, entry]) => entry.expiresAt === null || entry.expiresAt > now);
+    const temporaryPath = `${this.filePath}.${process.pid}.tmp`;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(temporaryPath, JSON.stringify(Object.fromEntries(live)));
+    fs.renameSync(temporaryPath, this.filePath);
+  }
+
+  async set(key, value, ttlMs = null) {
+    await super.set(key, value, ttlMs);
+    this.save();
+  }
+
+  async delete(key) {
+    await super.delete(key);
+    this.save();
+  }
+
+  async setIfAbsent(key, value, ttlMs = null) {
+    const stored = await super.setIfAbsent(key, value, ttlMs);
+    if (stored) this.save();
+    return stored;
+  }
+
+  async increment(key, windowMs) {
+    const result = await super.increment(key, windowMs);
+    this.save();
+    return result;
+  }
+}
+
+class RedisStore {
+  constructor(url, namespace) {
+    // Loaded lazily so deployments without Redis do not need the client
+    const Redis = require('ioredis');
+    this.client = getRedisClient(Redis, url);
+    this.prefix = `${namespace}:`;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.prefix + key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlMs = null) {
+    if (ttlMs) {
+      await this.client.set(this.prefix + key, JSON.stringify(value), 'PX', ttlMs);
+    } else {
+      await this.client.set(this.prefix + key, JSON.stringify(value));
+    }
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+
+  async setIfAbsent(key, value, ttlMs = null) {
+    const args = ttlMs ? ['PX', ttlMs, 'NX'] : ['NX'];
+    return (await this.client.set(this.prefix + key, JSON.stringify(value), ...args)) === 'OK';
+  }
+
+  async increment(key, windowMs) {
+    const fullKey = this.prefix + key;
+    const count = await this.client.incr(fullKey);
+    if (count === 1) {
+      await this.client.pexpire(fullKey, windowMs);
+    }
+
+    // A counter left without expiry (e.g. the process died between INCR and PEXPIRE) gets one now
+    let ttl = await this.client.pttl(fullKey);
+    if (ttl < 0) {
+      await this.client.pexpire(fullKey, windowMs);
+      ttl = windowMs;
+    }
+
+    return { count, resetAt: Date.now() + ttl };
+  }
+
+  async peekCounter(key) {
+    const fullKey = this.prefix + key;
+    const [[, raw], [, ttl]] = await this.client.multi().get(fullKey).pttl(fullKey).exec();
+    return raw === null
+      ? { count: 0, resetAt: null }
+      : { count: parseInt(raw), resetAt: Date.now() + Math.max(ttl, 0) };
+  }
+}
+
+// One connection per Redis URL, shared by every namespace
+const redisClients = new Map();
+function getRedisClient(Redis, url) {
+  if (!redisClients.has(url)) {
+    redisClients.set(url, new Redis(url, { maxRetriesPerRequest: 2, enableOfflineQueue: true }));
+  }
+  return redisClients.get(url);
+}
+
+// Stores are cached per URL and namespace so state survives across requests of one instance
+const stores = new Map();
+
+function createStore(url, namespace) {
+  const cacheKey = `${url}|${namespace}`;
+  if (stores.has(cacheKey)) {
+    return stores.get(cacheKey);
+  }
+
+  let store;
+  if (url.startsWith('memory:')) {
+    store = new MemoryStore();
+  } else if (url.startsWith('file:')) {
+    const directory = url.replace(/^file:(\/\/)?/, '') || '.';
+    store = new FileStore(path.resolve(directory), namespace);
+  } else if (/^rediss?:/.test(url)) {
+    store = new RedisStore(url, namespace);
+  } else {
+    throw new Error(`Unsupported store URL: ${url}`);
+  }
+
+  stores.set(cacheKey, store);
+  return store;
+}
+
+// Store for a feature: its own <FEATURE>_STORE variable, else STORE_URL, else memory
+function getStore(namespace, envVariable) {
+  const url = process.env[envVariable] || process.env.STORE_URL || 'memory://';
+  return createStore(url, namespace);
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore,
+  RedisStore,
+  createStore,
+  getStore
+};
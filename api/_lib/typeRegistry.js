@@ -0,0 +1,39 @@
+// Contract type registry for the API, read once per instance from shared/contractTypes/.
+// The definitions are ES modules shared with the browser (see shared/typeRegistry.js)
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const TYPES_DIR = path.join(__dirname, '..', '..', 'shared', 'contractTypes');
+
+let registryPromise = null;
+
+async function loadTypeRegistry() {
+  const { createTypeRegistry } = await import('../../shared/typeRegistry.js');
+
+  const files = fs.readdirSync(TYPES_DIR)
+    .filter(file => file.endsWith('.js') && !file.startsWith('_'))
+    .sort();
+
+  const definitions = await Promise.all(files.map(async file => {
+    const module = await import(pathToFileURL(path.join(TYPES_DIR, file)).href);
+    return module.default;
+  }));
+
+  return createTypeRegistry(definitions);
+}
+
+// The loaded registry; a failed load is retried on the next call
+function getTypeRegistry() {
+  if (!registryPromise) {
+    registryPromise = loadTypeRegistry().catch(error => {
+      registryPromise = null;
+      throw error;
+    });
+  }
+  return registryPromise;
+}
+
+module.exports = {
+  getTypeRegistry
+};
@@ -0,0 +1,77 @@
+// Vercel Function issuing Sign-In with Ethereum (EIP-4361) challenges
+const { ethers } = require('ethers');
+const { createChallenge } = require('../_lib/auth');
+const { consumeRateLimit, setRateLimitHeaders, rateLimitError } = require('../_lib/rateLimit');
+
+module.exports = async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        type: 'MethodNotAllowed'
+      }
+    });
+  }
+
+  try {
+    // Challenges are unauthenticated, so they are limited per client IP
+    const quota = await consumeRateLimit(req, 'challenge');
+    setRateLimitHeaders(res, quota);
+    if (!quota.allowed) {
+      return res.status(429).json(rateLimitError(quota));
+    }
+
+    const { address, chainId } = req.body || {};
+
+    // isAddress also rejects a mixed-case address with a bad checksum
+    if (typeof address !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(address) || !ethers.isAddress(address)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'A valid wallet address is required',
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Chain ID must be a positive integer',
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    const challenge = createChallenge(req, address, chainId);
+
+    res.status(200).json({
+      success: true,
+      data: challenge
+    });
+
+  } catch (error) {
+    console.error('Auth challenge error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create sign-in challenge',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+}
@@ -0,0 +1,73 @@
+// Vercel Function verifying signed Sign-In with Ethereum challenges
+const { UnauthorizedError, ValidationError, verifyChallenge, issueSessionToken } = require('../_lib/auth');
+
+module.exports = async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        type: 'MethodNotAllowed'
+      }
+    });
+  }
+
+  try {
+    const { message, signature } = req.body || {};
+
+    if (typeof message !== 'string' || typeof signature !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Message and signature are required',
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    const wallet = await verifyChallenge(req, message, signature);
+    const session = issueSessionToken(wallet);
+
+    console.log(`🔐 Wallet signed in: ${wallet.address}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...wallet,
+        ...session
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof UnauthorizedError || error instanceof ValidationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          message: error.message,
+          type: error.name
+        }
+      });
+    }
+
+    console.error('Auth verify error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to verify signature',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+}
@@ -0,0 +1,74 @@
+// Vercel Function compiling contract sources to ABI and bytecode for browser deployment
+const { UnauthorizedError, requireWalletAuth } = require('./_lib/auth');
+const { compileContract } = require('./_lib/compiler');
+const { validateSourceFiles } = require('./_lib/sources');
+
+module.exports = async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        type: 'MethodNotAllowed'
+      }
+    });
+  }
+
+  try {
+    requireWalletAuth(req);
+
+    const { files } = req.body || {};
+
+    const filesError = validateSourceFiles(files);
+    if (filesError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: filesError,
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    const compilation = compileContract(files);
+
+    // Compiler errors are a normal outcome here; the client shows them instead of a deploy form
+    res.status(200).json({
+      success: true,
+      data: compilation
+    });
+
+  } catch (error) {
+    if (error instanceof UnauthorizedError) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: error.message,
+          type: error.name
+        }
+      });
+    }
+
+    console.error('Compile error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Compilation failed',
+        details: error.message,
+        type: error.name || 'CompilationError',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+}
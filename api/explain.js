@@ -0,0 +1,275 @@
+// Vercel Function explaining a Solidity contract in plain language for non-developers: a
+// summary, the callable functions with who may call them and what they do, roles, events
+// and trust assumptions. The facts (callers, events, state changes) come from the compiler's
+// AST; the LLM writes the prose around them. When the LLM is unavailable the facts are
+// described on their own, and when the source does not compile the LLM explains it alone
+const { UnauthorizedError, requireWalletAuth } = require('./_lib/auth');
+const { validateSourceFiles } = require('./_lib/sources');
+const { explainContract } = require('./_lib/explainer');
+const { LLMService } = require('./_lib/llmService');
+const { consumeRateLimit, setRateLimitHeaders, rateLimitError } = require('./_lib/rateLimit');
+
+// Raised when the explanation depended on the LLM alone and the provider failed
+class UpstreamError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.statusCode = 502;
+  }
+}
+
+// Longest text accepted from the LLM for one field
+const MAX_TEXT_LENGTH = 2000;
+
+function getSystemPrompt() {
+  return `You explain Solidity smart contracts to product managers who sign off on them but cannot read code. Write plain, precise English without jargon; name functions and roles as they appear in the code.
+
+RULES:
+- Describe what the contract does for its users, not how the code is written
+- For every function say what it does in one sentence, from the point of view of the person calling it
+- Trust assumptions are what users must trust privileged accounts, other contracts or the deployer not to do; be concrete about what a privileged account could do to users
+- When FACTS are given they were read from the compiled code: do not contradict who can call a function or which events it emits
+
+OUTPUT FORMAT:
+- Return ONLY a JSON object, no text before or after it:
+{
+  "summary": "2-4 sentences on what the contract is for and how it is used",
+  "functions": [{ "signature": "name(type,...)", "callers": "who may call it", "effects": "what it does", "events": ["EventName"] }],
+  "roles": [{ "id": "role as named in the code", "description": "what the role is for and how accounts get it" }],
+  "events": [{ "name": "EventName", "description": "when it is emitted and what it tells observers" }],
+  "trustAssumptions": ["one assumption per entry"]
+}`;
+}
+
+function generateUserPrompt(files, facts) {
+  let prompt = 'Explain this contract.\n\n';
+
+  if (facts) {
+    const compact = {
+      contract: facts.contractName,
+      inherits: facts.bases,
+      functions: facts.functions.map(({ signature, callers, conditions, readOnly, payable, events, stateChanges, sendsEther, externalCalls }) =>
+        ({ signature, callers, conditions, readOnly, payable, events, stateChanges, sendsEther, externalCalls })),
+      roles: facts.roles.map(({ id, functions }) => ({ id, functions }))
+    };
+    prompt += `FACTS:\n${JSON.stringify(compact, null, 2)}\n\n`;
+    prompt += 'Explain every function listed in FACTS, using its signature as given.\n\n';
+  }
+
+  for (const file of files) {
+    prompt += `FILE ${file.path}:\n${file.source}\n\n`;
+  }
+
+  return prompt;
+}
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.trim().slice(0, MAX_TEXT_LENGTH) : '';
+}
+
+// The JSON object of an LLM reply, with only well-formed entries kept; throws when there is none
+function parseExplanation(reply) {
+  const text = String(reply).replace(/```(?:json)?/g, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  let parsed = null;
+  try {
+    parsed = start !== -1 && end > start ? JSON.parse(text.slice(start, end + 1)) : null;
+  } catch (error) {
+    parsed = null;
+  }
+
+  if (!parsed || typeof parsed !== 'object' || !cleanText(parsed.summary)) {
+    throw new Error('Explanation reply is not the requested JSON object');
+  }
+
+  const list = value => Array.isArray(value) ? value.filter(item => item && typeof item === 'object') : [];
+
+  return {
+    summary: cleanText(parsed.summary),
+    functions: list(parsed.functions).filter(fn => cleanText(fn.signature)),
+    roles: list(parsed.roles).filter(role => cleanText(role.id)),
+    events: list(parsed.events).filter(event => cleanText(event.name)),
+    trustAssumptions: (Array.isArray(parsed.trustAssumptions) ? parsed.trustAssumptions : []).map(cleanText).filter(Boolean)
+  };
+}
+
+// Explanation from the compiler facts, with the LLM's prose where it has some. The trust
+// assumptions read from the facts are always kept, so no privilege goes unmentioned
+function mergeExplanation(facts, prose) {
+  const effects = new Map((prose?.functions || []).map(fn => [cleanText(fn.signature).replace(/\s+/g, ''), cleanText(fn.effects)]));
+  const roleText = new Map((prose?.roles || []).map(role => [cleanText(role.id), cleanText(role.description)]));
+  const eventText = new Map((prose?.events || []).map(event => [cleanText(event.name), cleanText(event.description)]));
+
+  return {
+    contractName: facts.contractName,
+    summary: prose?.summary || facts.summary,
+    functions: facts.functions.map(fn => ({ ...fn, effects: effects.get(fn.signature) || fn.effects })),
+    roles: facts.roles.map(role => ({ ...role, description: roleText.get(role.id) || '' })),
+    events: facts.events.map(event => ({
+      ...event,
+      description: eventText.get(event.name) || (event.emittedBy.length > 0 ? `Emitted by ${event.emittedBy.join(', ')}.` : '')
+    })),
+    trustAssumptions: [...new Set([...facts.trustAssumptions, ...(prose?.trustAssumptions || [])])]
+  };
+}
+
+// Explanation from the LLM alone, for sources the compiler could not read
+function proseExplanation(prose) {
+  return {
+    contractName: null,
+    summary: prose.summary,
+    functions: prose.functions.map(fn => ({
+      name: cleanText(fn.signature).split('(')[0],
+      signature: cleanText(fn.signature),
+      callers: cleanText(fn.callers) || 'Unknown',
+      effects: cleanText(fn.effects),
+      events: Array.isArray(fn.events) ? fn.events.map(cleanText).filter(Boolean) : []
+    })),
+    roles: prose.roles.map(role => ({ id: cleanText(role.id), label: cleanText(role.id), description: cleanText(role.description) })),
+    events: prose.events.map(event => ({ name: cleanText(event.name), description: cleanText(event.description) })),
+    trustAssumptions: prose.trustAssumptions
+  };
+}
+
+module.exports = async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        type: 'MethodNotAllowed'
+      }
+    });
+  }
+
+  try {
+    const wallet = requireWalletAuth(req);
+
+    const quota = await consumeRateLimit(req, 'explain', wallet);
+    setRateLimitHeaders(res, quota);
+    if (!quota.allowed) {
+      return res.status(429).json(rateLimitError(quota));
+    }
+
+    const { files, contractName } = req.body || {};
+
+    const filesError = validateSourceFiles(files);
+    if (filesError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: filesError,
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    if (contractName !== undefined && contractName !== null && (typeof contractName !== 'string' || !/^\w+$/.test(contractName))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'contractName must be the name of a contract in the files',
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    const facts = explainContract(files, contractName);
+    const hasFacts = Boolean(facts.contractName);
+
+    if (contractName && facts.compilation.success && !hasFacts) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Contract ${contractName} is not defined in the files`,
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    const llmService = new LLMService();
+    let prose = null;
+    let llmError = null;
+
+    try {
+      const reply = await llmService.generateContract(
+        getSystemPrompt(),
+        generateUserPrompt(files, hasFacts ? facts : null),
+        { maxTokens: 3000, temperature: 0.2 }
+      );
+      prose = parseExplanation(reply);
+    } catch (error) {
+      // Without facts there is nothing to fall back on
+      if (!hasFacts) {
+        throw new UpstreamError(`The contract does not compile and the LLM could not explain it: ${error.message}`);
+      }
+      llmError = error.message;
+      console.warn('⚠️ LLM explanation failed, describing the compiler facts only:', error.message);
+    }
+
+    const explanation = hasFacts ? mergeExplanation(facts, prose) : proseExplanation(prose);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...explanation,
+        compilation: facts.compilation,
+        metadata: {
+          basis: hasFacts ? 'compiler' : 'source',
+          explainedBy: prose ? 'llm' : 'analysis',
+          llmProvider: prose ? llmService.producer?.provider : null,
+          llmModel: prose ? llmService.producer?.model : null,
+          llmError: llmError,
+          generatedAt: new Date().toISOString()
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof UnauthorizedError) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: error.message,
+          type: error.name
+        }
+      });
+    }
+
+    if (error instanceof UpstreamError) {
+      console.error('Explain error:', error.message);
+      return res.status(502).json({
+        success: false,
+        error: {
+          message: error.message,
+          type: error.name,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    console.error('Explain error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Contract explanation failed',
+        details: error.message,
+        type: error.name || 'ExplanationError',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+}
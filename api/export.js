@@ -0,0 +1,133 @@
+// Vercel Function exporting generated contracts as a Hardhat or Foundry project archive
+const { UnauthorizedError, requireWalletAuth } = require('./_lib/auth');
+const { compileContract } = require('./_lib/compiler');
+const { FRAMEWORKS, buildProjectArchive } = require('./_lib/project');
+const { validateSourceFiles } = require('./_lib/sources');
+
+const TEST_PATH = /^test\/[\w.-]+\.(t\.sol|test\.js)$/;
+
+module.exports = async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        type: 'MethodNotAllowed'
+      }
+    });
+  }
+
+  try {
+    const wallet = requireWalletAuth(req);
+
+    const { files, framework = 'hardhat', contractName = null, options = {}, tests = null } = req.body || {};
+
+    const filesError = validateSourceFiles(files);
+    if (filesError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: filesError,
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    const validTests = tests === null || (typeof tests === 'object' && FRAMEWORKS.includes(tests.framework) &&
+      typeof tests.path === 'string' && TEST_PATH.test(tests.path) && typeof tests.source === 'string');
+
+    if (!validTests) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Tests must be a { framework, path, source } entry with a path under test/',
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    if (!FRAMEWORKS.includes(framework)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Framework must be one of: ${FRAMEWORKS.join(', ')}`,
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    // The deploy script needs the constructor ABI, so only compiling sources can be exported
+    const compilation = compileContract(files);
+    if (!compilation.success) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'The contract does not compile; fix the compiler errors before exporting',
+          type: 'CompilationError',
+          errors: compilation.errors
+        }
+      });
+    }
+
+    const archive = await buildProjectArchive({
+      files,
+      compilation,
+      framework,
+      options: options && typeof options === 'object' ? options : {},
+      contractName,
+      tests
+    });
+
+    if (!archive) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: contractName
+            ? `No deployable contract named ${contractName}`
+            : 'The files do not contain a deployable contract',
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    console.log(`📦 Exported ${archive.contractName} as ${framework} project for ${wallet.address}`);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${archive.fileName}"`);
+    res.status(200).send(archive.buffer);
+
+  } catch (error) {
+    if (error instanceof UnauthorizedError) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: error.message,
+          type: error.name
+        }
+      });
+    }
+
+    console.error('Project export error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Project export failed',
+        details: error.message,
+        type: error.name || 'ExportError',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+}
@@ -1,179 +1,147 @@
 // Vercel Function for LLM-powered contract generation
-const axios = require('axios');
-
-// Rate limiting state (in-memory, resets on function restart)
-const rateLimitMap = new Map();
-
-// Helper function for rate limiting
-function checkRateLimit(ip, limit = 10, window = 15 * 60 * 1000) { // 10 requests per 15 minutes
-  const now = Date.now();
-  const requests = rateLimitMap.get(ip) || [];
-  
-  // Remove old requests outside the window
-  const validRequests = requests.filter(time => now - time < window);
-  
-  if (validRequests.length >= limit) {
-    return false;
-  }
-  
-  validRequests.push(now);
-  rateLimitMap.set(ip, validRequests);
-  return true;
-}
+const { createTwoFilesPatch } = require('diff');
+const { UnauthorizedError, requireWalletAuth } = require('./_lib/auth');
+const { compileContract } = require('./_lib/compiler');
+const { analyzeFiles } = require('./_lib/analyzer');
+const { LLMService } = require('./_lib/llmService');
+const { consumeRateLimit, setRateLimitHeaders, rateLimitError } = require('./_lib/rateLimit');
+const { getCacheKey, getCachedGeneration, setCachedGeneration } = require('./_lib/generationCache');
+const { addHistoryItem, addHistoryVersion } = require('./_lib/history');
+const { validateParameters, describeParameters } = require('./_lib/parameters');
+const { getTypeRegistry } = require('./_lib/typeRegistry');
+const { validateSourceFiles } = require('./_lib/sources');
+const { selectPromptVersion, renderPrompt } = require('./_lib/prompts');
+
+// Upper bound on compiler-feedback repair rounds per request
+const MAX_REPAIR_ROUNDS = parseInt(process.env.COMPILE_MAX_REPAIR_ROUNDS) || 2;
+
+// Ask the LLM for the contract type when keyword classification is not confident
+const LLM_TYPE_CLASSIFICATION = process.env.LLM_TYPE_CLASSIFICATION === 'on';
+
+// Marker line the model uses to start a new file in multi-file output
+const FILE_MARKER = '// File:';
+
+// Header of a top-level Solidity unit
+const UNIT_HEADER = /^(abstract\s+contract|contract|interface|library)\s+\w+/;
+
+// Lines allowed at file level between units
+const TOP_LEVEL_LINE = /^(\/\/|\/\*|\*|pragma\b|import\b|using\b|error\b|event\b|struct\b|enum\b|type\b|function\b|abstract\b|contract\b|interface\b|library\b|[\w\s]+\bconstant\b|[{}])/;
+
+// Test suites that can be generated alongside a contract (options.withTests)
+const TEST_FRAMEWORKS = ['foundry', 'hardhat'];
+
+// Severities of review issues, most severe first (the analyzer's scale)
+const REVIEW_SEVERITIES = ['high', 'medium', 'low', 'info'];
 
 // Contract template service
 class ContractTemplateService {
-  constructor() {
-    this.contractTypes = {
-      erc20: {
-        keywords: ['token', 'erc20', 'coin', 'currency', 'payment', 'fungible'],
-        name: 'ERC-20 Token Contract'
-      },
-      erc721: {
-        keywords: ['nft', 'collectible', 'art', 'unique', 'non-fungible', 'erc721'],
-        name: 'ERC-721 NFT Contract'
-      },
-      multisig: {
-        keywords: ['multisig', 'multi-signature', 'wallet', 'governance', 'voting'],
-        name: 'Multi-Signature Wallet'
-      },
-      crowdfunding: {
-        keywords: ['crowdfunding', 'fundraising', 'ico', 'investment', 'raise'],
-        name: 'Crowdfunding Contract'
-      },
-      defi: {
-        keywords: ['defi', 'lending', 'staking', 'yield', 'liquidity', 'farming'],
-        name: 'DeFi Protocol Contract'
-      },
-      governance: {
-        keywords: ['dao', 'governance', 'voting', 'proposal', 'democracy'],
-        name: 'DAO Governance Contract'
-      },
-      custom: {
-        keywords: ['custom', 'specific', 'tailored', 'bespoke'],
-        name: 'Custom Smart Contract'
-      }
-    };
+  // typeRegistry holds the contract type definitions (api/_lib/typeRegistry.js); promptKey
+  // (the wallet address) keeps a caller on the same A/B prompt variant
+  constructor(typeRegistry, { promptKey = null } = {}) {
+    this.typeRegistry = typeRegistry;
+    this.promptKey = promptKey;
+    this.prompts = new Map();
   }
 
   detectContractType(requirements) {
-    const text = requirements.toLowerCase();
-    
-    for (const [type, config] of Object.entries(this.contractTypes)) {
-      for (const keyword of config.keywords) {
-        if (text.includes(keyword)) {
-          return type;
-        }
-      }
-    }
-    
-    return 'custom';
+    return this.typeRegistry.detect(requirements);
   }
 
-  getSystemPrompt(contractType) {
-    const basePrompt = `You are an expert Solidity smart contract developer with deep knowledge of blockchain security, gas optimization, and best practices. Your task is to generate production-ready smart contracts based on user requirements.
+  // Ranked type candidates with confidence (shared/typeClassifier.js)
+  classifyContractType(requirements) {
+    return this.typeRegistry.classify(requirements);
+  }
 
-REQUIREMENTS:
-- Use Solidity ^0.8.19 or later
-- Follow OpenZeppelin standards when applicable
-- Include comprehensive natspec documentation
-- Implement proper security measures (reentrancy guards, access controls, etc.)
-- Optimize for gas efficiency
-- Include proper error handling with custom errors
-- Use events for important state changes
-- Follow the Checks-Effects-Interactions pattern
-
-SECURITY CONSIDERATIONS:
-- Always validate inputs
-- Use SafeMath patterns (though not required in 0.8+)
-- Implement proper access controls
-- Consider potential attack vectors
-- Use reentrancy guards where needed
+  getClassificationSystemPrompt() {
+    const types = this.typeRegistry.types
+      .map(definition => `- ${definition.type}: ${definition.name} - ${definition.description}`)
+      .join('\n');
+
+    return `You classify smart contract requests by intent. Pick the contract type that best matches what the user wants to build. Words that are negated ("not an NFT") or only mentioned as parts of the design do not decide the type.
+
+CONTRACT TYPES:
+${types}
 
 OUTPUT FORMAT:
-- Return ONLY the Solidity contract code
-- Start with SPDX license identifier
-- Include pragma statement
-- Add comprehensive comments and documentation
-- No explanatory text before or after the code`;
+- Return ONLY a JSON object: {"type": "<contract type>", "confidence": <number between 0 and 1>}
+- No explanatory text before or after the JSON`;
+  }
 
-    const typeSpecificPrompt = this.getTypeSpecificPrompt(contractType);
-    
-    return `${basePrompt}\n\n${typeSpecificPrompt}`;
+  generateClassificationPrompt(requirements) {
+    return `Classify this smart contract request:\n\n${requirements}`;
   }
 
-  getTypeSpecificPrompt(contractType) {
-    const prompts = {
-      erc20: `SPECIFIC REQUIREMENTS FOR ERC-20 TOKEN:
-- Implement full ERC-20 interface
-- Include mint/burn functionality if needed
-- Add owner controls for token management
-- Consider implementing pausable functionality
-- Include proper decimals handling`,
-
-      erc721: `SPECIFIC REQUIREMENTS FOR ERC-721 NFT:
-- Implement full ERC-721 interface with metadata extension
-- Include proper tokenURI functionality
-- Add minting controls and supply limits
-- Consider royalty standards (ERC-2981) if applicable
-- Include batch operations for gas efficiency`,
-
-      multisig: `SPECIFIC REQUIREMENTS FOR MULTISIG WALLET:
-- Implement multi-signature transaction approval system
-- Include owner management functionality
-- Add transaction proposal and execution system
-- Implement proper threshold controls
-- Include emergency recovery mechanisms`,
-
-      crowdfunding: `SPECIFIC REQUIREMENTS FOR CROWDFUNDING:
-- Implement funding goals and deadlines
-- Add refund mechanisms for failed campaigns
-- Include contributor tracking and rewards
-- Add fund withdrawal controls for campaign owners
-- Consider milestone-based funding release`,
-
-      defi: `SPECIFIC REQUIREMENTS FOR DEFI PROTOCOL:
-- Implement secure token handling and transfers
-- Add proper price oracle integration considerations
-- Include yield calculation mechanisms
-- Implement emergency pause functionality
-- Add proper liquidity management controls`,
-
-      governance: `SPECIFIC REQUIREMENTS FOR DAO GOVERNANCE:
-- Implement proposal creation and voting mechanisms
-- Add vote delegation functionality
-- Include timelock controls for execution
-- Add quorum and threshold management
-- Consider vote weight calculation methods`,
-
-      custom: `SPECIFIC REQUIREMENTS FOR CUSTOM CONTRACT:
-- Analyze the requirements carefully to determine the best implementation approach
-- Follow established patterns from similar contract types
-- Implement all necessary functionality as specified
-- Ensure the contract is secure and gas-efficient`
+  // { type, confidence } from the classifier's reply; throws when it is not a known type
+  parseClassification(reply) {
+    const json = String(reply).match(/\{[\s\S]*?\}/);
+    const parsed = json ? JSON.parse(json[0]) : null;
+
+    if (!parsed || !this.typeRegistry.has(parsed.type)) {
+      throw new Error('Classifier reply does not name a known contract type');
+    }
+
+    const confidence = Number(parsed.confidence);
+    return {
+      type: parsed.type,
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : null
     };
+  }
+
+  // Version of a prompt template for this request (api/_lib/prompts.js); picked once per
+  // service so every call of a request, repairs included, uses the same version
+  getPromptTemplate(id) {
+    if (!this.prompts.has(id)) {
+      this.prompts.set(id, selectPromptVersion(id, this.promptKey));
+    }
+    return this.prompts.get(id);
+  }
 
-    return prompts[contractType] || prompts.custom;
+  // Ids and versions of the prompt templates used so far, for the response metadata
+  getPromptMetadata() {
+    return [...this.prompts.values()].map(({ id, version, selection }) => ({ id, version, selection }));
+  }
+
+  getSystemPrompt(contractType) {
+    return renderPrompt(this.getPromptTemplate('contract-system'), {
+      fileMarker: FILE_MARKER,
+      typeName: this.typeRegistry.get(contractType).name,
+      typePrompt: this.getTypeSpecificPrompt(contractType)
+    });
+  }
+
+  // The prompt version's section for the type, else the prompt of the type's definition
+  getTypeSpecificPrompt(contractType) {
+    return this.getPromptTemplate('contract-system').types[contractType] ?? this.typeRegistry.get(contractType).prompt;
   }
 
   generateUserPrompt(requirements, contractType, options = {}) {
-    let prompt = `Please generate a ${this.contractTypes[contractType]?.name || 'smart contract'} based on the following requirements:\n\n`;
+    const definition = this.typeRegistry.get(contractType);
+    let prompt = `Please generate a ${definition.name} based on the following requirements:\n\n`;
     
     prompt += `REQUIREMENTS:\n${requirements}\n\n`;
+
+    // Typed parameters from the type's form; they win over anything the text implies
+    const parameters = describeParameters(definition, options);
+    if (parameters.length > 0) {
+      prompt += `PARAMETERS (use these exact values):\n${parameters.map(line => `- ${line}`).join('\n')}\n\n`;
+    }
+
+    // Token fields sent for a type whose schema does not declare them
+    const declared = definition.parameters.properties;
     
-    if (options.tokenName) {
+    if (options.tokenName && !declared.tokenName) {
       prompt += `TOKEN NAME: ${options.tokenName}\n`;
     }
     
-    if (options.tokenSymbol) {
+    if (options.tokenSymbol && !declared.tokenSymbol) {
       prompt += `TOKEN SYMBOL: ${options.tokenSymbol}\n`;
     }
     
-    if (options.initialSupply) {
+    if (options.initialSupply && !declared.initialSupply) {
       prompt += `INITIAL SUPPLY: ${options.initialSupply}\n`;
     }
     
-    if (options.additionalFeatures && options.additionalFeatures.length > 0) {
+    if (options.additionalFeatures && options.additionalFeatures.length > 0 && !declared.additionalFeatures) {
       prompt += `ADDITIONAL FEATURES: ${options.additionalFeatures.join(', ')}\n`;
     }
     
@@ -182,6 +150,281 @@ OUTPUT FORMAT:
     return prompt;
   }
 
+  generateRefinePrompt(previousContract, instruction, contractType) {
+    let prompt = `Please revise the following ${this.typeRegistry.get(contractType).name} according to the change request.\n\n`;
+
+    prompt += `CHANGE REQUEST:\n${instruction}\n\n`;
+    prompt += `CURRENT CONTRACT:\n${previousContract}\n\n`;
+
+    prompt += `Apply only the requested change. Keep every other function, name, value and earlier modification exactly as it is unless the change request requires touching it. `;
+    prompt += `Return the complete revised contract. Generate only the Solidity code without any additional explanations.`;
+
+    return prompt;
+  }
+
+  generateRepairPrompt(contractCode, compilerErrors) {
+    let prompt = `The following Solidity contract does not compile. Fix every compiler error while keeping the existing functionality, names and structure.\n\n`;
+
+    prompt += `COMPILER ERRORS:\n`;
+    for (const error of compilerErrors) {
+      const location = [error.file, error.line && `line ${error.line}`].filter(Boolean).join(' ');
+      prompt += `- ${location ? `${location}: ` : ''}${error.type}: ${error.message}\n`;
+    }
+
+    prompt += `\nCONTRACT:\n${contractCode}\n\n`;
+    prompt += `Return the complete corrected contract, keeping any "${FILE_MARKER}" markers. Generate only the Solidity code without any additional explanations.`;
+
+    return prompt;
+  }
+
+  // Split cleaned output into files at "// File:" markers and list the units each declares
+  splitIntoFiles(cleanedContract) {
+    const sections = [];
+    let current = null;
+
+    for (const line of cleanedContract.split('\n')) {
+      if (line.trim().startsWith(FILE_MARKER)) {
+        current = { requestedPath: line.trim().slice(FILE_MARKER.length).trim(), lines: [] };
+        sections.push(current);
+      } else {
+        if (!current) {
+          current = { requestedPath: null, lines: [] };
+          sections.push(current);
+        }
+        current.lines.push(line);
+      }
+    }
+
+    const usedPaths = new Set();
+    const files = [];
+
+    for (const section of sections) {
+      let source = section.lines.join('\n').trim();
+      const units = this.findDeclaredUnits(source);
+
+      // Text before the first marker that declares nothing (stray SPDX/pragma lines) is dropped
+      if (units.length === 0) {
+        continue;
+      }
+
+      if (!source.includes('SPDX-License-Identifier')) {
+        source = '// SPDX-License-Identifier: MIT\n' + source;
+      }
+      if (!source.includes('pragma solidity')) {
+        source = source.replace(/^(\/\/ SPDX-License-Identifier:.*)$/m, '$1\npragma solidity ^0.8.19;');
+      }
+
+      // Flat, file-system safe paths so that "./Name.sol" imports resolve
+      const baseName = (section.requestedPath || '').split('/').pop().replace(/[^\w.-]/g, '');
+      let path = /\.sol$/.test(baseName) ? baseName : `${units[units.length - 1].name}.sol`;
+      for (let suffix = 2; usedPaths.has(path); suffix++) {
+        path = path.replace(/(_\d+)?\.sol$/, `_${suffix}.sol`);
+      }
+      usedPaths.add(path);
+
+      files.push({ path, source, units });
+    }
+
+    if (files.length === 0) {
+      files.push({ path: 'Contract.sol', source: cleanedContract, units: [] });
+    }
+
+    return files;
+  }
+
+  // Top-level contracts, interfaces and libraries declared in a source file
+  findDeclaredUnits(source) {
+    const units = [];
+    const pattern = /^\s*(abstract\s+contract|contract|interface|library)\s+(\w+)/gm;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      units.push({ kind: match[1].replace(/\s+/, ' '), name: match[2] });
+    }
+    return units;
+  }
+
+  // Inverse of splitIntoFiles: a single file stays as is, several files get "// File:" markers
+  joinFiles(files) {
+    if (files.length === 1) {
+      return files[0].source;
+    }
+    return files.map(file => `${FILE_MARKER} ${file.path}\n${file.source}`).join('\n\n');
+  }
+
+  // Deployable contract the tests and scripts target: the last contract of the last file
+  getMainContractName(files) {
+    for (let i = files.length - 1; i >= 0; i--) {
+      const contracts = files[i].units.filter(unit => unit.kind === 'contract');
+      if (contracts.length > 0) {
+        return contracts[contracts.length - 1].name;
+      }
+    }
+    return null;
+  }
+
+  getTestSystemPrompt(framework) {
+    const frameworkRules = framework === 'hardhat'
+      ? `- Write a Hardhat test in JavaScript using ethers v6, mocha and chai (@nomicfoundation/hardhat-toolbox)
+- Use loadFixture from @nomicfoundation/hardhat-toolbox/network-helpers for deployment
+- Assert reverts with revertedWith / revertedWithCustomError
+- Return ONLY the JavaScript file, no explanatory text`
+      : `- Write a Foundry test in Solidity that imports forge-std/Test.sol
+- Import the contracts under test from "../src/<File>.sol"
+- Assert reverts with vm.expectRevert, using the custom error selector where the contract defines one
+- Return ONLY the Solidity file, starting with the SPDX license identifier`;
+
+    return `You are an expert smart contract test engineer. Your task is to write a thorough unit test suite for a given Solidity contract.
+
+REQUIREMENTS:
+- Cover the main user flows of the contract end to end
+- Cover every access-controlled function: the authorized caller succeeds and other callers revert
+- Cover input validation failures and emitted events
+- Use descriptive test names
+${frameworkRules}`;
+  }
+
+  generateTestPrompt(files, contractName, framework) {
+    let prompt = `Write a ${framework === 'hardhat' ? 'Hardhat' : 'Foundry'} test suite for the contract ${contractName}.\n\n`;
+
+    prompt += `SOURCE FILES: ${files.map(file => file.path).join(', ')}\n\n`;
+    prompt += `CONTRACT:\n${this.joinFiles(files)}\n\n`;
+    prompt += `Generate only the test file without any additional explanations.`;
+
+    return prompt;
+  }
+
+  // Strip markdown and prose from a generated test file
+  cleanTestFile(testCode, framework) {
+    if (!testCode || typeof testCode !== 'string') {
+      throw new Error('Invalid test code received from LLM');
+    }
+
+    // Prefer the longest fenced block when the model wrapped the file in markdown
+    const blocks = [...testCode.matchAll(/```[\w-]*\n([\s\S]*?)```/g)].map(match => match[1]);
+    let cleaned = blocks.length > 0
+      ? blocks.reduce((longest, block) => block.length > longest.length ? block : longest)
+      : testCode;
+    cleaned = cleaned.trim();
+
+    if (framework === 'hardhat') {
+      if (!/\bdescribe\s*\(/.test(cleaned)) {
+        throw new Error('Generated tests do not contain a mocha test suite');
+      }
+      return cleaned;
+    }
+
+    // Solidity tests: drop anything before the first Solidity line
+    const start = cleaned.search(/^(\/\/ SPDX-License-Identifier:|pragma solidity|import )/m);
+    if (start > 0) {
+      cleaned = cleaned.slice(start);
+    }
+    if (!/\bcontract\s+\w+/.test(cleaned)) {
+      throw new Error('Generated tests do not contain a test contract');
+    }
+    return cleaned;
+  }
+
+  getReviewSystemPrompt(withPatch) {
+    const patchRules = withPatch
+      ? `- After the JSON block, return the complete patched contract in one \`\`\`solidity block that fixes every high and medium issue
+- Keep the "${FILE_MARKER}" markers of the input in the patched contract, and keep names, interfaces and behaviour that are not part of a fix`
+      : `- Do not return a patched contract`;
+
+    return `You are an expert smart contract security auditor. Your task is to review an existing Solidity contract written by someone else.
+
+CHECKLIST:
+- Access control: privileged functions, ownership transfer, role management
+- Reentrancy and checks-effects-interactions around external calls and ETH transfers
+- Input validation, arithmetic and unchecked blocks, edge cases (zero values, empty arrays, self-transfers)
+- Unchecked return values of low-level calls and tokens that do not return a bool
+- Denial of service through unbounded loops or calls that can be made to fail
+- Front-running, oracle and timestamp dependence
+- Correct use of OpenZeppelin contracts and of the standards the contract claims to implement
+- Missing events for state changes
+
+OUTPUT FORMAT:
+- First a \`\`\`json block with this object:
+{
+  "summary": "2-4 sentences on what the contract does and its overall state",
+  "issues": [{ "severity": "high|medium|low|info", "title": "short name", "description": "what is wrong and how it can be exploited", "file": "File.sol", "line": 42, "fix": "how to fix it" }]
+}
+- Only report issues you can point to in the code; an empty list is a valid answer
+${patchRules}`;
+  }
+
+  generateReviewPrompt(files, { compilation, analysis, focus, withPatch }) {
+    let prompt = `Please review the following contract${withPatch ? ' and patch the issues you find' : ''}.\n\n`;
+
+    if (focus) {
+      prompt += `REVIEW FOCUS:\n${focus}\n\n`;
+    }
+
+    if (!compilation.success) {
+      prompt += `COMPILER ERRORS:\n`;
+      for (const error of compilation.errors) {
+        const location = [error.file, error.line && `line ${error.line}`].filter(Boolean).join(' ');
+        prompt += `- ${location ? `${location}: ` : ''}${error.type}: ${error.message}\n`;
+      }
+      prompt += '\n';
+    }
+
+    if (analysis.findings.length > 0) {
+      prompt += `STATIC ANALYSIS FINDINGS (confirm or dismiss each one):\n`;
+      for (const finding of analysis.findings) {
+        prompt += `- ${finding.file} line ${finding.line} [${finding.severity}] ${finding.message}\n`;
+      }
+      prompt += '\n';
+    }
+
+    prompt += `CONTRACT:\n${this.joinFiles(files)}\n\n`;
+    prompt += withPatch
+      ? `Return the JSON block followed by the patched contract, without any other text.`
+      : `Return only the JSON block, without any other text.`;
+
+    return prompt;
+  }
+
+  // Summary, issues and the patched contract (null when there is none) of a review reply
+  parseReview(reply) {
+    const text = String(reply);
+    const patch = text.match(/```solidity\n([\s\S]*?)```/);
+    const json = (patch ? text.replace(patch[0], '') : text).replace(/```(?:json)?/g, '');
+    const start = json.indexOf('{');
+    const end = json.lastIndexOf('}');
+    let parsed = null;
+    try {
+      parsed = start !== -1 && end > start ? JSON.parse(json.slice(start, end + 1)) : null;
+    } catch (error) {
+      parsed = null;
+    }
+
+    if (!parsed || typeof parsed.summary !== 'string' || !Array.isArray(parsed.issues)) {
+      throw new Error('Review reply does not contain the requested JSON object');
+    }
+
+    const cleanText = value => typeof value === 'string' ? value.trim().slice(0, 2000) : '';
+    const issues = parsed.issues
+      .filter(issue => issue && typeof issue === 'object' && cleanText(issue.title))
+      .map(issue => {
+        const severity = String(issue.severity).toLowerCase();
+        return {
+          source: 'llm',
+          severity: severity === 'critical' ? 'high' : REVIEW_SEVERITIES.includes(severity) ? severity : 'medium',
+          title: cleanText(issue.title),
+          description: cleanText(issue.description),
+          file: typeof issue.file === 'string' ? issue.file : null,
+          line: Number.isInteger(issue.line) && issue.line > 0 ? issue.line : null,
+          fix: cleanText(issue.fix) || null
+        };
+      });
+
+    return {
+      summary: cleanText(parsed.summary),
+      issues: issues,
+      patchedContract: patch ? patch[1] : null
+    };
+  }
+
   validateAndCleanContract(contractCode) {
     if (!contractCode || typeof contractCode !== 'string') {
       throw new Error('Invalid contract code received from LLM');
@@ -221,6 +464,7 @@ OUTPUT FORMAT:
     let foundSolidityStart = false;
     let contractDepth = 0;
     let inContract = false;
+    let lastUnitEnd = 0;
     
     for (let i = 0; i < allLines.length; i++) {
       const line = allLines[i];
@@ -233,10 +477,11 @@ OUTPUT FORMAT:
       
       // Check for Solidity code markers
       const isSolidityLine = 
+        trimmedLine.startsWith(FILE_MARKER) ||
         trimmedLine.startsWith('// SPDX-License-Identifier:') ||
         trimmedLine.startsWith('pragma solidity') ||
         trimmedLine.startsWith('import ') ||
-        trimmedLine.match(/^(contract|interface|library)\s+\w+/) ||
+        UNIT_HEADER.test(trimmedLine) ||
         trimmedLine.startsWith('//') && foundSolidityStart ||
         (foundSolidityStart && (trimmedLine.includes('{') || trimmedLine.includes('}') || 
          trimmedLine.includes('function') || trimmedLine.includes('modifier') || 
@@ -275,8 +520,13 @@ OUTPUT FORMAT:
         }
       }
       
-      // Track contract depth
-      if (trimmedLine.match(/^(contract|interface|library)\s+\w+/)) {
+      // Between top-level units only file-level Solidity may appear; anything else is prose
+      if (!inContract && lastUnitEnd > 0 && trimmedLine !== '' && !TOP_LEVEL_LINE.test(trimmedLine)) {
+        continue;
+      }
+
+      // Track contract depth (file-level braced blocks such as structs count as units too)
+      if (UNIT_HEADER.test(trimmedLine) || (!inContract && trimmedLine.includes('{'))) {
         inContract = true;
         contractDepth = 0;
       }
@@ -285,15 +535,22 @@ OUTPUT FORMAT:
         contractDepth += (line.match(/\{/g) || []).length;
         contractDepth -= (line.match(/\}/g) || []).length;
         
-        // If we've closed all braces, we might be at the end of the contract
+        // All braces closed: the unit ends here, but further units may follow
         if (contractDepth === 0 && trimmedLine.includes('}')) {
           processedLines.push(line);
-          break; // Stop processing after the contract ends
+          lastUnitEnd = processedLines.length;
+          inContract = false;
+          continue;
         }
       }
       
       processedLines.push(line);
     }
+
+    // Drop whatever trails the last unit (usually closing remarks from the model)
+    if (lastUnitEnd > 0) {
+      processedLines.length = lastUnitEnd;
+    }
     
     cleaned = processedLines.join('\n');
     
@@ -324,122 +581,345 @@ OUTPUT FORMAT:
   }
 }
 
-// LLM Service
-class LLMService {
-  constructor() {
-    this.provider = process.env.LLM_PROVIDER || 'openai';
-    this.maxRetries = 3;
-    this.timeout = 30000; // 30 seconds
-  }
+// Compile the generated files and feed compiler errors back to the LLM for a bounded
+// number of repair rounds; returns the last files and their compilation summary
+async function compileWithRepair(files, { llmService, templateService, systemPrompt, options, maxRounds, onRepair }) {
+  let current = files;
+  let result = compileContract(current);
+  let rounds = 0;
 
-  async generateContract(systemPrompt, userPrompt, options = {}) {
-    const maxTokens = options.maxTokens || parseInt(process.env.OPENAI_MAX_TOKENS) || 4000;
-    const temperature = options.temperature || parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7;
+  while (!result.success && rounds < maxRounds) {
+    rounds++;
+    console.log(`🛠️ Repair round ${rounds}/${maxRounds}: ${result.errors.length} compiler error(s)`);
 
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-      try {
-        console.log(`🤖 Attempting contract generation (attempt ${attempt}/${this.maxRetries})`);
-        
-        let result;
-        if (this.provider === 'openai') {
-          result = await this.callOpenAI(systemPrompt, userPrompt, maxTokens, temperature);
-        } else if (this.provider === 'anthropic') {
-          result = await this.callAnthropic(systemPrompt, userPrompt, maxTokens, temperature);
-        } else {
-          throw new Error(`Unsupported LLM provider: ${this.provider}`);
-        }
+    if (onRepair) {
+      onRepair({ round: rounds, errors: result.errors });
+    }
 
-        console.log(`✅ Contract generated successfully on attempt ${attempt}`);
-        return result;
-      } catch (error) {
-        console.error(`❌ Attempt ${attempt} failed:`, error.message);
-        
-        if (attempt === this.maxRetries) {
-          throw new Error(`LLM generation failed after ${this.maxRetries} attempts: ${error.message}`);
-        }
-        
-        // Wait before retry (exponential backoff)
-        await this.delay(Math.pow(2, attempt) * 1000);
-      }
+    try {
+      const repairPrompt = templateService.generateRepairPrompt(templateService.joinFiles(current), result.errors);
+      const repaired = await llmService.generateContract(systemPrompt, repairPrompt, options);
+      current = templateService.splitIntoFiles(templateService.validateAndCleanContract(repaired));
+    } catch (error) {
+      console.error(`❌ Repair round ${rounds} failed:`, error.message);
+      break;
     }
+
+    result = compileContract(current);
   }
 
-  async callOpenAI(systemPrompt, userPrompt, maxTokens, temperature) {
-    const model = process.env.OPENAI_MODEL || 'gpt-4-turbo-preview';
-    
-    const response = await axios.post(
-      'https://chat.cloudapi.vip/v1/chat/completions',
-      {
-        model: model,
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt
-          },
-          {
-            role: 'user',
-            content: userPrompt
-          }
-        ],
-        max_tokens: maxTokens,
-        temperature: temperature,
-        top_p: 1,
-        frequency_penalty: 0,
-        presence_penalty: 0
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: this.timeout
-      }
+  return {
+    files: current,
+    compilation: {
+      success: result.success,
+      compilerVersion: result.compilerVersion,
+      errors: result.errors,
+      warnings: result.warnings,
+      repairRounds: rounds
+    }
+  };
+}
+
+// Ask the LLM for a unit test suite of the final files. A failure here does not fail the
+// generation; it is reported in the returned object instead of the test source
+async function generateTestSuite(files, { llmService, templateService, framework, options }) {
+  const contractName = templateService.getMainContractName(files);
+  if (!contractName) {
+    return { framework, error: 'No deployable contract to test' };
+  }
+
+  const path = framework === 'hardhat' ? `test/${contractName}.test.js` : `test/${contractName}.t.sol`;
+
+  try {
+    const testCode = await llmService.generateContract(
+      templateService.getTestSystemPrompt(framework),
+      templateService.generateTestPrompt(files, contractName, framework),
+      options
     );
 
-    if (!response.data.choices || !response.data.choices[0]) {
-      throw new Error('Invalid response from OpenAI API');
-    }
+    return { framework, contractName, path, source: templateService.cleanTestFile(testCode, framework) };
+  } catch (error) {
+    console.error('❌ Test generation failed:', error.message);
+    return { framework, contractName, path, error: error.message };
+  }
+}
 
-    return response.data.choices[0].message.content;
+// Contract type of new requirements: the keyword classification, refined by an LLM intent
+// classification (LLM_TYPE_CLASSIFICATION=on) when the keywords are not conclusive. The LLM
+// call uses its own LLMService so it is not taken for the producer of the contract; when it
+// fails the keyword result stands
+async function classifyRequirements(templateService, requirements) {
+  const { LOW_CONFIDENCE } = await import('../shared/typeClassifier.js');
+  const classification = { ...templateService.classifyContractType(requirements), source: 'keywords' };
+
+  if (!LLM_TYPE_CLASSIFICATION || classification.confidence >= LOW_CONFIDENCE) {
+    return classification;
   }
 
-  async callAnthropic(systemPrompt, userPrompt, maxTokens, temperature) {
-    const model = process.env.ANTHROPIC_MODEL || 'claude-3-sonnet-20240229';
-    
-    const response = await axios.post(
-      'https://chat.cloudapi.vip/v1/messages',
-      {
-        model: model,
-        max_tokens: maxTokens,
-        temperature: temperature,
-        system: systemPrompt,
-        messages: [
-          {
-            role: 'user',
-            content: userPrompt
-          }
-        ]
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.ANTHROPIC_API_KEY}`,
-          'Content-Type': 'application/json',
-          'anthropic-version': '2023-06-01'
-        },
-        timeout: this.timeout
-      }
+  try {
+    const reply = await new LLMService().generateContract(
+      templateService.getClassificationSystemPrompt(),
+      templateService.generateClassificationPrompt(requirements),
+      { maxTokens: 100, temperature: 0 }
     );
+    const intent = templateService.parseClassification(reply);
+    console.log(`🧭 LLM classified the requirements as ${intent.type} (keywords: ${classification.type} at ${classification.confidence})`);
+    return { ...classification, ...intent, source: 'llm' };
+  } catch (error) {
+    console.warn('⚠️ LLM type classification failed, using keywords:', error.message);
+    return classification;
+  }
+}
+
+// Contract from the deterministic offline templates instead of the LLM (mode=template): the
+// same type, parameters and requirements always give the same source. The templates are an
+// ES module shared with the browser, which falls back to them when the API is unreachable
+async function generateTemplateContract(templateService, contractType, requirements, options) {
+  const { generateFromTemplate, TEMPLATE_VERSION } = await import('../shared/contractTemplates.js');
 
-    if (!response.data.content || !response.data.content[0]) {
-      throw new Error('Invalid response from Anthropic API');
+  const template = generateFromTemplate(contractType, { parameters: options, requirements });
+  const files = templateService.splitIntoFiles(template.contract);
+  const result = compileContract(files);
+  const framework = options.withTests === true ? TEST_FRAMEWORKS[0] : options.withTests;
+
+  return {
+    contract: template.contract,
+    files: files,
+    contractType: contractType,
+    compilation: {
+      success: result.success,
+      compilerVersion: result.compilerVersion,
+      errors: result.errors,
+      warnings: result.warnings,
+      repairRounds: 0
+    },
+    analysis: analyzeFiles(files),
+    tests: framework ? { framework, error: 'Tests are not written in template mode' } : null,
+    diff: null,
+    metadata: {
+      mode: 'template',
+      generatedAt: new Date().toISOString(),
+      templateVersion: TEMPLATE_VERSION,
+      features: template.features,
+      version: '1.0.0',
+      requirements: requirements,
+      options: options
     }
+  };
+}
 
-    return response.data.content[0].text;
+// Issues found without the LLM: compiler errors and static analysis findings
+function localReviewIssues(compilation, analysis) {
+  return [
+    ...compilation.errors.map(error => ({
+      source: 'compiler',
+      severity: 'high',
+      title: `Compiler ${error.type}`,
+      description: error.message,
+      file: error.file,
+      line: error.line,
+      fix: null
+    })),
+    ...analysis.findings.map(finding => ({
+      source: 'analyzer',
+      severity: finding.severity,
+      title: finding.ruleId,
+      description: finding.message,
+      file: finding.file,
+      line: finding.line,
+      fix: null
+    }))
+  ];
+}
+
+// Review of a user-supplied contract (mode=review): local checks, then the LLM review with
+// an optional patched version that is compile-checked and repaired like a generation. When
+// the LLM fails, the local checks are returned on their own
+async function reviewContract(templateService, sourceFiles, { focus, withPatch, maxRepairRounds }) {
+  const files = sourceFiles.map(file => ({
+    path: file.path,
+    source: file.source,
+    units: templateService.findDeclaredUnits(file.source)
+  }));
+  const contract = templateService.joinFiles(files);
+  const contractType = templateService.detectContractType(contract);
+
+  const result = compileContract(files);
+  const compilation = {
+    success: result.success,
+    compilerVersion: result.compilerVersion,
+    errors: result.errors,
+    warnings: result.warnings,
+    repairRounds: 0
+  };
+  const analysis = analyzeFiles(files);
+
+  const llmService = new LLMService();
+  const options = { temperature: 0.2 };
+  let review = null;
+  let llmError = null;
+
+  try {
+    const reply = await llmService.generateContract(
+      templateService.getReviewSystemPrompt(withPatch),
+      templateService.generateReviewPrompt(files, { compilation, analysis, focus, withPatch }),
+      options
+    );
+    review = templateService.parseReview(reply);
+  } catch (error) {
+    llmError = error.message;
+    console.warn('⚠️ LLM review failed, returning the local checks only:', error.message);
   }
 
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  let patched = null;
+  if (withPatch && review?.patchedContract) {
+    try {
+      const repaired = await compileWithRepair(
+        templateService.splitIntoFiles(templateService.validateAndCleanContract(review.patchedContract)),
+        {
+          llmService,
+          templateService,
+          systemPrompt: templateService.getSystemPrompt(contractType),
+          options,
+          maxRounds: maxRepairRounds
+        }
+      );
+      const patchedContract = templateService.joinFiles(repaired.files);
+      patched = {
+        contract: patchedContract,
+        files: repaired.files,
+        compilation: repaired.compilation,
+        analysis: analyzeFiles(repaired.files),
+        diff: createTwoFilesPatch('original.sol', 'patched.sol', contract, patchedContract)
+      };
+    } catch (error) {
+      console.warn('⚠️ Patched contract could not be used:', error.message);
+    }
   }
+
+  const issues = [...localReviewIssues(compilation, analysis), ...(review?.issues || [])]
+    .sort((a, b) => REVIEW_SEVERITIES.indexOf(a.severity) - REVIEW_SEVERITIES.indexOf(b.severity));
+
+  return {
+    contract: contract,
+    files: files,
+    contractType: contractType,
+    compilation: compilation,
+    analysis: analysis,
+    review: {
+      summary: review?.summary || null,
+      issues: issues,
+      patched: patched
+    },
+    metadata: {
+      mode: 'review',
+      generatedAt: new Date().toISOString(),
+      llmProvider: review ? llmService.producer?.provider : null,
+      llmModel: review ? llmService.producer?.model : null,
+      llmCalls: llmService.calls,
+      llmError: llmError,
+      prompts: templateService.getPromptMetadata(),
+      focus: focus || null
+    }
+  };
+}
+
+// Write one Server-Sent Event to the client
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Whether the client asked for the streaming (SSE) variant of the endpoint
+function wantsEventStream(req) {
+  return (req.headers['accept'] || '').includes('text/event-stream');
+}
+
+// Save a finished generation to the wallet's history: as a new version of the thread historyId
+// when given and found, else as a new thread. Returns the entry id, or null when the history
+// store is unavailable (the generation itself still succeeds)
+async function recordHistory(address, requirements, data, historyId = null) {
+  try {
+    if (historyId) {
+      const thread = await addHistoryVersion(address, historyId, {
+        contract: data.contract,
+        files: data.files,
+        instruction: requirements,
+        mode: data.metadata.mode,
+        provider: data.metadata.llmProvider || null,
+        model: data.metadata.llmModel || null,
+        prompts: data.metadata.prompts || null
+      });
+      if (thread) return thread.id;
+    }
+
+    const entry = await addHistoryItem(address, {
+      requirements,
+      contract: data.contract,
+      files: data.files,
+      contractType: data.contractType,
+      provider: data.metadata.llmProvider || null,
+      model: data.metadata.llmModel || null,
+      metadata: {
+        mode: data.metadata.mode,
+        llmProvider: data.metadata.llmProvider,
+        llmModel: data.metadata.llmModel,
+        prompts: data.metadata.prompts || null,
+        compiles: data.compilation?.success
+      }
+    });
+    return entry.id;
+  } catch (error) {
+    console.warn('⚠️ Could not save generation history:', error.message);
+    return null;
+  }
+}
+
+// Save a finished review to the wallet's history as a new thread: the submitted contract is
+// version 1 and the patched contract, when there is one, version 2. Returns the entry id, or
+// null when the history store is unavailable
+async function recordReviewHistory(address, requirements, data) {
+  const provider = data.metadata.llmProvider || null;
+  const model = data.metadata.llmModel || null;
+  const versions = [
+    { contract: data.contract, files: data.files, instruction: 'Submitted for review', mode: 'review', provider: null, model: null }
+  ];
+  if (data.review.patched) {
+    versions.push({ contract: data.review.patched.contract, files: data.review.patched.files, instruction: 'Patched by the review', mode: 'review', provider, model, prompts: data.metadata.prompts });
+  }
+
+  try {
+    const entry = await addHistoryItem(address, {
+      title: `Review: ${data.files.map(file => file.path).join(', ')}`,
+      requirements,
+      contract: versions[versions.length - 1].contract,
+      files: versions[versions.length - 1].files,
+      contractType: data.contractType,
+      provider,
+      model,
+      metadata: {
+        mode: 'review',
+        llmProvider: provider,
+        llmModel: model,
+        compiles: (data.review.patched?.compilation || data.compilation).success,
+        review: { summary: data.review.summary, issues: data.review.issues }
+      },
+      versions
+    });
+    return entry.id;
+  } catch (error) {
+    console.warn('⚠️ Could not save review history:', error.message);
+    return null;
+  }
+}
+
+// Switch the response to Server-Sent Events
+function openEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
 }
 
 // Main API handler
@@ -448,7 +928,8 @@ module.exports = async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Credentials', true);
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version');
+  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After');
 
   if (req.method === 'OPTIONS') {
     res.status(200).end();
@@ -466,20 +947,116 @@ module.exports = async function handler(req, res) {
   }
 
   try {
-    // Rate limiting
-    const clientIp = req.headers['x-forwarded-for'] || req.connection.remoteAddress || 'unknown';
-    if (!checkRateLimit(clientIp)) {
-      return res.status(429).json({
+    // Wallet authentication
+    const wallet = requireWalletAuth(req);
+
+    // Rate limiting per wallet
+    const quota = await consumeRateLimit(req, 'generate', wallet);
+    setRateLimitHeaders(res, quota);
+    if (!quota.allowed) {
+      return res.status(429).json(rateLimitError(quota));
+    }
+
+    // Validate request body
+    const { requirements, contractType, previousContract, historyId, files: sourceFiles, options = {} } = req.body;
+
+    // A previous contract switches the request to edit mode: requirements is the change instruction
+    const isRefine = typeof previousContract === 'string' && previousContract.trim() !== '';
+
+    // ?mode=template answers from the offline templates without calling the LLM;
+    // ?mode=review reviews the contract in files instead of generating one
+    const mode = req.query?.mode;
+
+    if (mode !== undefined && mode !== 'template' && mode !== 'review') {
+      return res.status(400).json({
         success: false,
         error: {
-          message: 'Too many requests. Please try again later.',
-          type: 'RateLimitExceeded'
+          message: 'mode must be "template" or "review" when set',
+          type: 'ValidationError'
         }
       });
     }
 
-    // Validate request body
-    const { requirements, contractType, options = {} } = req.body;
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'options must be an object when set',
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    if (mode && isRefine) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: mode === 'review'
+            ? 'Review mode reviews the contract in files; send the request without previousContract'
+            : 'Template mode generates new contracts only; send the request without previousContract',
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    if (mode === 'review') {
+      const filesError = validateSourceFiles(sourceFiles);
+      if (filesError) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: filesError,
+            type: 'ValidationError'
+          }
+        });
+      }
+
+      // requirements is optional in a review: what the reviewer should pay most attention to
+      if (requirements !== undefined && requirements !== null && (typeof requirements !== 'string' || requirements.length > 5000)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'Requirements must be a string of at most 5000 characters',
+            type: 'ValidationError'
+          }
+        });
+      }
+
+      if (options.patch !== undefined && typeof options.patch !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: 'options.patch must be a boolean when set',
+            type: 'ValidationError'
+          }
+        });
+      }
+
+      console.log(`🔍 Reviewing ${sourceFiles.length} file(s) for ${wallet.address}`);
+
+      const focus = (requirements || '').trim();
+      const templateService = new ContractTemplateService(await getTypeRegistry(), { promptKey: wallet.address });
+      const data = await reviewContract(templateService, sourceFiles, {
+        focus,
+        withPatch: options.patch === true,
+        maxRepairRounds: Number.isInteger(options.maxRepairRounds)
+          ? Math.min(options.maxRepairRounds, MAX_REPAIR_ROUNDS)
+          : MAX_REPAIR_ROUNDS
+      });
+      data.historyId = await recordReviewHistory(wallet.address, focus || `Review of ${sourceFiles.map(file => file.path).join(', ')}`, data);
+
+      const response = { success: true, data };
+
+      console.log(`✅ Review finished (${data.review.issues.length} issue(s), patched: ${Boolean(data.review.patched)})`);
+
+      if (wantsEventStream(req)) {
+        openEventStream(res);
+        sendEvent(res, 'done', response);
+        return res.end();
+      }
+
+      return res.status(200).json(response);
+    }
 
     if (!requirements || typeof requirements !== 'string' || requirements.length < 10) {
       return res.status(400).json({
@@ -501,54 +1078,278 @@ module.exports = async function handler(req, res) {
       });
     }
 
-    console.log(`🔧 Generating contract of type: ${contractType || 'auto-detect'}`);
+    if (isRefine && previousContract.length > 50000) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Previous contract must not exceed 50000 characters',
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    if (options.withTests !== undefined && options.withTests !== false &&
+        options.withTests !== true && !TEST_FRAMEWORKS.includes(options.withTests)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `options.withTests must be true or one of: ${TEST_FRAMEWORKS.join(', ')}`,
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    if (historyId !== undefined && historyId !== null && !/^[a-f0-9]{16}$/.test(historyId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'historyId must be the id of a history entry',
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    if (options.cache !== undefined && options.cache !== 'bypass') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'options.cache must be "bypass" when set',
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    console.log(`🔧 ${isRefine ? 'Refining' : 'Generating'} contract of type: ${contractType || 'auto-detect'} for ${wallet.address}`);
     console.log(`📝 Requirements: ${requirements.substring(0, 100)}...`);
 
     // Initialize services
     const llmService = new LLMService();
-    const templateService = new ContractTemplateService();
+    const typeRegistry = await getTypeRegistry();
+    const templateService = new ContractTemplateService(typeRegistry, { promptKey: wallet.address });
 
-    // Detect contract type if not provided
-    const detectedType = contractType || templateService.detectContractType(requirements);
+    if (contractType !== undefined && contractType !== null && !typeRegistry.has(contractType)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `contractType must be one of: ${typeRegistry.types.map(definition => definition.type).join(', ')}`,
+          type: 'ValidationError'
+        }
+      });
+    }
+
+    // Classify the contract type if not provided; an edit keeps the type of the previous contract
+    let classification;
+    if (contractType) {
+      classification = { type: contractType, confidence: 1, source: 'request', candidates: [] };
+    } else if (isRefine) {
+      classification = { ...templateService.classifyContractType(previousContract), source: 'keywords' };
+    } else {
+      classification = await classifyRequirements(templateService, requirements);
+    }
+    const detectedType = classification.type;
     
+    // Typed parameters must match the schema /api/types publishes for the type
+    const parameterErrors = validateParameters(typeRegistry.get(detectedType), options);
+    if (parameterErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Invalid ${detectedType} parameters: ${parameterErrors.join('; ')}`,
+          type: 'ValidationError'
+        }
+      });
+    }
+    
+    if (mode === 'template') {
+      const { TEMPLATE_TYPES } = await import('../shared/contractTemplates.js');
+
+      if (!TEMPLATE_TYPES.includes(detectedType)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: `No offline template for contract type "${detectedType}"; available: ${TEMPLATE_TYPES.join(', ')}`,
+            type: 'ValidationError'
+          }
+        });
+      }
+
+      const response = {
+        success: true,
+        data: await generateTemplateContract(templateService, detectedType, requirements, options)
+      };
+      response.data.metadata.classification = classification;
+      response.data.historyId = await recordHistory(wallet.address, requirements, response.data, historyId);
+
+      console.log(`📐 Contract generated from the ${detectedType} template (features: ${response.data.metadata.features.join(', ') || 'none'})`);
+
+      if (wantsEventStream(req)) {
+        openEventStream(res);
+        sendEvent(res, 'delta', { text: response.data.contract });
+        sendEvent(res, 'done', response);
+        return res.end();
+      }
+
+      return res.status(200).json(response);
+    }
+
     // Get contract template prompt for the LLM
     const systemPrompt = templateService.getSystemPrompt(detectedType);
-    const userPrompt = templateService.generateUserPrompt(requirements, detectedType, options);
+    const userPrompt = isRefine
+      ? templateService.generateRefinePrompt(previousContract, requirements, detectedType)
+      : templateService.generateUserPrompt(requirements, detectedType, options);
+
+    // Switch to Server-Sent Events when the client asked for a stream
+    const streaming = wantsEventStream(req);
+
+    // Identical requests are answered from the cache unless the caller bypasses it
+    const cacheKey = getCacheKey({
+      mode: isRefine ? 'refine' : 'generate',
+      contractType: detectedType,
+      requirements,
+      previousContract: isRefine ? previousContract : null,
+      options,
+      systemPrompt,
+      userPrompt,
+      providers: llmService.providers
+    });
+    const bypassCache = options.cache === 'bypass';
+    const cached = bypassCache ? null : await getCachedGeneration(cacheKey);
 
-    // Generate contract using LLM
+    if (cached) {
+      const { cachedAt, ...data } = cached;
+      const response = {
+        success: true,
+        data: {
+          ...data,
+          metadata: {
+            ...data.metadata,
+            requirements: requirements,
+            options: options,
+            classification: classification,
+            cache: { status: 'hit', key: cacheKey, cachedAt: cachedAt }
+          }
+        }
+      };
+
+      response.data.historyId = await recordHistory(wallet.address, requirements, response.data, historyId);
+
+      console.log(`♻️ Served cached contract ${cacheKey.slice(0, 12)} from ${cachedAt}`);
+
+      if (streaming) {
+        openEventStream(res);
+        sendEvent(res, 'delta', { text: data.contract });
+        sendEvent(res, 'done', response);
+        return res.end();
+      }
+
+      return res.status(200).json(response);
+    }
+
+    if (streaming) {
+      openEventStream(res);
+    }
+
+    // Generate contract using LLM, relaying token deltas when streaming
     const generatedContract = await llmService.generateContract(
       systemPrompt,
       userPrompt,
-      options
+      options,
+      streaming ? (text => sendEvent(res, 'delta', { text })) : null
+    );
+
+    // Validate and clean the generated contract, then compile-check and repair it
+    const maxRepairRounds = Number.isInteger(options.maxRepairRounds)
+      ? Math.min(options.maxRepairRounds, MAX_REPAIR_ROUNDS)
+      : MAX_REPAIR_ROUNDS;
+
+    const { files, compilation } = await compileWithRepair(
+      templateService.splitIntoFiles(templateService.validateAndCleanContract(generatedContract)),
+      {
+        llmService,
+        templateService,
+        systemPrompt,
+        options,
+        maxRounds: maxRepairRounds,
+        onRepair: streaming ? (progress => sendEvent(res, 'repair', progress)) : null
+      }
     );
 
-    // Validate and clean the generated contract
-    const cleanedContract = templateService.validateAndCleanContract(generatedContract);
+    // Static security analysis of the final files
+    const analysis = analyzeFiles(files);
+    const cleanedContract = templateService.joinFiles(files);
+
+    // Optional unit test suite; only worth writing for a contract that compiles
+    let tests = null;
+    if (options.withTests) {
+      const framework = options.withTests === true ? TEST_FRAMEWORKS[0] : options.withTests;
+      if (compilation.success) {
+        if (streaming) {
+          sendEvent(res, 'tests', { framework });
+        }
+        tests = await generateTestSuite(files, { llmService, templateService, framework, options });
+      } else {
+        tests = { framework, error: 'Skipped because the contract does not compile' };
+      }
+    }
 
     // Prepare response
     const response = {
       success: true,
       data: {
         contract: cleanedContract,
+        files: files,
         contractType: detectedType,
+        compilation: compilation,
+        analysis: analysis,
+        tests: tests,
+        diff: isRefine ? createTwoFilesPatch('previous.sol', 'revised.sol', previousContract, cleanedContract) : null,
         metadata: {
+          mode: isRefine ? 'refine' : 'generate',
           generatedAt: new Date().toISOString(),
-          llmProvider: process.env.LLM_PROVIDER,
+          llmProvider: llmService.producer?.provider,
+          llmModel: llmService.producer?.model,
+          llmCalls: llmService.calls,
           version: '1.0.0',
           requirements: requirements,
-          options: options
+          options: options,
+          classification: classification,
+          prompts: templateService.getPromptMetadata(),
+          cache: { status: bypassCache ? 'bypass' : 'miss', key: cacheKey }
         }
       }
     };
 
-    console.log(`✅ Contract generated successfully (${cleanedContract.length} characters)`);
+    // Only results worth repeating are cached: the contract compiles and requested tests exist
+    if (compilation.success && !tests?.error) {
+      await setCachedGeneration(cacheKey, response.data);
+    }
+
+    response.data.historyId = await recordHistory(wallet.address, requirements, response.data, historyId);
+
+    console.log(`✅ Contract generated successfully (${files.length} file(s), ${cleanedContract.length} characters, compiles: ${compilation.success})`);
+
+    if (streaming) {
+      sendEvent(res, 'done', response);
+      return res.end();
+    }
+
     res.status(200).json(response);
 
   } catch (error) {
+    if (error instanceof UnauthorizedError) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: error.message,
+          type: error.name
+        }
+      });
+    }
+
     console.error('❌ Contract generation error:', error);
     
     // Return detailed error information
-    res.status(500).json({
+    const errorResponse = {
       success: false,
       error: {
         message: 'Contract generation failed',
@@ -556,6 +1357,18 @@ module.exports = async function handler(req, res) {
         type: error.name || 'GenerationError',
         timestamp: new Date().toISOString()
       }
-    });
+    };
+
+    // The event stream is already open, so report the failure as its final event
+    if (res.headersSent) {
+      sendEvent(res, 'error', errorResponse);
+      return res.end();
+    }
+
+    res.status(500).json(errorResponse);
   }
-}
\ No newline at end of file
+}
+
+// Pipeline pieces used by the offline evaluation runner (eval/evaluate.js)
+module.exports.ContractTemplateService = ContractTemplateService;
+module.exports.compileWithRepair = compileWithRepair;
@@ -1,4 +1,23 @@
 // Vercel Function for health check and system status
+const { getDefaultProviderName, getProviderChain, getProviderConfig, isProviderConfigured } = require('./_lib/providers');
+
+// Active LLM provider with its model and base URL (never the key)
+function describeLlm() {
+  const provider = getDefaultProviderName();
+  try {
+    const config = getProviderConfig(provider);
+    return {
+      provider,
+      adapter: config.adapter,
+      model: config.model,
+      baseUrl: config.baseUrl || null,
+      configured: isProviderConfigured(config),
+      fallback: getProviderChain().slice(1)
+    };
+  } catch (error) {
+    return { provider, configured: false, error: error.message };
+  }
+}
 module.exports = async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Credentials', true);
@@ -28,10 +47,7 @@ module.exports = async function handler(req, res) {
       environment: process.env.NODE_ENV || 'development',
       version: '1.0.0',
       services: {
-        llm: {
-          provider: process.env.LLM_PROVIDER || 'not-configured',
-          configured: !!(process.env.OPENAI_API_KEY || process.env.ANTHROPIC_API_KEY)
-        },
+        llm: describeLlm(),
         platform: 'vercel-functions'
       },
       uptime: process.uptime ? Math.floor(process.uptime()) : 'unknown'
@@ -0,0 +1,325 @@
+// Vercel Function for the signed-in wallet's generation history
+//   GET    /api/history?page=1&limit=10   list; q, type, tag and sort (newest|oldest|title) filter it
+//   GET    /api/history?all=true          every entry with its contract, for export
+//   GET    /api/history/:id               one entry with its contract
+//   POST   /api/history                   save an entry (history kept in the browser, imports)
+//   PATCH  /api/history/:id               rename or retag: { "title": "...", "tags": [...] }
+//                                         or restore a version: { "restoreVersion": 2 }
+//                                         or record a deployment: { "deployment": { ... } }
+//   DELETE /api/history/:id               remove
+const { UnauthorizedError, requireWalletAuth } = require('./_lib/auth');
+const { validateSourceFiles } = require('./_lib/sources');
+const {
+  MAX_TITLE_LENGTH,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  SORT_ORDERS,
+  VERSION_MODES,
+  MAX_VERSIONS,
+  MAX_DEPLOYMENTS,
+  normalizeTags,
+  listHistory,
+  exportHistory,
+  getHistoryItem,
+  addHistoryItem,
+  restoreHistoryVersion,
+  addHistoryDeployment,
+  updateHistoryItem,
+  deleteHistoryItem
+} = require('./_lib/history');
+
+const ID_PATTERN = /^[a-f0-9]{16}$/;
+const MAX_PAGE_SIZE = 50;
+const MAX_CONTRACT_LENGTH = 200000;
+const MAX_ARGS_LENGTH = 10000;
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const TX_HASH_PATTERN = /^0x[a-fA-F0-9]{64}$/;
+const TAGS_MESSAGE = `tags must be a list of at most ${MAX_TAGS} non-empty strings of up to ${MAX_TAG_LENGTH} characters`;
+
+function validationError(res, message) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message,
+      type: 'ValidationError'
+    }
+  });
+}
+
+// Files of an uploaded or imported entry or version in the shape the store keeps
+// ({ path, source, units }); null when there are none, undefined when they are invalid
+function normalizeFiles(files) {
+  if (files === undefined || files === null) return null;
+  if (validateSourceFiles(files)) return undefined;
+
+  return files.map(file => ({
+    path: file.path,
+    source: file.source,
+    units: Array.isArray(file.units)
+      ? file.units
+        .filter(unit => unit && typeof unit.kind === 'string' && typeof unit.name === 'string')
+        .slice(0, 50)
+        .map(unit => ({ kind: unit.kind.slice(0, 32), name: unit.name.slice(0, 100) }))
+      : []
+  }));
+}
+
+// Versions of an uploaded or imported entry in the shape the store keeps; null if invalid
+function normalizeVersions(versions) {
+  if (!Array.isArray(versions) || versions.length > MAX_VERSIONS) return null;
+
+  const valid = versions.every(version =>
+    version && typeof version.contract === 'string' && version.contract.trim() &&
+    version.contract.length <= MAX_CONTRACT_LENGTH &&
+    typeof version.instruction === 'string' &&
+    normalizeFiles(version.files) !== undefined &&
+    VERSION_MODES.includes(version.mode) &&
+    (version.createdAt === undefined || !Number.isNaN(Date.parse(version.createdAt)))
+  );
+  if (!valid) return null;
+
+  return versions.map(version => ({
+    contract: version.contract,
+    files: normalizeFiles(version.files),
+    instruction: version.instruction.slice(0, 5000),
+    mode: version.mode,
+    provider: typeof version.provider === 'string' ? version.provider : null,
+    model: typeof version.model === 'string' ? version.model : null,
+    createdAt: version.createdAt ? new Date(version.createdAt).toISOString() : undefined
+  }));
+}
+
+// A deployment in the shape the store keeps; null if invalid
+function normalizeDeployment(deployment) {
+  if (!deployment || typeof deployment !== 'object' ||
+      typeof deployment.contractName !== 'string' || !deployment.contractName || deployment.contractName.length > 200 ||
+      !ADDRESS_PATTERN.test(deployment.address) ||
+      !TX_HASH_PATTERN.test(deployment.txHash) ||
+      !Number.isInteger(deployment.chainId) || deployment.chainId < 1 ||
+      Number.isNaN(Date.parse(deployment.deployedAt)) ||
+      (deployment.version !== undefined && (!Number.isInteger(deployment.version) || deployment.version < 1)) ||
+      (deployment.deployer !== undefined && !ADDRESS_PATTERN.test(deployment.deployer)) ||
+      (deployment.args !== undefined && (!Array.isArray(deployment.args) || JSON.stringify(deployment.args).length > MAX_ARGS_LENGTH))) {
+    return null;
+  }
+
+  return {
+    version: deployment.version,
+    contractName: deployment.contractName,
+    address: deployment.address,
+    chainId: deployment.chainId,
+    network: typeof deployment.network === 'string' ? deployment.network.slice(0, 100) : null,
+    txHash: deployment.txHash,
+    deployer: deployment.deployer || null,
+    args: deployment.args || [],
+    deployedAt: new Date(deployment.deployedAt).toISOString()
+  };
+}
+
+function notFound(res, message = 'History entry not found') {
+  return res.status(404).json({
+    success: false,
+    error: {
+      message,
+      type: 'NotFound'
+    }
+  });
+}
+
+module.exports = async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PATCH,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        type: 'MethodNotAllowed'
+      }
+    });
+  }
+
+  try {
+    const { address } = requireWalletAuth(req);
+    const id = req.query?.id;
+
+    if (id !== undefined && !ID_PATTERN.test(id)) {
+      return validationError(res, 'Invalid history entry id');
+    }
+
+    if (req.method === 'GET' && !id) {
+      if (req.query?.all === 'true') {
+        return res.status(200).json({
+          success: true,
+          data: { entries: await exportHistory(address) }
+        });
+      }
+
+      const page = parseInt(req.query?.page) || 1;
+      const limit = parseInt(req.query?.limit) || 10;
+      const { q = '', type = '', tag = '', sort = 'newest' } = req.query || {};
+
+      if (page < 1 || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return validationError(res, `page must be at least 1 and limit between 1 and ${MAX_PAGE_SIZE}`);
+      }
+
+      if (!SORT_ORDERS.includes(sort)) {
+        return validationError(res, `sort must be one of: ${SORT_ORDERS.join(', ')}`);
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: await listHistory(address, { page, limit, query: String(q), type: String(type), tag: String(tag), sort })
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { title, requirements, contract, files, contractType, provider, model, tags = [], versions, deployments = [], createdAt } = req.body || {};
+
+      if (typeof requirements !== 'string' || !requirements.trim()) {
+        return validationError(res, 'requirements is required');
+      }
+
+      if (typeof contract !== 'string' || !contract.trim() || contract.length > MAX_CONTRACT_LENGTH) {
+        return validationError(res, `contract is required and must not exceed ${MAX_CONTRACT_LENGTH} characters`);
+      }
+
+      // A longer title is cut to MAX_TITLE_LENGTH when the entry is saved
+      if (title !== undefined && typeof title !== 'string') {
+        return validationError(res, 'title must be a string');
+      }
+
+      if (createdAt !== undefined && Number.isNaN(Date.parse(createdAt))) {
+        return validationError(res, 'createdAt must be an ISO date');
+      }
+
+      const normalizedTags = normalizeTags(tags);
+      if (!normalizedTags) {
+        return validationError(res, TAGS_MESSAGE);
+      }
+
+      const normalizedFiles = normalizeFiles(files);
+      if (normalizedFiles === undefined) {
+        return validationError(res, validateSourceFiles(files));
+      }
+
+      const normalizedVersions = versions === undefined ? null : normalizeVersions(versions);
+      if (versions !== undefined && !normalizedVersions) {
+        return validationError(res, `versions must be a list of at most ${MAX_VERSIONS} { contract, instruction, mode, files? } objects with mode one of: ${VERSION_MODES.join(', ')} and valid files`);
+      }
+
+      const normalizedDeployments = Array.isArray(deployments) && deployments.length <= MAX_DEPLOYMENTS
+        ? deployments.map(normalizeDeployment)
+        : [null];
+      if (normalizedDeployments.includes(null)) {
+        return validationError(res, `deployments must be a list of at most ${MAX_DEPLOYMENTS} { contractName, address, chainId, txHash, deployedAt } objects`);
+      }
+
+      const entry = await addHistoryItem(address, {
+        title,
+        requirements: requirements.slice(0, 5000),
+        contract,
+        files: normalizedFiles,
+        contractType: typeof contractType === 'string' ? contractType : null,
+        provider: typeof provider === 'string' ? provider : null,
+        model: typeof model === 'string' ? model : null,
+        tags: normalizedTags,
+        versions: normalizedVersions,
+        deployments: normalizedDeployments,
+        createdAt: createdAt ? new Date(createdAt).toISOString() : undefined
+      });
+
+      return res.status(201).json({
+        success: true,
+        data: entry
+      });
+    }
+
+    // The remaining operations address a single entry
+    if (!id) {
+      return validationError(res, 'A history entry id is required');
+    }
+
+    if (req.method === 'GET') {
+      const entry = await getHistoryItem(address, id);
+      return entry ? res.status(200).json({ success: true, data: entry }) : notFound(res);
+    }
+
+    if (req.method === 'PATCH') {
+      const { title, tags, restoreVersion, deployment } = req.body || {};
+
+      if (restoreVersion !== undefined) {
+        if (!Number.isInteger(restoreVersion) || restoreVersion < 1) {
+          return validationError(res, 'restoreVersion must be a version number');
+        }
+
+        const entry = await restoreHistoryVersion(address, id, restoreVersion);
+        return entry
+          ? res.status(200).json({ success: true, data: entry })
+          : notFound(res, `History entry or version ${restoreVersion} not found`);
+      }
+
+      if (deployment !== undefined) {
+        const normalizedDeployment = normalizeDeployment(deployment);
+        if (!normalizedDeployment) {
+          return validationError(res, 'deployment must be a { contractName, address, chainId, txHash, deployedAt } object');
+        }
+
+        const entry = await addHistoryDeployment(address, id, normalizedDeployment);
+        return entry ? res.status(200).json({ success: true, data: entry }) : notFound(res);
+      }
+
+      if (title === undefined && tags === undefined) {
+        return validationError(res, 'Nothing to update: send title and/or tags');
+      }
+
+      if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH)) {
+        return validationError(res, `title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters`);
+      }
+
+      const normalizedTags = tags === undefined ? undefined : normalizeTags(tags);
+      if (normalizedTags === null) {
+        return validationError(res, TAGS_MESSAGE);
+      }
+
+      const entry = await updateHistoryItem(address, id, {
+        title: title === undefined ? undefined : title.trim(),
+        tags: normalizedTags
+      });
+      return entry ? res.status(200).json({ success: true, data: entry }) : notFound(res);
+    }
+
+    const deleted = await deleteHistoryItem(address, id);
+    return deleted ? res.status(200).json({ success: true, data: { id } }) : notFound(res);
+
+  } catch (error) {
+    if (error instanceof UnauthorizedError) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: error.message,
+          type: error.name
+        }
+      });
+    }
+
+    console.error('History error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'History request failed',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+}
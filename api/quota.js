@@ -0,0 +1,65 @@
+// Vercel Function reporting the caller's remaining generation quota without using it
+const { UnauthorizedError, requireWalletAuth } = require('./_lib/auth');
+const { peekRateLimit, setRateLimitHeaders } = require('./_lib/rateLimit');
+
+module.exports = async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: {
+        message: 'Method not allowed',
+        type: 'MethodNotAllowed'
+      }
+    });
+  }
+
+  try {
+    const wallet = requireWalletAuth(req);
+
+    const quota = await peekRateLimit(req, 'generate', wallet);
+    setRateLimitHeaders(res, quota);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tier: quota.tier,
+        limit: quota.limit,
+        remaining: quota.remaining,
+        resetAt: new Date(quota.resetAt).toISOString()
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof UnauthorizedError) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: error.message,
+          type: error.name
+        }
+      });
+    }
+
+    console.error('Quota error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to read quota',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+}
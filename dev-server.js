@@ -41,6 +41,121 @@ app.post('/api/generate', async (req, res) => {
   }
 });
 
+app.post('/api/compile', async (req, res) => {
+  try {
+    const handler = await importHandler('./api/compile.js');
+    await handler(req, res);
+  } catch (error) {
+    console.error('Compile API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: error.message
+      }
+    });
+  }
+});
+
+app.post('/api/explain', async (req, res) => {
+  try {
+    const handler = await importHandler('./api/explain.js');
+    await handler(req, res);
+  } catch (error) {
+    console.error('Explain API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: error.message
+      }
+    });
+  }
+});
+
+app.post('/api/export', async (req, res) => {
+  try {
+    const handler = await importHandler('./api/export.js');
+    await handler(req, res);
+  } catch (error) {
+    console.error('Export API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: error.message
+      }
+    });
+  }
+});
+
+app.post('/api/auth/challenge', async (req, res) => {
+  try {
+    const handler = await importHandler('./api/auth/challenge.js');
+    await handler(req, res);
+  } catch (error) {
+    console.error('Auth Challenge API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: error.message
+      }
+    });
+  }
+});
+
+app.post('/api/auth/verify', async (req, res) => {
+  try {
+    const handler = await importHandler('./api/auth/verify.js');
+    await handler(req, res);
+  } catch (error) {
+    console.error('Auth Verify API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: error.message
+      }
+    });
+  }
+});
+
+app.all('/api/history/:id?', async (req, res) => {
+  try {
+    if (req.params.id) {
+      req.query.id = req.params.id;
+    }
+    const handler = await importHandler('./api/history.js');
+    await handler(req, res);
+  } catch (error) {
+    console.error('History API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: error.message
+      }
+    });
+  }
+});
+
+app.get('/api/quota', async (req, res) => {
+  try {
+    const handler = await importHandler('./api/quota.js');
+    await handler(req, res);
+  } catch (error) {
+    console.error('Quota API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: error.message
+      }
+    });
+  }
+});
+
 app.get('/api/health', async (req, res) => {
   try {
     const handler = await importHandler('./api/health.js');
@@ -79,6 +194,13 @@ app.listen(PORT, () => {
   console.log(`🚀 Development server running at http://localhost:${PORT}`);
   console.log(`📊 API endpoints:`);
   console.log(`   - POST http://localhost:${PORT}/api/generate`);
+  console.log(`   - POST http://localhost:${PORT}/api/compile`);
+  console.log(`   - POST http://localhost:${PORT}/api/export`);
+  console.log(`   - POST http://localhost:${PORT}/api/explain`);
+  console.log(`   - POST http://localhost:${PORT}/api/auth/challenge`);
+  console.log(`   - POST http://localhost:${PORT}/api/auth/verify`);
+  console.log(`   - GET  http://localhost:${PORT}/api/history[/:id]`);
+  console.log(`   - GET  http://localhost:${PORT}/api/quota`);
   console.log(`   - GET  http://localhost:${PORT}/api/health`);
   console.log(`   - GET  http://localhost:${PORT}/api/types`);
   console.log(`💡 Frontend with API integration ready!`);
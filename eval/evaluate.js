@@ -0,0 +1,305 @@
+// Offline evaluation of the generation pipeline. Runs a corpus of requirement cases through
+// ContractTemplateService and LLMService as /api/generate does, and scores type detection,
+// the cleaner, compilability and the presence of must-have features.
+//
+//   node eval/evaluate.js [--corpus eval/corpus.json] [--case <id>]...
+//                         [--record <file> | --replay <file>]
+//                         [--format markdown|json] [--out <file>]
+//
+// Without --replay the configured provider is called (.env.local as for the dev server;
+// LLM_PROVIDER=mock runs without network). --record saves the raw LLM replies of a live run
+// so that later runs with --replay score cleaner or feature changes on the same replies.
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { config } from 'dotenv';
+
+import generate from '../api/generate.js';
+import llmServiceModule from '../api/_lib/llmService.js';
+import compilerModule from '../api/_lib/compiler.js';
+import explainerModule from '../api/_lib/explainer.js';
+import typeRegistryModule from '../api/_lib/typeRegistry.js';
+
+config({ path: '.env.local' });
+
+const { ContractTemplateService, compileWithRepair } = generate;
+const { LLMService } = llmServiceModule;
+const { compileContract } = compilerModule;
+const { explainContract } = explainerModule;
+const { getTypeRegistry } = typeRegistryModule;
+
+const MAX_REPAIR_ROUNDS = parseInt(process.env.COMPILE_MAX_REPAIR_ROUNDS) || 2;
+
+const FORMATS = ['markdown', 'json'];
+
+// LLM of one case: the recorded replies in order, or the live service, recording its replies
+function caseLLM(caseId, { replay, recording }) {
+  if (replay) {
+    const replies = [...(replay.responses[caseId] || [])];
+    return {
+      producer: { provider: replay.provider, model: replay.model },
+      calls: [],
+      async generateContract() {
+        if (replies.length === 0) {
+          throw new Error(`No recorded response left for case ${caseId}`);
+        }
+        return replies.shift();
+      }
+    };
+  }
+
+  const service = new LLMService();
+  const complete = service.generateContract.bind(service);
+  service.generateContract = async (...args) => {
+    const reply = await complete(...args);
+    if (recording) {
+      (recording.responses[caseId] ||= []).push(reply);
+    }
+    return reply;
+  };
+  return service;
+}
+
+// Whether the compiled main contract (facts from api/_lib/explainer.js) or its source has a
+// feature: { function, role?, payable?, absent? } or { pattern } (regular expression)
+function checkFeature(feature, facts, source) {
+  if (feature.pattern) {
+    const found = new RegExp(feature.pattern).test(source);
+    return { passed: found !== Boolean(feature.absent), detail: found ? 'pattern found' : 'pattern not found' };
+  }
+
+  if (!facts?.contractName) {
+    return { passed: false, detail: 'not checked: the contract does not compile' };
+  }
+
+  const names = [].concat(feature.function);
+  const fn = facts.functions.find(candidate => names.includes(candidate.name));
+
+  if (feature.absent) {
+    return { passed: !fn, detail: fn ? `${fn.signature} exists` : 'absent' };
+  }
+  if (!fn) {
+    return { passed: false, detail: `no ${names.join(' or ')} function` };
+  }
+  if (feature.role && !fn.roles.includes(feature.role)) {
+    return { passed: false, detail: `${fn.name} is callable by ${fn.callers.toLowerCase()}` };
+  }
+  if (feature.payable !== undefined && fn.payable !== feature.payable) {
+    return { passed: false, detail: `${fn.name} is ${fn.payable ? '' : 'not '}payable` };
+  }
+  return { passed: true, detail: fn.signature };
+}
+
+async function evaluateCase(testCase, { typeRegistry, replay, recording, maxRepairRounds }) {
+  const templateService = new ContractTemplateService(typeRegistry);
+  const llm = caseLLM(testCase.id, { replay, recording });
+  const options = testCase.options || {};
+
+  // Type detection, as for a request without contractType
+  const classification = templateService.classifyContractType(testCase.requirements);
+  const result = {
+    id: testCase.id,
+    type: {
+      expected: testCase.expectedType,
+      detected: classification.type,
+      confidence: classification.confidence,
+      passed: classification.type === testCase.expectedType
+    },
+    cleaner: null,
+    compilation: null,
+    features: [],
+    prompts: null,
+    producer: null,
+    error: null
+  };
+
+  try {
+    const systemPrompt = templateService.getSystemPrompt(classification.type);
+    const reply = await llm.generateContract(
+      systemPrompt,
+      templateService.generateUserPrompt(testCase.requirements, classification.type, options),
+      options
+    );
+    result.prompts = templateService.getPromptMetadata();
+    result.producer = llm.producer;
+
+    // Cleaner: no markdown left, every file declares a unit, and the output parses
+    const cleaned = templateService.validateAndCleanContract(reply);
+    const files = templateService.splitIntoFiles(cleaned);
+    const firstCompile = compileContract(files);
+    const parserErrors = firstCompile.errors.filter(error => error.type === 'ParserError');
+    result.cleaner = {
+      passed: !cleaned.includes('```') && files.every(file => file.units.length > 0) && parserErrors.length === 0,
+      files: files.length,
+      parserErrors: parserErrors.map(error => error.message)
+    };
+
+    // Compilability after the same repair rounds as the endpoint
+    const repaired = await compileWithRepair(files, { llmService: llm, templateService, systemPrompt, options, maxRounds: maxRepairRounds });
+    result.compilation = {
+      passed: repaired.compilation.success,
+      withoutRepair: firstCompile.success,
+      repairRounds: repaired.compilation.repairRounds,
+      errors: repaired.compilation.errors.map(error => `${error.type}: ${error.message}`)
+    };
+
+    const facts = repaired.compilation.success ? explainContract(repaired.files) : null;
+    const source = templateService.joinFiles(repaired.files);
+    result.features = (testCase.features || []).map(feature => ({
+      name: feature.name,
+      ...checkFeature(feature, facts, source)
+    }));
+  } catch (error) {
+    result.error = error.message;
+    result.features = (testCase.features || []).map(feature => ({ name: feature.name, passed: false, detail: 'not checked: the case failed' }));
+  }
+
+  return result;
+}
+
+function rate(passed, total) {
+  return { passed, total, rate: total > 0 ? Math.round((passed / total) * 1000) / 1000 : null };
+}
+
+function summarize(results) {
+  const features = results.flatMap(result => result.features);
+  return {
+    typeDetection: rate(results.filter(result => result.type.passed).length, results.length),
+    cleaner: rate(results.filter(result => result.cleaner?.passed).length, results.length),
+    compiles: rate(results.filter(result => result.compilation?.passed).length, results.length),
+    compilesWithoutRepair: rate(results.filter(result => result.compilation?.withoutRepair).length, results.length),
+    features: rate(features.filter(feature => feature.passed).length, features.length),
+    errors: results.filter(result => result.error).length
+  };
+}
+
+function percent(score) {
+  return score.rate === null ? '–' : `${(score.rate * 100).toFixed(1)}% (${score.passed}/${score.total})`;
+}
+
+function toMarkdown(report) {
+  const { summary, results } = report;
+  const mark = passed => passed ? '✅' : '❌';
+  const lines = [
+    '# Generation evaluation',
+    '',
+    `${report.generatedAt} · ${report.source} · ${report.provider || 'unknown provider'}${report.model ? ` / ${report.model}` : ''} · corpus \`${report.corpus}\``,
+    '',
+    '| Score | Result |',
+    '|-------|--------|',
+    `| Type detection | ${percent(summary.typeDetection)} |`,
+    `| Cleaner output | ${percent(summary.cleaner)} |`,
+    `| Compiles | ${percent(summary.compiles)} |`,
+    `| Compiles without repair | ${percent(summary.compilesWithoutRepair)} |`,
+    `| Features | ${percent(summary.features)} |`,
+    '',
+    '| Case | Type | Cleaner | Compiles | Features |',
+    '|------|------|---------|----------|----------|'
+  ];
+
+  for (const result of results) {
+    const type = result.type.passed ? `${mark(true)} ${result.type.detected}` : `${mark(false)} ${result.type.detected} (expected ${result.type.expected})`;
+    const compiles = result.compilation
+      ? `${mark(result.compilation.passed)}${result.compilation.repairRounds ? ` after ${result.compilation.repairRounds} repair(s)` : ''}`
+      : mark(false);
+    const passedFeatures = result.features.filter(feature => feature.passed).length;
+    lines.push(`| ${result.id} | ${type} | ${mark(result.cleaner?.passed)} | ${compiles} | ${passedFeatures}/${result.features.length} |`);
+  }
+
+  const failures = results.filter(result => result.error || result.cleaner?.passed === false ||
+    result.compilation?.passed === false || result.features.some(feature => !feature.passed));
+  if (failures.length > 0) {
+    lines.push('', '## Failures');
+    for (const result of failures) {
+      lines.push('', `### ${result.id}`);
+      if (result.error) lines.push(`- Error: ${result.error}`);
+      result.cleaner?.parserErrors.forEach(message => lines.push(`- Parser error: ${message}`));
+      result.compilation?.errors.forEach(message => lines.push(`- Compiler: ${message}`));
+      result.features.filter(feature => !feature.passed).forEach(feature => lines.push(`- Missing "${feature.name}": ${feature.detail}`));
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function readJson(file, label) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${label} ${file}: ${error.message}`);
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      corpus: { type: 'string', default: path.join('eval', 'corpus.json') },
+      case: { type: 'string', multiple: true },
+      record: { type: 'string' },
+      replay: { type: 'string' },
+      format: { type: 'string', default: 'markdown' },
+      out: { type: 'string' }
+    }
+  });
+
+  if (!FORMATS.includes(values.format)) {
+    throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+  }
+  if (values.record && values.replay) {
+    throw new Error('--record and --replay cannot be combined');
+  }
+
+  const corpus = readJson(values.corpus, 'corpus');
+  const cases = values.case ? corpus.cases.filter(testCase => values.case.includes(testCase.id)) : corpus.cases;
+  if (cases.length === 0) {
+    throw new Error('No cases to run');
+  }
+
+  const typeRegistry = await getTypeRegistry();
+  const unknownType = cases.find(testCase => !typeRegistry.has(testCase.expectedType));
+  if (unknownType) {
+    throw new Error(`Case ${unknownType.id} expects unknown contract type "${unknownType.expectedType}"`);
+  }
+
+  const replay = values.replay ? readJson(values.replay, 'recording') : null;
+  const recording = values.record ? { recordedAt: new Date().toISOString(), provider: null, model: null, responses: {} } : null;
+
+  const results = [];
+  for (const testCase of cases) {
+    console.error(`▶️ ${testCase.id}`);
+    results.push(await evaluateCase(testCase, { typeRegistry, replay, recording, maxRepairRounds: MAX_REPAIR_ROUNDS }));
+  }
+
+  // Provider and model that wrote the first contract
+  const producer = results.find(result => result.producer)?.producer || null;
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    corpus: values.corpus,
+    source: replay ? `replay of ${values.replay}` : 'live',
+    provider: producer?.provider || null,
+    model: producer?.model || null,
+    summary: summarize(results),
+    results
+  };
+
+  if (recording) {
+    recording.provider = producer?.provider || null;
+    recording.model = producer?.model || null;
+    fs.writeFileSync(values.record, `${JSON.stringify(recording, null, 2)}\n`);
+    console.error(`💾 Recorded responses written to ${values.record}`);
+  }
+
+  const output = values.format === 'json' ? `${JSON.stringify(report, null, 2)}\n` : toMarkdown(report);
+  if (values.out) {
+    fs.writeFileSync(values.out, output);
+    console.error(`📄 Report written to ${values.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
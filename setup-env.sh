@@ -10,35 +10,19 @@ if [ ! -f .env ]; then
 fi
 
 echo ""
-echo "🔑 Please obtain your Moralis API key:"
-echo "1. Visit: https://moralis.io"
-echo "2. Sign up for a free account"
-echo "3. Go to: https://admin.moralis.io"
-echo "4. Navigate to Web3 APIs"
-echo "5. Copy your API key"
-echo ""
-
-read -p "Enter your Moralis API key: " api_key
+echo "🔑 Generating the sign-in secret for the API functions..."
 
-if [ ! -z "$api_key" ]; then
-    # Update .env file with the API key
-    if [[ "$OSTYPE" == "darwin"* ]]; then
-        # macOS
-        sed -i '' "s/VITE_MORALIS_API_KEY=.*/VITE_MORALIS_API_KEY=$api_key/" .env
-    else
-        # Linux
-        sed -i "s/VITE_MORALIS_API_KEY=.*/VITE_MORALIS_API_KEY=$api_key/" .env
-    fi
-    
-    echo "✅ API key updated in .env file"
+if [ ! -f .env.local ] || ! grep -q "^AUTH_SECRET=" .env.local; then
+    echo "AUTH_SECRET=$(openssl rand -hex 32)" >> .env.local
+    echo "✅ AUTH_SECRET written to .env.local"
 else
-    echo "⚠️  No API key provided. Please update .env manually."
+    echo "ℹ️  AUTH_SECRET already present in .env.local"
 fi
 
 echo ""
 echo "🌐 Configure your domain settings:"
-read -p "Enter your domain (default: localhost): " domain
-domain=${domain:-localhost}
+read -p "Enter your domain (default: localhost:3000): " domain
+domain=${domain:-localhost:3000}
 
 read -p "Enter your URI (default: http://localhost:3000): " uri
 uri=${uri:-http://localhost:3000}
@@ -48,15 +32,17 @@ chain_id=${chain_id:-1}
 
 # Update other environment variables
 if [[ "$OSTYPE" == "darwin"* ]]; then
-    sed -i '' "s/VITE_WEB3_DOMAIN=.*/VITE_WEB3_DOMAIN=$domain/" .env
-    sed -i '' "s|VITE_WEB3_URI=.*|VITE_WEB3_URI=$uri|" .env
     sed -i '' "s/VITE_WEB3_CHAIN_ID=.*/VITE_WEB3_CHAIN_ID=$chain_id/" .env
 else
-    sed -i "s/VITE_WEB3_DOMAIN=.*/VITE_WEB3_DOMAIN=$domain/" .env
-    sed -i "s|VITE_WEB3_URI=.*|VITE_WEB3_URI=$uri|" .env
     sed -i "s/VITE_WEB3_CHAIN_ID=.*/VITE_WEB3_CHAIN_ID=$chain_id/" .env
 fi
 
+# Sign-in domain for the API functions
+grep -v -e "^SIWE_DOMAIN=" -e "^SIWE_URI=" .env.local > .env.local.tmp
+mv .env.local.tmp .env.local
+echo "SIWE_DOMAIN=$domain" >> .env.local
+echo "SIWE_URI=$uri" >> .env.local
+
 echo ""
 echo "✅ Environment configuration complete!"
 echo ""
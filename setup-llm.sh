@@ -159,25 +159,28 @@ case $llm_choice in
         ;;
 esac
 
-# Moralis API key setup
+# Wallet sign-in setup (server-side, no browser secret)
 echo ""
 print_info "Setting up Web3 authentication..."
-read -p "Enter your Moralis API key (optional, press Enter to skip): " moralis_key
-
-if [ ! -z "$moralis_key" ]; then
-    # Update frontend .env
-    if [[ "$OSTYPE" == "darwin"* ]]; then
-        # macOS
-        sed -i '' "s/VITE_MORALIS_API_KEY=.*/VITE_MORALIS_API_KEY=$moralis_key/" .env
-    else
-        # Linux
-        sed -i "s/VITE_MORALIS_API_KEY=.*/VITE_MORALIS_API_KEY=$moralis_key/" .env
-    fi
-    print_status "Moralis API key configured"
+touch .env.local
+if ! grep -q "^AUTH_SECRET=" .env.local; then
+    echo "AUTH_SECRET=$(openssl rand -hex 32)" >> .env.local
+    print_status "AUTH_SECRET generated in .env.local"
 else
-    print_warning "Moralis API key skipped. You can configure it later in .env"
+    print_warning "AUTH_SECRET already present in .env.local, keeping it"
 fi
 
+read -p "Enter your sign-in domain (default: localhost:3000): " siwe_domain
+siwe_domain=${siwe_domain:-localhost:3000}
+read -p "Enter your sign-in URI (default: http://localhost:3000): " siwe_uri
+siwe_uri=${siwe_uri:-http://localhost:3000}
+
+grep -v -e "^SIWE_DOMAIN=" -e "^SIWE_URI=" .env.local > .env.local.tmp
+mv .env.local.tmp .env.local
+echo "SIWE_DOMAIN=$siwe_domain" >> .env.local
+echo "SIWE_URI=$siwe_uri" >> .env.local
+print_status "Sign-in domain configured in .env.local"
+
 # Test backend setup
 echo ""
 echo "🧪 Testing setup..."
@@ -163,23 +163,15 @@ case $llm_choice in
         ;;
 esac
 
-# Moralis API key setup
+# Sign-in secret setup
 echo \"\"
 print_info \"Setting up Web3 authentication...\"
-read -p \"Enter your Moralis API key (optional, press Enter to skip): \" moralis_key
-
-if [ ! -z \"$moralis_key\" ]; then
-    # Update .env
-    if [[ \"$OSTYPE\" == \"darwin\"* ]]; then
-        # macOS
-        sed -i '' \"s/VITE_MORALIS_API_KEY=.*/VITE_MORALIS_API_KEY=$moralis_key/\" .env
-    else
-        # Linux
-        sed -i \"s/VITE_MORALIS_API_KEY=.*/VITE_MORALIS_API_KEY=$moralis_key/\" .env
-    fi
-    print_status \"Moralis API key configured\"
+
+if ! grep -q \"^AUTH_SECRET=\" .env.local; then
+    echo \"AUTH_SECRET=$(openssl rand -hex 32)\" >> .env.local
+    print_status \"AUTH_SECRET generated in .env.local\"
 else
-    print_warning \"Moralis API key skipped. You can configure it later in .env\"
+    print_warning \"AUTH_SECRET already present in .env.local, keeping it\"
 fi
 
 # Final setup completion
@@ -0,0 +1,541 @@
+// Deterministic contract templates for the standard contract types, used without an LLM:
+// in the browser when the API is unreachable, and by /api/generate?mode=template.
+//
+// A template is composed from the type's base contract plus feature snippets (burnable,
+// pausable, capped, royalties, ...). The same type, parameters and requirements always give
+// the same source, byte for byte; bump TEMPLATE_VERSION whenever a template's output changes.
+import { getAddress } from 'ethers';
+
+export const TEMPLATE_VERSION = 1;
+
+const OZ = '@openzeppelin/contracts';
+
+// Feature snippets each type can be composed with, in the order they are applied
+export const TEMPLATE_FEATURES = {
+    erc20: ['mintable', 'burnable', 'pausable', 'capped', 'permit'],
+    erc721: ['enumerable', 'burnable', 'pausable', 'royalties'],
+    multisig: [],
+    crowdfunding: []
+};
+
+export const TEMPLATE_TYPES = Object.keys(TEMPLATE_FEATURES);
+
+// Words in the requirements or additionalFeatures that ask for a feature
+const FEATURE_PATTERNS = {
+    mintable: /\bmint(able|ing)?\b/,
+    burnable: /\bburn(able|ing)?\b/,
+    pausable: /\b(pausable|pause|pausing)\b/,
+    capped: /\b(cap|capped|max(imum)? supply|supply cap)\b/,
+    permit: /\b(permit|gasless approvals?|eip-?2612)\b/,
+    enumerable: /\benumerable\b/,
+    royalties: /\b(royalt(y|ies)|erc-?2981)\b/
+};
+
+// Contents of a Solidity string literal: printable ASCII only, quotes and backslashes escaped
+function solidityString(text) {
+    return String(text).replace(/[^\x20-\x7e]/g, '').replace(/[\\"]/g, match => `\\${match}`);
+}
+
+// PascalCase Solidity identifier from a display name, e.g. "game token" -> "GameToken"
+function identifier(name, fallback) {
+    const words = String(name || '').replace(/[^A-Za-z0-9 ]/g, ' ').split(/\s+/).filter(Boolean);
+    const joined = words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+    if (!joined) return fallback;
+    return /^[0-9]/.test(joined) ? `${fallback}${joined}` : joined;
+}
+
+function wholeAmount(value, fallback) {
+    return /^[0-9]{1,30}$/.test(String(value ?? '')) && BigInt(value) > 0n ? BigInt(value).toString() : fallback;
+}
+
+function ethAmount(value, fallback) {
+    return /^[0-9]{1,12}(\.[0-9]{1,18})?$/.test(String(value ?? '')) ? String(value) : fallback;
+}
+
+function integerIn(value, min, max, fallback) {
+    return Number.isInteger(value) && value >= min && value <= max ? value : fallback;
+}
+
+// Checksummed address literal; Solidity rejects address literals without the checksum
+function addressLiteral(value) {
+    return getAddress(String(value).toLowerCase());
+}
+
+// Features requested by the parameters and the requirements, in the type's canonical order
+export function resolveFeatures(contractType, parameters = {}, requirements = '') {
+    const available = TEMPLATE_FEATURES[contractType] || [];
+    const additional = Array.isArray(parameters.additionalFeatures) ? parameters.additionalFeatures : [];
+    const text = [requirements, ...additional].join(' ').toLowerCase();
+
+    const implied = {
+        capped: parameters.maxSupply !== undefined && contractType === 'erc20',
+        royalties: Number.isInteger(parameters.royaltyBps) && parameters.royaltyBps > 0
+    };
+
+    return available.filter(feature => implied[feature] || FEATURE_PATTERNS[feature].test(text));
+}
+
+// Solidity source for a contract: imports, NatSpec header, declaration and body sections
+function renderContract({ imports, title, notice, contractName, bases, body }) {
+    const lines = [
+        '// SPDX-License-Identifier: MIT',
+        'pragma solidity ^0.8.20;',
+        ''
+    ];
+
+    imports.forEach(([name, path]) => lines.push(`import {${name}} from "${path}";`));
+    if (imports.length > 0) lines.push('');
+
+    lines.push(
+        `/// @title ${title}`,
+        `/// @notice ${notice}`,
+        `/// @dev Generated from the offline template, version ${TEMPLATE_VERSION}`,
+        `contract ${contractName}${bases.length > 0 ? ` is ${bases.join(', ')}` : ''} {`,
+        body.filter(Boolean).join('\n\n'),
+        '}',
+        ''
+    );
+
+    return lines.join('\n');
+}
+
+function featureNote(features) {
+    return features.length > 0 ? ` Features: ${features.join(', ')}.` : '';
+}
+
+function erc20Template(parameters, features) {
+    const name = solidityString(parameters.tokenName || 'My Token');
+    const symbol = solidityString(parameters.tokenSymbol || 'MTK');
+    const contractName = identifier(name, 'Token');
+    const decimals = integerIn(parameters.decimals, 0, 18, 18);
+    const cap = wholeAmount(parameters.maxSupply, null);
+    const initialSupply = wholeAmount(parameters.initialSupply, cap && BigInt(cap) < 1000000n ? cap : '1000000');
+    const maxSupply = cap || (BigInt(initialSupply) * 10n).toString();
+    const has = feature => features.includes(feature);
+
+    if (has('capped') && BigInt(initialSupply) > BigInt(maxSupply)) {
+        throw new Error(`initialSupply (${initialSupply}) exceeds maxSupply (${maxSupply})`);
+    }
+
+    const owned = has('mintable') || has('pausable');
+    const imports = [['ERC20', `${OZ}/token/ERC20/ERC20.sol`]];
+    const bases = ['ERC20'];
+    const initializers = [`ERC20("${name}", "${symbol}")`];
+
+    if (has('burnable')) {
+        imports.push(['ERC20Burnable', `${OZ}/token/ERC20/extensions/ERC20Burnable.sol`]);
+        bases.push('ERC20Burnable');
+    }
+    if (has('capped')) {
+        imports.push(['ERC20Capped', `${OZ}/token/ERC20/extensions/ERC20Capped.sol`]);
+        bases.push('ERC20Capped');
+        initializers.push(`ERC20Capped(${maxSupply} * 10 ** ${decimals})`);
+    }
+    if (has('pausable')) {
+        imports.push(['ERC20Pausable', `${OZ}/token/ERC20/extensions/ERC20Pausable.sol`]);
+        bases.push('ERC20Pausable');
+    }
+    if (owned) {
+        imports.push(['Ownable', `${OZ}/access/Ownable.sol`]);
+        bases.push('Ownable');
+        initializers.push('Ownable(msg.sender)');
+    }
+    if (has('permit')) {
+        imports.push(['ERC20Permit', `${OZ}/token/ERC20/extensions/ERC20Permit.sol`]);
+        bases.push('ERC20Permit');
+        initializers.push(`ERC20Permit("${name}")`);
+    }
+
+    const updateBases = ['ERC20', has('capped') && 'ERC20Capped', has('pausable') && 'ERC20Pausable'].filter(Boolean);
+
+    const body = [
+        `    /// @notice Mints the initial supply of ${initialSupply} tokens to the deployer
+    constructor()
+        ${initializers.join('\n        ')}
+    {
+        _mint(msg.sender, ${initialSupply} * 10 ** ${decimals});
+    }`,
+        decimals !== 18 && `    /// @inheritdoc ERC20
+    function decimals() public pure override returns (uint8) {
+        return ${decimals};
+    }`,
+        has('mintable') && `    /// @notice Creates \`amount\` tokens (in base units) for \`to\`
+    function mint(address to, uint256 amount) external onlyOwner {
+        _mint(to, amount);
+    }`,
+        has('pausable') && `    /// @notice Stops all transfers, mints and burns
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /// @notice Resumes transfers, mints and burns
+    function unpause() external onlyOwner {
+        _unpause();
+    }`,
+        updateBases.length > 1 && `    function _update(address from, address to, uint256 value) internal override(${updateBases.join(', ')}) {
+        super._update(from, to, value);
+    }`
+    ];
+
+    return {
+        contractName,
+        contract: renderContract({
+            imports,
+            title: contractName,
+            notice: `ERC-20 token "${name}" (${symbol}) with ${decimals} decimals.${featureNote(features)}`,
+            contractName,
+            bases,
+            body
+        })
+    };
+}
+
+function erc721Template(parameters, features) {
+    const name = solidityString(parameters.tokenName || 'My Collection');
+    const symbol = solidityString(parameters.tokenSymbol || 'MYC');
+    const contractName = identifier(name, 'Collection');
+    const maxSupply = integerIn(parameters.maxSupply, 1, 1000000000, 10000);
+    const mintPrice = ethAmount(parameters.mintPrice, null);
+    const priced = mintPrice !== null && Number(mintPrice) > 0;
+    const royaltyBps = integerIn(parameters.royaltyBps, 0, 10000, 500);
+    const baseURI = typeof parameters.baseURI === 'string' && parameters.baseURI ? solidityString(parameters.baseURI) : null;
+    const has = feature => features.includes(feature);
+
+    const imports = [['ERC721', `${OZ}/token/ERC721/ERC721.sol`]];
+    const bases = ['ERC721'];
+
+    if (has('enumerable')) {
+        imports.push(['ERC721Enumerable', `${OZ}/token/ERC721/extensions/ERC721Enumerable.sol`]);
+        bases.push('ERC721Enumerable');
+    }
+    if (has('pausable')) {
+        imports.push(['ERC721Pausable', `${OZ}/token/ERC721/extensions/ERC721Pausable.sol`]);
+        bases.push('ERC721Pausable');
+    }
+    imports.push(['Ownable', `${OZ}/access/Ownable.sol`]);
+    bases.push('Ownable');
+    if (has('burnable')) {
+        imports.push(['ERC721Burnable', `${OZ}/token/ERC721/extensions/ERC721Burnable.sol`]);
+        bases.push('ERC721Burnable');
+    }
+    if (has('royalties')) {
+        imports.push(['ERC2981', `${OZ}/token/common/ERC2981.sol`]);
+        bases.push('ERC2981');
+    }
+
+    const updateBases = ['ERC721', has('enumerable') && 'ERC721Enumerable', has('pausable') && 'ERC721Pausable'].filter(Boolean);
+    const interfaceBases = ['ERC721', has('enumerable') && 'ERC721Enumerable', has('royalties') && 'ERC2981'].filter(Boolean);
+
+    const body = [
+        `    uint256 public constant MAX_SUPPLY = ${maxSupply};${priced ? `\n    uint256 public constant MINT_PRICE = ${mintPrice} ether;` : ''}
+
+    uint256 private _nextTokenId;
+
+    error MaxSupplyReached();${priced ? '\n    error IncorrectPayment();\n    error WithdrawFailed();' : ''}`,
+        `    constructor() ERC721("${name}", "${symbol}") Ownable(msg.sender) {${has('royalties') ? `\n        _setDefaultRoyalty(msg.sender, ${royaltyBps});` : ''}
+    }`,
+        priced
+            ? `    /// @notice Mints the next token to \`to\` for exactly MINT_PRICE
+    function mint(address to) external payable returns (uint256) {
+        if (msg.value != MINT_PRICE) revert IncorrectPayment();
+        return _mintNext(to);
+    }
+
+    /// @notice Sends the collected mint proceeds to the owner
+    function withdraw() external onlyOwner {
+        (bool success, ) = payable(owner()).call{value: address(this).balance}("");
+        if (!success) revert WithdrawFailed();
+    }`
+            : `    /// @notice Mints the next token to \`to\`
+    function safeMint(address to) external onlyOwner returns (uint256) {
+        return _mintNext(to);
+    }`,
+        `    function _mintNext(address to) private returns (uint256 tokenId) {
+        if (_nextTokenId >= MAX_SUPPLY) revert MaxSupplyReached();
+        tokenId = _nextTokenId++;
+        _safeMint(to, tokenId);
+    }`,
+        baseURI && `    function _baseURI() internal pure override returns (string memory) {
+        return "${baseURI}";
+    }`,
+        has('pausable') && `    /// @notice Stops all transfers, mints and burns
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /// @notice Resumes transfers, mints and burns
+    function unpause() external onlyOwner {
+        _unpause();
+    }`,
+        updateBases.length > 1 && `    function _update(address to, uint256 tokenId, address auth) internal override(${updateBases.join(', ')}) returns (address) {
+        return super._update(to, tokenId, auth);
+    }`,
+        has('enumerable') && `    function _increaseBalance(address account, uint128 value) internal override(ERC721, ERC721Enumerable) {
+        super._increaseBalance(account, value);
+    }`,
+        interfaceBases.length > 1 && `    function supportsInterface(bytes4 interfaceId) public view override(${interfaceBases.join(', ')}) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }`
+    ];
+
+    return {
+        contractName,
+        contract: renderContract({
+            imports,
+            title: contractName,
+            notice: `ERC-721 collection "${name}" (${symbol}) of at most ${maxSupply} tokens.${featureNote(features)}`,
+            contractName,
+            bases,
+            body
+        })
+    };
+}
+
+function multisigTemplate(parameters) {
+    const owners = Array.isArray(parameters.owners) && parameters.owners.length > 0
+        ? parameters.owners.map(addressLiteral)
+        : null;
+    const threshold = integerIn(parameters.threshold, 1, owners ? owners.length : 20, owners ? Math.min(2, owners.length) : null);
+
+    const constructorSection = owners
+        ? `    constructor() {
+        address[] memory initialOwners = new address[](${owners.length});
+${owners.map((owner, index) => `        initialOwners[${index}] = ${owner};`).join('\n')}
+        _setup(initialOwners, ${threshold});
+    }`
+        : `    constructor(address[] memory initialOwners, uint256 initialThreshold) {
+        _setup(initialOwners, initialThreshold);
+    }`;
+
+    const body = [
+        `    struct Transaction {
+        address to;
+        uint256 value;
+        bytes data;
+        bool executed;
+        uint256 confirmations;
+    }
+
+    address[] private _owners;
+    mapping(address => bool) public isOwner;
+    uint256 public threshold;
+
+    Transaction[] private _transactions;
+    mapping(uint256 => mapping(address => bool)) public isConfirmed;`,
+        `    event Deposit(address indexed sender, uint256 amount, uint256 balance);
+    event TransactionSubmitted(uint256 indexed txId, address indexed owner, address indexed to, uint256 value, bytes data);
+    event TransactionConfirmed(uint256 indexed txId, address indexed owner);
+    event ConfirmationRevoked(uint256 indexed txId, address indexed owner);
+    event TransactionExecuted(uint256 indexed txId, address indexed owner);`,
+        `    error NotOwner();
+    error InvalidOwner(address owner);
+    error InvalidThreshold(uint256 threshold, uint256 ownerCount);
+    error TransactionNotFound(uint256 txId);
+    error AlreadyExecuted(uint256 txId);
+    error AlreadyConfirmed(uint256 txId);
+    error NotConfirmed(uint256 txId);
+    error NotEnoughConfirmations(uint256 txId, uint256 confirmations);
+    error ExecutionFailed(uint256 txId);`,
+        `    modifier onlyOwner() {
+        if (!isOwner[msg.sender]) revert NotOwner();
+        _;
+    }
+
+    modifier pending(uint256 txId) {
+        if (txId >= _transactions.length) revert TransactionNotFound(txId);
+        if (_transactions[txId].executed) revert AlreadyExecuted(txId);
+        _;
+    }`,
+        constructorSection,
+        `    receive() external payable {
+        emit Deposit(msg.sender, msg.value, address(this).balance);
+    }`,
+        `    /// @notice Proposes a call from the wallet; it runs once \`threshold\` owners confirm it
+    function submitTransaction(address to, uint256 value, bytes calldata data) external onlyOwner returns (uint256 txId) {
+        txId = _transactions.length;
+        _transactions.push(Transaction({to: to, value: value, data: data, executed: false, confirmations: 0}));
+        emit TransactionSubmitted(txId, msg.sender, to, value, data);
+    }
+
+    function confirmTransaction(uint256 txId) external onlyOwner pending(txId) {
+        if (isConfirmed[txId][msg.sender]) revert AlreadyConfirmed(txId);
+        isConfirmed[txId][msg.sender] = true;
+        _transactions[txId].confirmations += 1;
+        emit TransactionConfirmed(txId, msg.sender);
+    }
+
+    function revokeConfirmation(uint256 txId) external onlyOwner pending(txId) {
+        if (!isConfirmed[txId][msg.sender]) revert NotConfirmed(txId);
+        isConfirmed[txId][msg.sender] = false;
+        _transactions[txId].confirmations -= 1;
+        emit ConfirmationRevoked(txId, msg.sender);
+    }
+
+    function executeTransaction(uint256 txId) external onlyOwner pending(txId) {
+        Transaction storage transaction = _transactions[txId];
+        if (transaction.confirmations < threshold) revert NotEnoughConfirmations(txId, transaction.confirmations);
+
+        transaction.executed = true;
+        (bool success, ) = transaction.to.call{value: transaction.value}(transaction.data);
+        if (!success) revert ExecutionFailed(txId);
+
+        emit TransactionExecuted(txId, msg.sender);
+    }`,
+        `    function getOwners() external view returns (address[] memory) {
+        return _owners;
+    }
+
+    function transactionCount() external view returns (uint256) {
+        return _transactions.length;
+    }
+
+    function getTransaction(uint256 txId) external view returns (Transaction memory) {
+        if (txId >= _transactions.length) revert TransactionNotFound(txId);
+        return _transactions[txId];
+    }`,
+        `    function _setup(address[] memory initialOwners, uint256 initialThreshold) private {
+        if (initialThreshold == 0 || initialThreshold > initialOwners.length) {
+            revert InvalidThreshold(initialThreshold, initialOwners.length);
+        }
+
+        for (uint256 i = 0; i < initialOwners.length; i++) {
+            address owner = initialOwners[i];
+            if (owner == address(0) || isOwner[owner]) revert InvalidOwner(owner);
+            isOwner[owner] = true;
+            _owners.push(owner);
+        }
+
+        threshold = initialThreshold;
+    }`
+    ];
+
+    return {
+        contractName: 'MultiSigWallet',
+        contract: renderContract({
+            imports: [],
+            title: 'MultiSigWallet',
+            notice: owners
+                ? `Wallet of ${owners.length} owners that executes a call once ${threshold} of them confirm it.`
+                : 'Wallet of several owners that executes a call once the threshold of them confirm it.',
+            contractName: 'MultiSigWallet',
+            bases: [],
+            body
+        })
+    };
+}
+
+function crowdfundingTemplate(parameters) {
+    const goal = ethAmount(parameters.goal, '10');
+    const minContribution = ethAmount(parameters.minContribution, null);
+    const beneficiary = parameters.beneficiary ? addressLiteral(parameters.beneficiary) : 'msg.sender';
+    const deadlineDate = typeof parameters.deadline === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(parameters.deadline)
+        ? parameters.deadline
+        : null;
+    const deadline = deadlineDate ? `${Date.parse(`${deadlineDate}T00:00:00Z`) / 1000}` : 'block.timestamp + 30 days';
+
+    const body = [
+        `    address public immutable beneficiary;
+    uint256 public immutable goal;
+    uint256 public immutable deadline;${minContribution ? `\n    uint256 public constant MIN_CONTRIBUTION = ${minContribution} ether;` : ''}
+
+    uint256 public totalRaised;
+    bool public claimed;
+    mapping(address => uint256) public contributions;`,
+        `    event Contributed(address indexed contributor, uint256 amount);
+    event Claimed(address indexed beneficiary, uint256 amount);
+    event Refunded(address indexed contributor, uint256 amount);`,
+        `    error CampaignEnded();
+    error CampaignActive();
+    error ContributionTooSmall();
+    error GoalNotReached();
+    error GoalReached();
+    error NotBeneficiary();
+    error AlreadyClaimed();
+    error NothingToRefund();
+    error TransferFailed();`,
+        `    constructor() {
+        beneficiary = ${beneficiary};
+        goal = ${goal} ether;
+        deadline = ${deadline};
+    }`,
+        `    /// @notice Pledges the sent ETH to the campaign
+    function contribute() external payable {
+        if (block.timestamp >= deadline) revert CampaignEnded();
+        if (msg.value == 0${minContribution ? ' || msg.value < MIN_CONTRIBUTION' : ''}) revert ContributionTooSmall();
+
+        contributions[msg.sender] += msg.value;
+        totalRaised += msg.value;
+        emit Contributed(msg.sender, msg.value);
+    }
+
+    /// @notice Pays the funds to the beneficiary once the deadline passed with the goal reached
+    function claim() external nonReentrant {
+        if (msg.sender != beneficiary) revert NotBeneficiary();
+        if (block.timestamp < deadline) revert CampaignActive();
+        if (totalRaised < goal) revert GoalNotReached();
+        if (claimed) revert AlreadyClaimed();
+
+        claimed = true;
+        uint256 amount = address(this).balance;
+        (bool success, ) = payable(beneficiary).call{value: amount}("");
+        if (!success) revert TransferFailed();
+
+        emit Claimed(beneficiary, amount);
+    }
+
+    /// @notice Returns a contribution once the deadline passed without reaching the goal
+    function refund() external nonReentrant {
+        if (block.timestamp < deadline) revert CampaignActive();
+        if (totalRaised >= goal) revert GoalReached();
+
+        uint256 amount = contributions[msg.sender];
+        if (amount == 0) revert NothingToRefund();
+
+        contributions[msg.sender] = 0;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        if (!success) revert TransferFailed();
+
+        emit Refunded(msg.sender, amount);
+    }`
+    ];
+
+    return {
+        contractName: 'Crowdfunding',
+        contract: renderContract({
+            imports: [['ReentrancyGuard', `${OZ}/utils/ReentrancyGuard.sol`]],
+            title: 'Crowdfunding',
+            notice: `Raises ${goal} ETH until ${deadlineDate || '30 days after deployment'}; contributors are refunded if the goal is missed.`,
+            contractName: 'Crowdfunding',
+            bases: ['ReentrancyGuard'],
+            body
+        })
+    };
+}
+
+const TEMPLATES = {
+    erc20: erc20Template,
+    erc721: erc721Template,
+    multisig: multisigTemplate,
+    crowdfunding: crowdfundingTemplate
+};
+
+// Contract for a type from its typed parameters (the /api/types schema) and the free-text
+// requirements, which only select features. Throws for types without a template.
+export function generateFromTemplate(contractType, { parameters = {}, requirements = '' } = {}) {
+    const template = TEMPLATES[contractType];
+    if (!template) {
+        throw new Error(`No offline template for contract type "${contractType}"; available: ${TEMPLATE_TYPES.join(', ')}`);
+    }
+
+    const features = resolveFeatures(contractType, parameters, requirements);
+    const { contractName, contract } = template(parameters, features);
+
+    return {
+        contractType,
+        contractName,
+        contract,
+        files: [{ path: `${contractName}.sol`, source: contract, units: [{ kind: 'contract', name: contractName }] }],
+        features,
+        templateVersion: TEMPLATE_VERSION
+    };
+}
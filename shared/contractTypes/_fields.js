@@ -0,0 +1,16 @@
+// Schema fragments shared by several type definitions (files starting with "_" are not types)
+
+// Whole-token amounts and ETH amounts are strings so large values keep every digit
+export const WHOLE_AMOUNT = { type: 'string', pattern: '^[0-9]{1,30}$' };
+export const ETH_AMOUNT = { type: 'string', pattern: '^[0-9]{1,12}(\\.[0-9]{1,18})?$' };
+export const ADDRESS = { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' };
+
+export const TOKEN_NAME = { title: 'Token name', type: 'string', minLength: 1, maxLength: 50 };
+export const TOKEN_SYMBOL = { title: 'Token symbol', type: 'string', pattern: '^[A-Za-z0-9]{1,11}$' };
+export const ADDITIONAL_FEATURES = {
+    title: 'Additional features',
+    description: 'One feature per line',
+    type: 'array',
+    maxItems: 10,
+    items: { type: 'string', minLength: 1, maxLength: 60 }
+};
@@ -0,0 +1,33 @@
+import { ETH_AMOUNT, ADDRESS } from './_fields.js';
+
+export default {
+    type: 'crowdfunding',
+    order: 40,
+    name: 'Crowdfunding',
+    description: 'Crowdfunding and fundraising contract',
+    keywords: ['crowdfunding', 'fundraising', 'ico', 'investment', 'raise'],
+    keywordWeights: { crowdfunding: 2, investment: 0.5, raise: 0.6 },
+    examples: [
+        'Create a crowdfunding contract for startup funding',
+        'Build an ICO contract with token distribution',
+        'Generate a fundraising contract with refunds'
+    ],
+    prompt: `SPECIFIC REQUIREMENTS FOR CROWDFUNDING:
+- Implement funding goals and deadlines
+- Add refund mechanisms for failed campaigns
+- Include contributor tracking and rewards
+- Add fund withdrawal controls for campaign owners
+- Consider milestone-based funding release`,
+    parameters: {
+        type: 'object',
+        properties: {
+            goal: { ...ETH_AMOUNT, title: 'Funding goal (ETH)' },
+            deadline: { title: 'Deadline', description: 'Campaign end date (UTC)', type: 'string', format: 'date' },
+            minContribution: { ...ETH_AMOUNT, title: 'Minimum contribution (ETH)' },
+            beneficiary: { ...ADDRESS, title: 'Beneficiary' }
+        }
+    },
+    checkParameters: parameters => typeof parameters.deadline === 'string' && Date.parse(parameters.deadline) <= Date.now()
+        ? ['deadline must be in the future']
+        : []
+};
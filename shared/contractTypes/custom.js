@@ -0,0 +1,23 @@
+// Fallback for requirements no other type matches; the registry requires it
+export default {
+    type: 'custom',
+    order: 1000,
+    name: 'Custom Contract',
+    description: 'Custom smart contract based on specific requirements',
+    keywords: ['custom', 'specific', 'tailored', 'bespoke'],
+    keywordWeights: { custom: 0.5, specific: 0.3, tailored: 0.5, bespoke: 0.5 },
+    examples: [
+        'Create a custom business logic contract',
+        'Build a specific use case smart contract',
+        'Generate a tailored solution for my needs'
+    ],
+    prompt: `SPECIFIC REQUIREMENTS FOR CUSTOM CONTRACT:
+- Analyze the requirements carefully to determine the best implementation approach
+- Follow established patterns from similar contract types
+- Implement all necessary functionality as specified
+- Ensure the contract is secure and gas-efficient`,
+    parameters: {
+        type: 'object',
+        properties: {}
+    }
+};
@@ -0,0 +1,30 @@
+import { ETH_AMOUNT, ADDRESS } from './_fields.js';
+
+export default {
+    type: 'defi',
+    order: 50,
+    name: 'DeFi Protocol',
+    description: 'Decentralized finance protocol contract',
+    keywords: ['defi', 'lending', 'staking', 'stake', 'yield', 'liquidity', 'farming'],
+    keywordWeights: { defi: 2 },
+    examples: [
+        'Create a staking contract with rewards',
+        'Build a lending protocol with interest',
+        'Generate a yield farming contract'
+    ],
+    prompt: `SPECIFIC REQUIREMENTS FOR DEFI PROTOCOL:
+- Implement secure token handling and transfers
+- Add proper price oracle integration considerations
+- Include yield calculation mechanisms
+- Implement emergency pause functionality
+- Add proper liquidity management controls`,
+    parameters: {
+        type: 'object',
+        properties: {
+            stakingToken: { ...ADDRESS, title: 'Staking token' },
+            rewardToken: { ...ADDRESS, title: 'Reward token' },
+            rewardRatePerDay: { ...ETH_AMOUNT, title: 'Rewards per day', description: 'Whole reward tokens paid out per day' },
+            lockPeriodDays: { title: 'Lock period (days)', type: 'integer', minimum: 0, maximum: 3650 }
+        }
+    }
+};
@@ -0,0 +1,36 @@
+import { WHOLE_AMOUNT, TOKEN_NAME, TOKEN_SYMBOL, ADDITIONAL_FEATURES } from './_fields.js';
+
+export default {
+    type: 'erc20',
+    order: 10,
+    name: 'ERC-20 Token',
+    description: 'Standard fungible token contract',
+    keywords: ['token', 'erc20', 'coin', 'currency', 'payment', 'fungible'],
+    keywordWeights: { erc20: 2, token: 0.5, payment: 0.6 },
+    examples: [
+        'Create a utility token for my gaming platform',
+        'Generate an ERC-20 token with 1 million supply',
+        'Build a payment token with burn functionality'
+    ],
+    prompt: `SPECIFIC REQUIREMENTS FOR ERC-20 TOKEN:
+- Implement full ERC-20 interface
+- Include mint/burn functionality if needed
+- Add owner controls for token management
+- Consider implementing pausable functionality
+- Include proper decimals handling`,
+    parameters: {
+        type: 'object',
+        properties: {
+            tokenName: TOKEN_NAME,
+            tokenSymbol: TOKEN_SYMBOL,
+            initialSupply: { ...WHOLE_AMOUNT, title: 'Initial supply', description: 'Whole tokens minted to the deployer' },
+            decimals: { title: 'Decimals', type: 'integer', minimum: 0, maximum: 18, default: 18 },
+            maxSupply: { ...WHOLE_AMOUNT, title: 'Max supply', description: 'Whole tokens; leave empty for uncapped' },
+            additionalFeatures: { ...ADDITIONAL_FEATURES, examples: [['mintable', 'burnable', 'pausable', 'permit']] }
+        }
+    },
+    checkParameters: parameters => /^[0-9]+$/.test(parameters.initialSupply) && /^[0-9]+$/.test(parameters.maxSupply) &&
+        BigInt(parameters.initialSupply) > BigInt(parameters.maxSupply)
+        ? [`initialSupply (${parameters.initialSupply}) must not exceed maxSupply (${parameters.maxSupply})`]
+        : []
+};
@@ -0,0 +1,33 @@
+import { ETH_AMOUNT, TOKEN_NAME, TOKEN_SYMBOL, ADDITIONAL_FEATURES } from './_fields.js';
+
+export default {
+    type: 'erc721',
+    order: 20,
+    name: 'ERC-721 NFT',
+    description: 'Non-fungible token contract',
+    keywords: ['nft', 'collectible', 'art', 'unique', 'non-fungible', 'erc721'],
+    keywordWeights: { nft: 2, 'non-fungible': 2, erc721: 2, art: 0.5, unique: 0.4 },
+    examples: [
+        'Create an NFT collection for digital art',
+        'Build a collectible card game NFT contract',
+        'Generate an NFT contract with royalties'
+    ],
+    prompt: `SPECIFIC REQUIREMENTS FOR ERC-721 NFT:
+- Implement full ERC-721 interface with metadata extension
+- Include proper tokenURI functionality
+- Add minting controls and supply limits
+- Consider royalty standards (ERC-2981) if applicable
+- Include batch operations for gas efficiency`,
+    parameters: {
+        type: 'object',
+        properties: {
+            tokenName: TOKEN_NAME,
+            tokenSymbol: TOKEN_SYMBOL,
+            maxSupply: { title: 'Max supply', type: 'integer', minimum: 1, maximum: 1000000000 },
+            mintPrice: { ...ETH_AMOUNT, title: 'Mint price (ETH)' },
+            royaltyBps: { title: 'Royalty (basis points)', description: '500 = 5%', type: 'integer', minimum: 0, maximum: 10000 },
+            baseURI: { title: 'Base URI', type: 'string', maxLength: 200, pattern: '^(ipfs|https?)://' },
+            additionalFeatures: { ...ADDITIONAL_FEATURES, examples: [['enumerable', 'burnable', 'allowlist']] }
+        }
+    }
+};
@@ -0,0 +1,30 @@
+import { ADDRESS } from './_fields.js';
+
+export default {
+    type: 'governance',
+    order: 60,
+    name: 'Governance',
+    description: 'DAO governance contract',
+    keywords: ['dao', 'governance', 'voting', 'proposal', 'democracy'],
+    keywordWeights: { dao: 2 },
+    examples: [
+        'Create a DAO governance contract with voting',
+        'Build a proposal system with timelock',
+        'Generate a democratic voting mechanism'
+    ],
+    prompt: `SPECIFIC REQUIREMENTS FOR DAO GOVERNANCE:
+- Implement proposal creation and voting mechanisms
+- Add vote delegation functionality
+- Include timelock controls for execution
+- Add quorum and threshold management
+- Consider vote weight calculation methods`,
+    parameters: {
+        type: 'object',
+        properties: {
+            votingToken: { ...ADDRESS, title: 'Voting token' },
+            votingPeriodDays: { title: 'Voting period (days)', type: 'integer', minimum: 1, maximum: 365 },
+            quorumPercent: { title: 'Quorum (%)', type: 'integer', minimum: 1, maximum: 100 },
+            timelockHours: { title: 'Timelock (hours)', type: 'integer', minimum: 0, maximum: 8760 }
+        }
+    }
+};
@@ -0,0 +1,40 @@
+import { ADDRESS } from './_fields.js';
+
+export default {
+    type: 'multisig',
+    order: 30,
+    name: 'Multi-Signature Wallet',
+    description: 'Multi-signature wallet contract',
+    keywords: ['multisig', 'multi-signature', 'wallet', 'governance', 'voting'],
+    keywordWeights: { multisig: 2, 'multi-signature': 2, wallet: 0.6, governance: 0.3, voting: 0.3 },
+    examples: [
+        'Create a 3-of-5 multisig wallet for team treasury',
+        'Build a governance multisig with timelock',
+        'Generate a secure wallet requiring multiple approvals'
+    ],
+    prompt: `SPECIFIC REQUIREMENTS FOR MULTISIG WALLET:
+- Implement multi-signature transaction approval system
+- Include owner management functionality
+- Add transaction proposal and execution system
+- Implement proper threshold controls
+- Include emergency recovery mechanisms`,
+    parameters: {
+        type: 'object',
+        properties: {
+            owners: {
+                title: 'Owners',
+                description: 'One address per line',
+                type: 'array',
+                minItems: 1,
+                maxItems: 20,
+                uniqueItems: true,
+                items: ADDRESS
+            },
+            threshold: { title: 'Required approvals', description: 'At most the number of owners', type: 'integer', minimum: 1, maximum: 20 }
+        }
+    },
+    checkParameters: parameters => Array.isArray(parameters.owners) && Number.isInteger(parameters.threshold) &&
+        parameters.threshold > parameters.owners.length
+        ? [`threshold (${parameters.threshold}) must not exceed the number of owners (${parameters.owners.length})`]
+        : []
+};
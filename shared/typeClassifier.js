@@ -0,0 +1,96 @@
+// Scored contract type classification of free-text requirements.
+//
+// Every type is scored on all of its keywords instead of taking the first keyword found:
+// keywords match whole words only (plus plural and -ing/-ed endings), a definition's
+// keywordWeights make generic words such as "token" count less, and a keyword preceded by a
+// negation in the same clause ("not an NFT", "without a multisig") counts against its type.
+
+// Classifications below this confidence should be confirmed by the user
+export const LOW_CONFIDENCE = 0.5;
+
+// Words that negate a keyword shortly after them, within the same clause
+const NEGATIONS = ['not', 'no', 'without', 'never', 'nor', 'neither', 'except', "don't", "doesn't", "isn't", "aren't", 'instead of', 'rather than'];
+
+// How many words before a keyword a negation still applies to
+const NEGATION_WINDOW = 4;
+
+const NEGATION_PATTERN = new RegExp(`(^|\\s)(${NEGATIONS.join('|')})(\\s|$)`);
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Lower case, straight apostrophes and "ERC-20" / "erc 20" written as "erc20"
+function normalize(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[‘’]/g, "'")
+        .replace(/\berc[\s-]?(\d+)\b/g, 'erc$1');
+}
+
+// Whether the words just before a match, in the same clause, contain a negation
+function isNegated(text, index) {
+    const clause = text.slice(0, index).split(/[.,;:!?()]|\bbut\b/).pop();
+    const words = clause.trim().split(/\s+/).slice(-NEGATION_WINDOW).join(' ');
+    return NEGATION_PATTERN.test(words);
+}
+
+// Keyword occurrences in the text, each with whether it is negated
+function findKeyword(text, keyword) {
+    const pattern = new RegExp(`(?<![\\w-])${escapeRegExp(normalize(keyword))}(s|es|ing|ed|d)?(?![\\w-])`, 'g');
+    const occurrences = [];
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        occurrences.push({ negated: isNegated(text, match.index) });
+    }
+    return occurrences;
+}
+
+// Rank the type definitions for the requirements. Returns { type, confidence, candidates },
+// candidates being the types with a positive score, best first, as
+// { type, score, confidence, keywords }. With no positive score the type is fallbackType and
+// the confidence 0.
+export function classify(definitions, requirements, fallbackType = 'custom') {
+    const text = normalize(requirements);
+
+    const scored = definitions.map((definition, index) => {
+        let score = 0;
+        const keywords = [];
+
+        definition.keywords.forEach(keyword => {
+            const weight = definition.keywordWeights?.[keyword] ?? 1;
+            findKeyword(text, keyword).forEach(({ negated }) => {
+                score += negated ? -2 * weight : weight;
+                keywords.push(negated ? `not ${keyword}` : keyword);
+            });
+        });
+
+        return { type: definition.type, score: Math.round(score * 100) / 100, keywords, index };
+    });
+
+    // Ties keep the definitions' order
+    const candidates = scored
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const total = candidates.reduce((sum, candidate) => sum + candidate.score, 0);
+    const ranked = candidates.map(({ type, score, keywords }) => ({
+        type,
+        score,
+        confidence: Math.round((score / total) * 100) / 100,
+        keywords
+    }));
+
+    if (ranked.length === 0) {
+        return { type: fallbackType, confidence: 0, candidates: [] };
+    }
+
+    // Share of the total score, discounted while the evidence is thin (a single weak keyword)
+    const top = ranked[0];
+    const strength = 1 - Math.exp(-top.score * 1.5);
+    return {
+        type: top.type,
+        confidence: Math.round(top.confidence * strength * 100) / 100,
+        candidates: ranked
+    };
+}
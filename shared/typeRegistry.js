@@ -0,0 +1,102 @@
+// Registry of contract type definitions, shared by the API and the browser.
+//
+// Every type is one ES module in shared/contractTypes/ whose default export is:
+//   {
+//     type: 'erc20',                  // id used in requests, history and /api/types
+//     order: 10,                      // display order and tie-break in detection (lower first)
+//     name, description,              // display text; name is also used in prompts
+//     keywords: ['token', ...],       // words that select the type in free-text requirements
+//     keywordWeights: { token: 0.5 }, // optional: weight per keyword, 1 when left out
+//     examples: ['Create a ...'],     // sample requirements
+//     prompt: 'SPECIFIC REQUIREMENTS FOR ...',  // type-specific part of the system prompt
+//     parameters: { type: 'object', properties: { ... } },  // JSON Schema of typed options
+//     checkParameters(parameters)     // optional: problems the schema cannot express
+//   }
+// Files starting with "_" hold shared fragments and are not types. The server reads the
+// directory at runtime (api/_lib/typeRegistry.js) and the browser bundles it
+// (src/js/typeRegistry.js), so adding a type is adding one file. Detection is done by the
+// scored classifier in typeClassifier.js.
+
+import { classify } from './typeClassifier.js';
+
+// Type used when nothing else matches; its definition must exist
+export const FALLBACK_TYPE = 'custom';
+
+const REQUIRED_FIELDS = {
+    type: value => typeof value === 'string' && /^[a-z0-9-]+$/.test(value),
+    name: value => typeof value === 'string' && value.length > 0,
+    description: value => typeof value === 'string',
+    keywords: value => Array.isArray(value) && value.every(keyword => typeof keyword === 'string'),
+    examples: value => Array.isArray(value) && value.every(example => typeof example === 'string'),
+    prompt: value => typeof value === 'string',
+    parameters: value => value && value.type === 'object' && typeof value.properties === 'object'
+};
+
+function checkDefinition(definition, index) {
+    const label = definition?.type ? `"${definition.type}"` : `#${index + 1}`;
+    if (!definition || typeof definition !== 'object') {
+        throw new Error(`Contract type definition ${label} has no default export`);
+    }
+
+    const invalid = Object.entries(REQUIRED_FIELDS).filter(([field, isValid]) => !isValid(definition[field])).map(([field]) => field);
+    if (invalid.length > 0) {
+        throw new Error(`Contract type definition ${label} has missing or invalid fields: ${invalid.join(', ')}`);
+    }
+
+    const weights = definition.keywordWeights;
+    if (weights !== undefined && (typeof weights !== 'object' || Object.entries(weights).some(([keyword, weight]) => !definition.keywords.includes(keyword) || typeof weight !== 'number' || weight <= 0))) {
+        throw new Error(`Contract type definition ${label}: keywordWeights must map its keywords to positive numbers`);
+    }
+
+    if (definition.checkParameters !== undefined && typeof definition.checkParameters !== 'function') {
+        throw new Error(`Contract type definition ${label}: checkParameters must be a function`);
+    }
+}
+
+// Build a registry from definition objects; throws on invalid or duplicate definitions
+export function createTypeRegistry(definitions) {
+    definitions.forEach(checkDefinition);
+
+    const types = [...definitions].sort((a, b) => (a.order ?? 100) - (b.order ?? 100) || a.type.localeCompare(b.type));
+    const byType = new Map();
+
+    types.forEach(definition => {
+        if (byType.has(definition.type)) {
+            throw new Error(`Contract type "${definition.type}" is defined twice`);
+        }
+        byType.set(definition.type, definition);
+    });
+
+    if (!byType.has(FALLBACK_TYPE)) {
+        throw new Error(`The contract type registry needs a "${FALLBACK_TYPE}" definition`);
+    }
+
+    return {
+        types,
+
+        has(type) {
+            return byType.has(type);
+        },
+
+        // Definition of a type, or of the fallback type for unknown ids
+        get(type) {
+            return byType.get(type) || byType.get(FALLBACK_TYPE);
+        },
+
+        // Ranked type candidates for free-text requirements: { type, confidence, candidates }
+        classify(requirements) {
+            return classify(types, requirements, FALLBACK_TYPE);
+        },
+
+        // Best-scoring type for the requirements, or the fallback type
+        detect(requirements) {
+            return this.classify(requirements).type;
+        },
+
+        // JSON-safe view of a definition, as /api/types publishes it
+        describe(definition) {
+            const { type, name, description, keywords, examples, parameters } = definition;
+            return { type, name, description, keywords, examples, parameters };
+        }
+    };
+}
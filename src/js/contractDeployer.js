@@ -0,0 +1,110 @@
+// Contract Deployment - compiles through the API and deploys through the connected wallet
+import { ethers } from 'ethers';
+
+class ContractDeployer {
+    constructor(web3Auth) {
+        this.web3Auth = web3Auth;
+        this.apiUrl = import.meta.env.VITE_BACKEND_API_URL || '/api';
+    }
+
+    // Compile files with the /compile function; returns the compiler output
+    async compile(files) {
+        const response = await fetch(`${this.apiUrl}/compile`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.web3Auth.getAuthHeaders()
+            },
+            body: JSON.stringify({ files })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            const apiError = new Error(data.error?.message || 'Compilation failed');
+            apiError.type = data.error?.type;
+            throw apiError;
+        }
+
+        return data.data;
+    }
+
+    // Contracts that can be deployed (abstract contracts and interfaces have no bytecode)
+    getDeployableContracts(compilation) {
+        return Object.entries(compilation.contracts)
+            .filter(([, contract]) => contract.bytecode)
+            .map(([name, contract]) => ({ name, ...contract }));
+    }
+
+    getConstructor(abi) {
+        return abi.find(entry => entry.type === 'constructor') || { inputs: [], stateMutability: 'nonpayable' };
+    }
+
+    // Convert a form value to what ethers expects for an ABI type
+    parseArgument(type, rawValue) {
+        const value = rawValue.trim();
+
+        if (type.endsWith(']') || type.startsWith('tuple')) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                throw new Error(`Expected a JSON array for ${type}`);
+            }
+        }
+
+        if (type === 'bool') {
+            if (value !== 'true' && value !== 'false') {
+                throw new Error('Expected true or false');
+            }
+            return value === 'true';
+        }
+
+        if (/^u?int\d*$/.test(type)) {
+            if (!/^-?\d+$/.test(value)) {
+                throw new Error(`Expected an integer for ${type}`);
+            }
+            return BigInt(value);
+        }
+
+        if (type === 'address' && !ethers.isAddress(value)) {
+            throw new Error('Expected an address');
+        }
+
+        if (type.startsWith('bytes') && !ethers.isHexString(value)) {
+            throw new Error(`Expected 0x-prefixed hex for ${type}`);
+        }
+
+        return value;
+    }
+
+    // Deploy with ContractFactory through the wallet. onSubmitted(txHash) is called once the
+    // transaction is sent; resolves when it is mined
+    async deploy({ name, abi, bytecode }, args, valueInEther = '', onSubmitted = null) {
+        const signer = await this.web3Auth.getSigner();
+        const network = await signer.provider.getNetwork();
+
+        const factory = new ethers.ContractFactory(abi, bytecode, signer);
+        const overrides = valueInEther ? { value: ethers.parseEther(valueInEther) } : {};
+        const contract = await factory.deploy(...args, overrides);
+
+        const transaction = contract.deploymentTransaction();
+        if (onSubmitted) {
+            onSubmitted(transaction.hash);
+        }
+
+        await contract.waitForDeployment();
+
+        return {
+            contractName: name,
+            address: await contract.getAddress(),
+            txHash: transaction.hash,
+            chainId: Number(network.chainId),
+            network: network.name,
+            deployer: await signer.getAddress(),
+            args: args.map(arg => typeof arg === 'bigint' ? arg.toString() : arg),
+            deployedAt: new Date().toISOString()
+        };
+    }
+}
+
+export default ContractDeployer;
@@ -1,76 +1,149 @@
 // Contract Generation Engine - LLM-Powered Implementation
-// Uses Vercel Functions with Large Language Models for intelligent contract generation
+// Uses Vercel Functions with Large Language Models for intelligent contract generation,
+// falling back to the deterministic offline templates when the API cannot answer
+import { generateFromTemplate, TEMPLATE_TYPES, TEMPLATE_VERSION } from '../../shared/contractTemplates.js';
+import { LOW_CONFIDENCE } from '../../shared/typeClassifier.js';
+import typeRegistry from './typeRegistry.js';
+
+// API errors the offline templates must not paper over: the request itself was refused
+const NON_FALLBACK_ERRORS = ['Unauthorized', 'RateLimitExceeded', 'ValidationError', 'MethodNotAllowed'];
 
 class ContractGenerator {
-    constructor() {
+    constructor(web3Auth = null) {
+        this.web3Auth = web3Auth;
         this.apiUrl = import.meta.env.VITE_BACKEND_API_URL || '/api';
-        this.supportedTypes = null;
-        this.initializeSupportedTypes();
+        this.typeRegistry = typeRegistry;
+        this.quota = null;
     }
 
-    // Initialize supported contract types from Vercel Functions
-    async initializeSupportedTypes() {
-        try {
-            const response = await fetch(`${this.apiUrl}/types`);
-            const data = await response.json();
-            if (data.success) {
-                this.supportedTypes = data.data;
+    // Generate contract using LLM Vercel Function
+    // Pass onDelta(text, contractSoFar) to receive the contract as it streams in, historyId
+    // to save the result as a new version of that history thread, and contractType to skip
+    // detection (typed parameters in options are checked against that type's schema)
+    async generateContract(requirements, options = {}, onDelta = null, historyId = null, contractType = null) {
+        console.log('🚀 Generating contract using LLM Vercel Function...');
+
+        const requestBody = {
+            requirements: requirements,
+            historyId: historyId,
+            options: {
+                maxTokens: 4000,
+                temperature: 0.7,
+                ...options
             }
+        };
+
+        // Add contract type if chosen or confidently detected; otherwise the API classifies
+        // the requirements itself, with the LLM when it is configured to
+        const classification = contractType ? null : this.classifyContractType(requirements);
+        const detectedType = contractType || classification.type;
+        if (contractType || classification.confidence >= LOW_CONFIDENCE) {
+            requestBody.contractType = detectedType;
+        }
+
+        try {
+            return await this.requestContract(requestBody, onDelta);
         } catch (error) {
-            console.warn('Failed to load contract types from API:', error);
-            // Fallback to basic types
-            this.supportedTypes = [
-                { type: 'erc20', name: 'ERC-20 Token', keywords: ['token', 'erc20', 'coin'] },
-                { type: 'erc721', name: 'ERC-721 NFT', keywords: ['nft', 'collectible', 'art'] },
-                { type: 'custom', name: 'Custom Contract', keywords: ['custom', 'specific'] }
-            ];
+            if (NON_FALLBACK_ERRORS.includes(error.type) || !TEMPLATE_TYPES.includes(detectedType)) {
+                throw error;
+            }
+
+            console.warn('⚠️ Generation API unavailable, using the offline template:', error.message);
+            return this.generateFromTemplate(requirements, detectedType, options, error.message);
         }
     }
 
-    // Generate contract using LLM Vercel Function
-    async generateContract(requirements, options = {}) {
-        try {
-            console.log('🚀 Generating contract using LLM Vercel Function...');
-            
-            // Show loading state
-            this.showLoadingState('Analyzing requirements and generating contract...');
-            
-            const requestBody = {
+    // Generate a standard contract from the offline templates, without the API; the result has
+    // the shape of an API result, with metadata.mode "template" and no compile check or analysis
+    generateFromTemplate(requirements, contractType, parameters = {}, fallbackReason = null) {
+        const template = generateFromTemplate(contractType, { parameters, requirements });
+
+        return {
+            contract: template.contract,
+            files: template.files,
+            compilation: null,
+            analysis: null,
+            tests: null,
+            diff: null,
+            metadata: {
+                mode: 'template',
+                generatedAt: new Date().toISOString(),
+                templateVersion: TEMPLATE_VERSION,
+                features: template.features,
+                fallbackReason: fallbackReason,
                 requirements: requirements,
-                options: {
-                    maxTokens: 4000,
-                    temperature: 0.7,
-                    ...options
-                }
-            };
+                options: parameters
+            },
+            contractType: contractType,
+            historyId: null,
+            quota: this.quota
+        };
+    }
+
+    // Revise an existing contract with a follow-up instruction; the result includes a unified diff
+    async refineContract(instruction, previousContract, options = {}, onDelta = null, historyId = null) {
+        console.log('✏️ Refining contract using LLM Vercel Function...');
 
-            // Add contract type if detected
-            const detectedType = this.detectContractType(requirements);
-            if (detectedType && detectedType !== 'custom') {
-                requestBody.contractType = detectedType;
+        const requestBody = {
+            requirements: instruction,
+            previousContract: previousContract,
+            historyId: historyId,
+            options: {
+                maxTokens: 4000,
+                temperature: 0.7,
+                ...options
             }
+        };
+
+        return this.requestContract(requestBody, onDelta);
+    }
+
+    // POST a request body to the /generate function and unwrap the result
+    async requestContract(requestBody, onDelta = null) {
+        try {
+            // Show loading state
+            this.showLoadingState('Analyzing requirements and generating contract...');
 
             const response = await fetch(`${this.apiUrl}/generate`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    ...(onDelta ? { 'Accept': 'text/event-stream' } : {}),
+                    ...(this.web3Auth ? this.web3Auth.getAuthHeaders() : {})
                 },
                 body: JSON.stringify(requestBody)
             });
 
-            const data = await response.json();
+            this.quota = this.readQuota(response) || this.quota;
+
+            // Errors raised before the stream opens still arrive as plain JSON
+            const isEventStream = (response.headers.get('Content-Type') || '').includes('text/event-stream');
+            const data = isEventStream
+                ? await this.readGenerationStream(response, onDelta)
+                : await response.json();
             
             this.hideLoadingState();
 
             if (!response.ok) {
-                throw new Error(data.error?.message || 'Contract generation failed');
+                const apiError = new Error(data.error?.message || 'Contract generation failed');
+                apiError.type = data.error?.type;
+                apiError.resetAt = data.error?.resetAt;
+                throw apiError;
             }
 
             if (data.success && data.data) {
                 console.log('✅ Contract generated successfully');
                 return {
                     contract: data.data.contract,
-                    metadata: data.data.metadata
+                    files: data.data.files,
+                    compilation: data.data.compilation,
+                    analysis: data.data.analysis,
+                    tests: data.data.tests,
+                    diff: data.data.diff,
+                    metadata: data.data.metadata,
+                    contractType: data.data.contractType,
+                    historyId: data.data.historyId,
+                    quota: this.quota
                 };
             } else {
                 throw new Error('Invalid response from contract generation API');
@@ -79,27 +152,197 @@ class ContractGenerator {
         } catch (error) {
             this.hideLoadingState();
             console.error('❌ Contract generation error:', error);
-            throw new Error(`Contract generation failed: ${error.message}`);
+            const wrappedError = new Error(`Contract generation failed: ${error.message}`);
+            wrappedError.type = error.type;
+            wrappedError.resetAt = error.resetAt;
+            throw wrappedError;
         }
     }
 
-    // Detect contract type from requirements
-    detectContractType(requirements) {
-        if (!this.supportedTypes) {
-            return 'custom';
+    // Quota from the X-RateLimit-* headers of a response, or null if it has none
+    readQuota(response) {
+        const limit = response.headers.get('X-RateLimit-Limit');
+        if (limit === null) return null;
+
+        return {
+            limit: parseInt(limit),
+            remaining: parseInt(response.headers.get('X-RateLimit-Remaining')),
+            resetAt: new Date(parseInt(response.headers.get('X-RateLimit-Reset')) * 1000).toISOString()
+        };
+    }
+
+    // Current generation quota of the signed-in wallet, without using any of it
+    async fetchQuota() {
+        const response = await fetch(`${this.apiUrl}/quota`, {
+            headers: this.web3Auth ? this.web3Auth.getAuthHeaders() : {}
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            const apiError = new Error(data.error?.message || 'Failed to read quota');
+            apiError.type = data.error?.type;
+            throw apiError;
         }
 
-        const text = requirements.toLowerCase();
-        
-        for (const typeInfo of this.supportedTypes) {
-            for (const keyword of typeInfo.keywords) {
-                if (text.includes(keyword)) {
-                    return typeInfo.type;
+        this.quota = data.data;
+        return this.quota;
+    }
+
+    // Read the /generate event stream, relaying deltas and resolving with the final payload
+    async readGenerationStream(response, onDelta) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let streamedContract = '';
+        let result = null;
+
+        const handleEvent = (block) => {
+            let event = 'message';
+            let data = '';
+            block.split('\n').forEach(line => {
+                if (line.startsWith('event:')) {
+                    event = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data += line.slice(5).trim();
                 }
+            });
+
+            if (!data) return;
+            const payload = JSON.parse(data);
+
+            if (event === 'delta') {
+                streamedContract += payload.text;
+                onDelta(payload.text, streamedContract);
+            } else if (event === 'repair') {
+                console.log(`🛠️ Fixing ${payload.errors.length} compiler error(s), round ${payload.round}`);
+            } else if (event === 'tests') {
+                console.log(`🧪 Writing ${payload.framework} tests`);
+            } else if (event === 'done' || event === 'error') {
+                result = payload;
+            }
+        };
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                handleEvent(buffer.slice(0, boundary));
+                buffer = buffer.slice(boundary + 2);
             }
         }
-        
-        return 'custom';
+
+        if (!result) {
+            throw new Error('Contract stream ended unexpectedly');
+        }
+
+        if (!result.success) {
+            const streamError = new Error(result.error?.details || result.error?.message || 'Contract generation failed');
+            streamError.type = result.error?.type;
+            throw streamError;
+        }
+
+        return result;
+    }
+
+    // Download generated files (and their tests, if any) as a Hardhat or Foundry project archive
+    async exportProject(files, framework = 'hardhat', options = {}, tests = null) {
+        const response = await fetch(`${this.apiUrl}/export`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.web3Auth ? this.web3Auth.getAuthHeaders() : {})
+            },
+            body: JSON.stringify({ files, framework, options, tests })
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            const apiError = new Error(data.error?.message || 'Project export failed');
+            apiError.type = data.error?.type;
+            throw apiError;
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const fileName = (disposition.match(/filename="([^"]+)"/) || [])[1] || `contract-${framework}.zip`;
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        return fileName;
+    }
+
+    // Plain-language explanation of contract files from /api/explain: summary, functions with
+    // their callers and effects, roles, events and trust assumptions
+    async explainContract(files, contractName = null) {
+        const response = await fetch(`${this.apiUrl}/explain`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.web3Auth ? this.web3Auth.getAuthHeaders() : {})
+            },
+            body: JSON.stringify({ files, contractName })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok || !data.success) {
+            const apiError = new Error(data.error?.details || data.error?.message || 'Contract explanation failed');
+            apiError.type = data.error?.type;
+            throw apiError;
+        }
+
+        return data.data;
+    }
+
+    // Review existing contract files with /api/generate?mode=review: compiler and analyzer checks
+    // plus the LLM's issues and fixes, and with patch a patched version and its diff. The review
+    // counts against the generation quota and is saved to history
+    async reviewContract(files, { focus = '', patch = false } = {}) {
+        this.showLoadingState('Reviewing contract...');
+
+        try {
+            const response = await fetch(`${this.apiUrl}/generate?mode=review`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.web3Auth ? this.web3Auth.getAuthHeaders() : {})
+                },
+                body: JSON.stringify({ files, requirements: focus || undefined, options: { patch } })
+            });
+
+            this.quota = this.readQuota(response) || this.quota;
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok || !data.success) {
+                const apiError = new Error(data.error?.details || data.error?.message || 'Contract review failed');
+                apiError.type = data.error?.type;
+                apiError.resetAt = data.error?.resetAt;
+                throw apiError;
+            }
+
+            return { ...data.data, quota: this.quota };
+        } finally {
+            this.hideLoadingState();
+        }
+    }
+
+    // Detect contract type from requirements
+    detectContractType(requirements) {
+        return this.typeRegistry.detect(requirements);
+    }
+
+    // Ranked contract type candidates for requirements: { type, confidence, candidates }
+    classifyContractType(requirements) {
+        return this.typeRegistry.classify(requirements);
     }
 
     // Show loading state during contract generation
@@ -127,9 +370,9 @@ class ContractGenerator {
         }
     }
 
-    // Get supported contract types
+    // Get supported contract types (the definitions bundled from shared/contractTypes/)
     getSupportedTypes() {
-        return this.supportedTypes || [];
+        return this.typeRegistry.types;
     }
 
     // Check Vercel Functions API health
@@ -0,0 +1,83 @@
+// Diff rendering for contract revisions
+import { diffLines } from 'diff';
+
+function splitLines(text) {
+    return text.replace(/\n$/, '').split('\n');
+}
+
+// Show a unified patch, one element per line, marked as added, removed or hunk header
+export function renderUnifiedDiff(container, patch) {
+    container.innerHTML = '';
+
+    patch.split('\n').forEach(line => {
+        const span = document.createElement('span');
+        if (line.startsWith('+') && !line.startsWith('+++')) {
+            span.className = 'diff-add';
+        } else if (line.startsWith('-') && !line.startsWith('---')) {
+            span.className = 'diff-del';
+        } else if (line.startsWith('@@')) {
+            span.className = 'diff-hunk';
+        }
+        span.textContent = line || ' ';
+        container.appendChild(span);
+    });
+}
+
+// Rows of a side-by-side diff: [left, right, changed] where a side is { number, text } or
+// null; removed lines are paired with the lines that replaced them
+function buildSideBySideRows(oldText, newText) {
+    const parts = diffLines(oldText, newText);
+    const rows = [];
+    let oldNumber = 1;
+    let newNumber = 1;
+
+    for (let index = 0; index < parts.length; index++) {
+        const part = parts[index];
+        const lines = splitLines(part.value);
+
+        if (!part.added && !part.removed) {
+            lines.forEach(text => rows.push([{ number: oldNumber++, text }, { number: newNumber++, text }, false]));
+        } else if (part.removed) {
+            const replacement = parts[index + 1]?.added ? splitLines(parts[++index].value) : [];
+            for (let line = 0; line < Math.max(lines.length, replacement.length); line++) {
+                rows.push([
+                    line < lines.length ? { number: oldNumber++, text: lines[line] } : null,
+                    line < replacement.length ? { number: newNumber++, text: replacement[line] } : null,
+                    true
+                ]);
+            }
+        } else {
+            lines.forEach(text => rows.push([null, { number: newNumber++, text }, true]));
+        }
+    }
+
+    return rows;
+}
+
+// Show two texts in aligned columns, the old one on the left
+export function renderSideBySideDiff(container, oldText, newText) {
+    container.innerHTML = '';
+
+    const table = document.createElement('table');
+    table.className = 'diff-split';
+
+    buildSideBySideRows(oldText, newText).forEach(([left, right, changed]) => {
+        const row = document.createElement('tr');
+
+        [[left, 'diff-del'], [right, 'diff-add']].forEach(([side, changeClass]) => {
+            const number = document.createElement('td');
+            number.className = 'diff-line-number';
+            number.textContent = side ? side.number : '';
+
+            const text = document.createElement('td');
+            text.className = changed && side ? changeClass : '';
+            text.textContent = side ? side.text || ' ' : '';
+
+            row.append(number, text);
+        });
+
+        table.appendChild(row);
+    });
+
+    container.appendChild(table);
+}
@@ -0,0 +1,110 @@
+// Plain-language contract explanation from /api/explain, for readers who do not read Solidity.
+// Every text comes from the API (partly written by the LLM), so it is only ever set as text
+
+function element(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+}
+
+function section(title) {
+    const container = element('section', 'explain-section');
+    container.appendChild(element('h6', 'explain-heading', title));
+    return container;
+}
+
+// Table of functions: name, who may call it, what it does and under which conditions
+function functionTable(functions) {
+    const table = element('table', 'explain-table');
+    const head = table.createTHead().insertRow();
+    ['Function', 'Who can call it', 'What it does'].forEach(title => head.appendChild(element('th', null, title)));
+
+    const body = table.createTBody();
+    functions.forEach(fn => {
+        const row = body.insertRow();
+
+        const name = row.insertCell();
+        name.appendChild(element('code', null, fn.name));
+        if (fn.payable) name.appendChild(element('span', 'explain-tag', 'accepts ETH'));
+
+        row.insertCell().textContent = fn.callers;
+
+        const effects = row.insertCell();
+        effects.textContent = fn.effects;
+        if (fn.conditions?.length) {
+            effects.appendChild(element('small', 'explain-note', `Works ${fn.conditions.join('; ')}.`));
+        }
+    });
+
+    return table;
+}
+
+// Replace the container's content with the explanation
+export function renderExplanation(container, explanation) {
+    container.innerHTML = '';
+
+    const header = element('div', 'explain-header');
+    header.appendChild(element('h6', 'explain-title', explanation.contractName ? `What ${explanation.contractName} does` : 'What this contract does'));
+    container.appendChild(header);
+
+    container.appendChild(element('p', 'explain-summary', explanation.summary));
+
+    const changing = explanation.functions.filter(fn => !fn.readOnly);
+    const reading = explanation.functions.filter(fn => fn.readOnly);
+
+    if (changing.length > 0) {
+        const functions = section('Actions');
+        functions.appendChild(functionTable(changing));
+        container.appendChild(functions);
+    }
+
+    if (reading.length > 0) {
+        const details = element('details', 'explain-section');
+        details.appendChild(element('summary', 'explain-heading', `Read-only functions (${reading.length})`));
+        details.appendChild(functionTable(reading));
+        container.appendChild(details);
+    }
+
+    if (explanation.roles.length > 0) {
+        const roles = section('Roles and privileges');
+        const list = element('ul', 'explain-list');
+        explanation.roles.forEach(role => {
+            const item = element('li');
+            item.appendChild(element('strong', null, role.label));
+            if (role.description) item.append(` – ${role.description}`);
+            if (role.functions?.length) item.appendChild(element('small', 'explain-note', `Can call: ${role.functions.join(', ')}`));
+            list.appendChild(item);
+        });
+        roles.appendChild(list);
+        container.appendChild(roles);
+    }
+
+    if (explanation.events.length > 0) {
+        const events = section('Events');
+        const list = element('ul', 'explain-list');
+        explanation.events.forEach(event => {
+            const item = element('li');
+            item.appendChild(element('code', null, event.name));
+            if (event.description) item.append(` – ${event.description}`);
+            list.appendChild(item);
+        });
+        events.appendChild(list);
+        container.appendChild(events);
+    }
+
+    const trust = section('Trust assumptions');
+    const trustList = element('ul', 'explain-list explain-trust');
+    explanation.trustAssumptions.forEach(assumption => trustList.appendChild(element('li', null, assumption)));
+    trust.appendChild(trustList);
+    container.appendChild(trust);
+
+    // Where the explanation comes from, so nobody signs off on more certainty than there is
+    const metadata = explanation.metadata || {};
+    const basis = metadata.basis === 'source'
+        ? 'The code does not compile, so this explanation was written by the AI from the source alone. Have a developer confirm it.'
+        : metadata.explainedBy === 'llm'
+            ? 'Callers, events and state changes were read from the compiled code; the descriptions were written by the AI.'
+            : 'The AI was unavailable; this explanation was derived from the compiled code only.';
+    container.appendChild(element('p', 'explain-basis', basis));
+}
@@ -0,0 +1,65 @@
+// IndexedDB storage for history records kept in this browser
+const DB_NAME = 'intelligent-contract';
+const DB_VERSION = 1;
+const STORE_NAME = 'history';
+
+class HistoryStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('createdAt', 'createdAt');
+                    store.createIndex('contractType', 'contractType');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run an operation in a transaction; resolves with the request result once it commits
+    async transact(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    getAll() {
+        return this.transact('readonly', store => store.getAll());
+    }
+
+    get(id) {
+        return this.transact('readonly', store => store.get(id));
+    }
+
+    put(record) {
+        return this.transact('readwrite', store => store.put(record));
+    }
+
+    putAll(records) {
+        return this.transact('readwrite', store => {
+            records.forEach(record => store.put(record));
+        });
+    }
+
+    delete(id) {
+        return this.transact('readwrite', store => store.delete(id));
+    }
+}
+
+export default HistoryStore;
@@ -1,14 +1,32 @@
 // Main application JavaScript
 import Web3Auth from './web3Auth.js';
 import ContractGenerator from './contractGenerator.js';
+import ContractDeployer from './contractDeployer.js';
 import { copyToClipboard, showLoading, hideLoading, HistoryManager, highlightCode } from './utils.js';
+import { renderUnifiedDiff, renderSideBySideDiff } from './diffView.js';
+import { renderExplanation } from './explainView.js';
+import { renderReview } from './reviewView.js';
+import { renderParameterForm, readParameterForm } from './parameterForm.js';
+import { LOW_CONFIDENCE } from '../../shared/typeClassifier.js';
+import { createTwoFilesPatch } from 'diff';
 
 class IntelligentContractApp {
     constructor() {
         this.web3Auth = new Web3Auth();
-        this.contractGenerator = new ContractGenerator();
-        this.historyManager = new HistoryManager();
+        this.contractGenerator = new ContractGenerator(this.web3Auth);
+        this.contractDeployer = new ContractDeployer(this.web3Auth);
+        this.historyManager = new HistoryManager(this.web3Auth);
+        this.selectedHistoryId = null;
         this.isAuthenticated = false;
+        this.currentContract = null;
+        this.currentFiles = null;
+        this.currentOptions = {};
+        this.currentTests = null;
+        this.currentQuery = null;
+        this.currentHistoryId = null;
+        this.selectedHistoryEntry = null;
+        this.confirmedTypeQuery = null;
+        this.compiledContracts = [];
         this.init();
     }
 
@@ -19,7 +37,9 @@ class IntelligentContractApp {
         this.bindEvents();
         this.setupHistory();
         this.setupPagination();
+        this.setupContractTypes();
         this.updateCopyright();
+        this.refreshQuota();
         
         // Make copyToClipboard globally available
         window.copyToClipboard = copyToClipboard;
@@ -84,12 +104,120 @@ class IntelligentContractApp {
             goPageBtn.addEventListener('click', () => this.handlePageJump());
         }
 
+        // Project export
+        const exportBtn = document.getElementById('export-project-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.handleExportProject());
+        }
+
+        // Plain-language explanation of the current or a pasted contract
+        const explainBtn = document.getElementById('explain-btn');
+        if (explainBtn) {
+            explainBtn.addEventListener('click', () => this.handleExplain());
+        }
+
+        const explainPasteBtn = document.getElementById('explain-paste-btn');
+        if (explainPasteBtn) {
+            explainPasteBtn.addEventListener('click', () => this.handleExplainPasted());
+        }
+
+        const explainClose = document.getElementById('explain-close');
+        if (explainClose) {
+            explainClose.addEventListener('click', () => this.closeExplanation());
+        }
+
+        // Review of an uploaded or pasted contract
+        const reviewBtn = document.getElementById('review-btn');
+        if (reviewBtn) {
+            reviewBtn.addEventListener('click', () => this.handleReview());
+        }
+
+        // Wallet deployment
+        const deployBtn = document.getElementById('deploy-btn');
+        if (deployBtn) {
+            deployBtn.addEventListener('click', () => this.openDeployPanel());
+        }
+
+        const deployContractSelect = document.getElementById('deploy-contract');
+        if (deployContractSelect) {
+            deployContractSelect.addEventListener('change', () => this.renderDeployForm());
+        }
+
+        // History entry actions
+        const renameHistoryBtn = document.getElementById('history-rename-btn');
+        if (renameHistoryBtn) {
+            renameHistoryBtn.addEventListener('click', () => this.handleRenameHistory());
+        }
+
+        const deleteHistoryBtn = document.getElementById('history-delete-btn');
+        if (deleteHistoryBtn) {
+            deleteHistoryBtn.addEventListener('click', () => this.handleDeleteHistory());
+        }
+
+        const tagsHistoryBtn = document.getElementById('history-tags-btn');
+        if (tagsHistoryBtn) {
+            tagsHistoryBtn.addEventListener('click', () => this.handleEditTags());
+        }
+
+        // History versions
+        ['history-version', 'history-compare', 'history-diff-mode'].forEach(controlId => {
+            const control = document.getElementById(controlId);
+            if (control) {
+                control.addEventListener('change', () => this.renderHistoryVersion());
+            }
+        });
+
+        const restoreVersionBtn = document.getElementById('history-restore-btn');
+        if (restoreVersionBtn) {
+            restoreVersionBtn.addEventListener('click', () => this.handleRestoreVersion());
+        }
+
+        // History search, filter and sort
+        const historySearch = document.getElementById('history-search');
+        if (historySearch) {
+            let searchTimer = null;
+            historySearch.addEventListener('input', () => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => this.applyHistoryFilters(), 300);
+            });
+        }
+
+        ['history-type-filter', 'history-sort'].forEach(controlId => {
+            const control = document.getElementById(controlId);
+            if (control) {
+                control.addEventListener('change', () => this.applyHistoryFilters());
+            }
+        });
+
+        // History export and import
+        const exportHistoryBtn = document.getElementById('history-export-btn');
+        if (exportHistoryBtn) {
+            exportHistoryBtn.addEventListener('click', () => this.handleExportHistory());
+        }
+
+        const importHistoryBtn = document.getElementById('history-import-btn');
+        const importHistoryFile = document.getElementById('history-import-file');
+        if (importHistoryBtn && importHistoryFile) {
+            importHistoryBtn.addEventListener('click', () => importHistoryFile.click());
+            importHistoryFile.addEventListener('change', () => this.handleImportHistory(importHistoryFile));
+        }
+
+        const deploySubmit = document.getElementById('deploy-submit');
+        if (deploySubmit) {
+            deploySubmit.addEventListener('click', () => this.handleDeploy());
+        }
+
+        // Edit mode toggle
+        const refineToggle = document.getElementById('refine-mode');
+        if (refineToggle) {
+            refineToggle.addEventListener('change', () => this.updateRefineMode());
+        }
+
         const pageLimitSelect = document.getElementById('page-limit');
         if (pageLimitSelect) {
             pageLimitSelect.addEventListener('change', (e) => {
                 this.historyManager.setItemsPerPage(parseInt(e.target.value));
-                this.updateHistoryTable();
-                this.updatePagination();
+                this.refreshHistory();
             });
         }
     }
@@ -143,21 +271,92 @@ class IntelligentContractApp {
             return;
         }
 
+        // In edit mode the input is a change instruction for the contract on screen
+        const refineToggle = document.getElementById('refine-mode');
+        const previousContract = refineToggle?.checked ? this.currentContract : null;
+
+        // Typed parameters of the chosen contract type apply to new generations
+        const contractType = previousContract ? null : this.getSelectedContractType();
+        const parameters = contractType
+            ? readParameterForm(document.getElementById('type-parameters'), contractType)
+            : { values: {}, errors: [] };
+
+        if (parameters.errors.length > 0) {
+            this.showMessage(`❌ Please fix the contract parameters: ${parameters.errors.join('; ')}`, 'error');
+            return;
+        }
+
+        // An unclear auto-detected type is confirmed once: pick a suggested type or generate again
+        if (!previousContract && !contractType && message !== this.confirmedTypeQuery &&
+            this.contractGenerator.classifyContractType(message).confidence < LOW_CONFIDENCE) {
+            this.confirmedTypeQuery = message;
+            this.renderTypeDetection();
+            this.showMessage('⚠️ The contract type is unclear from the requirements. Pick one of the suggested types, or click Generate again to let it be detected automatically.', 'warning');
+            return;
+        }
+
+        // Refining or regenerating the same prompt continues the current history thread
+        const threadId = previousContract || message === this.currentQuery ? this.currentHistoryId : null;
+
         try {
-            showLoading('Generating contract using AI...');
+            showLoading(previousContract ? 'Revising contract using AI...' : 'Generating contract using AI...');
+            this.renderFileTabs(null);
+            this.renderAnalysis(null);
+            this.renderDiff(null);
+            this.renderTests(null);
+            this.renderReviewReport(null);
+            this.closeDeployPanel();
+            this.closeExplanation();
             
-            // Call the contract generation API
-            const response = await this.callGenerationAPI(message);
+            // Call the contract generation API, rendering the code as it streams in
+            // Optional unit test suite written after the contract
+            const testsFramework = document.getElementById('tests-framework')?.value;
+            const options = testsFramework ? { ...parameters.values, withTests: testsFramework } : parameters.values;
+
+            const response = await this.callGenerationAPI(message, (text, contractSoFar) => {
+                hideLoading();
+                this.displayGeneratedCode(contractSoFar, true);
+            }, previousContract, options, threadId, contractType?.type || null);
             
             if (response && response.text) {
-                // Display the generated code
-                this.displayGeneratedCode(response.text);
+                // Display the generated code with its security findings, one tab per file
+                this.renderDiff(response.diff);
+                this.renderTests(response.tests);
+                if (response.files && response.files.length > 1) {
+                    this.renderFileTabs(response.files, response.analysis);
+                } else {
+                    this.displayGeneratedCode(response.text);
+                    this.renderAnalysis(response.analysis);
+                }
+
+                if (!response.error) {
+                    this.currentContract = response.text;
+                    this.currentFiles = response.files || null;
+                    this.currentOptions = response.metadata?.options || {};
+                    this.currentTests = response.tests?.source ? response.tests : null;
+                    this.updateRefineMode();
+                    this.currentQuery = message;
+                    this.updateContractActions();
+                }
                 
                 // Show success/error message based on response
                 if (response.error) {
                     this.showMessage(`Generation completed with issues: ${response.message}`, 'warning');
+                } else if (response.metadata?.mode === 'template') {
+                    this.showMessage('⚠️ The AI service is unavailable, so this contract was built from the offline template. It has not been compile-checked or analyzed.', 'warning');
+                } else if (response.compilation && !response.compilation.success) {
+                    this.showMessage(`⚠️ Contract generated but does not compile (${response.compilation.errors.length} error(s) after ${response.compilation.repairRounds} repair round(s))`, 'warning');
                 } else {
-                    this.showMessage('✅ Contract generated successfully using AI!', 'success');
+                    const repairNote = response.compilation?.repairRounds
+                        ? ` Compiler errors fixed in ${response.compilation.repairRounds} repair round(s).`
+                        : '';
+                    const cacheNote = response.metadata?.cache?.status === 'hit'
+                        ? ' Served from cache for an identical request.'
+                        : '';
+                    const typeNote = response.metadata?.classification?.source === 'llm'
+                        ? ` Contract type chosen by the AI: ${this.contractGenerator.typeRegistry.get(response.contractType).name}.`
+                        : '';
+                    this.showMessage(`✅ Contract generated successfully using AI!${repairNote}${cacheNote}${typeNote}`, 'success');
                     
                     // Log metadata if available
                     if (response.metadata) {
@@ -165,13 +364,26 @@ class IntelligentContractApp {
                     }
                 }
                 
-                // Save to history
-                this.historyManager.addItem(message, response.text);
-                this.updateHistoryTable();
-                this.updatePagination();
+                // Save to history as a new thread or a new version of the current one
+                if (!response.error) {
+                    this.currentHistoryId = await this.historyManager.addItem(message, response.text, {
+                        historyId: response.historyId,
+                        threadId: threadId,
+                        mode: previousContract ? 'refine' : response.metadata?.mode === 'template' ? 'template' : 'generate',
+                        files: response.files || null,
+                        contractType: response.contractType || null,
+                        provider: response.metadata?.llmProvider || null,
+                        model: response.metadata?.llmModel || null
+                    });
+                    this.updateHistoryTable();
+                    this.updatePagination();
+                }
                 
-                // Clear the input
-                messageInput.value = '';
+                // Clear the input, unless the user is iterating on the same contract
+                if (!previousContract) {
+                    messageInput.value = '';
+                    this.renderTypeDetection();
+                }
             } else {
                 alert('Failed to generate contract. Please try again.');
             }
@@ -180,23 +392,169 @@ class IntelligentContractApp {
             this.showMessage(`❌ Error generating contract: ${error.message}`, 'error');
         } finally {
             hideLoading();
+            this.renderQuota(this.contractGenerator.quota);
         }
     }
 
-    // Call contract generation API
-    async callGenerationAPI(question) {
+    // Fill the contract type picker and the history type filter from the type registry;
+    // picking a type shows its parameter form. While the picker is on auto-detect, the
+    // detected type is shown as the requirements are typed
+    setupContractTypes() {
+        const typeSelect = document.getElementById('contract-type');
+        const typeFilter = document.getElementById('history-type-filter');
+
+        this.contractGenerator.getSupportedTypes().forEach(contractType => {
+            typeSelect?.add(new Option(contractType.name, contractType.type));
+            typeFilter?.add(new Option(contractType.name, contractType.type));
+        });
+
+        if (typeSelect) {
+            typeSelect.addEventListener('change', () => {
+                const container = document.getElementById('type-parameters');
+                if (container) {
+                    renderParameterForm(container, this.getSelectedContractType()?.parameters);
+                }
+                this.renderTypeDetection();
+            });
+        }
+
+        const messageInput = document.getElementById('message');
+        if (messageInput) {
+            let timer = null;
+            messageInput.addEventListener('input', () => {
+                clearTimeout(timer);
+                timer = setTimeout(() => this.renderTypeDetection(), 300);
+            });
+        }
+    }
+
+    // Show the auto-detected type of the requirements; when it is uncertain, offer the ranked
+    // candidates as buttons that select the type in the picker
+    renderTypeDetection() {
+        const container = document.getElementById('type-detection');
+        if (!container) return;
+
+        const message = document.getElementById('message')?.value.trim();
+        const refining = document.getElementById('refine-mode')?.checked;
+        container.innerHTML = '';
+        container.classList.remove('low-confidence');
+
+        if (!message || refining || this.getSelectedContractType()) {
+            container.style.display = 'none';
+            return;
+        }
+
+        const registry = this.contractGenerator.typeRegistry;
+        const classification = this.contractGenerator.classifyContractType(message);
+        container.style.display = 'flex';
+
+        if (classification.confidence >= LOW_CONFIDENCE) {
+            container.textContent = `Detected type: ${registry.get(classification.type).name} (${Math.round(classification.confidence * 100)}% confidence)`;
+            return;
+        }
+
+        container.classList.add('low-confidence');
+        const label = document.createElement('span');
+        label.textContent = classification.candidates.length > 0
+            ? 'Contract type unclear, pick one:'
+            : 'No contract type recognized; pick one or it is generated as a custom contract:';
+        container.appendChild(label);
+
+        const candidates = classification.candidates.length > 0
+            ? classification.candidates
+            : registry.types.map(definition => ({ type: definition.type }));
+
+        candidates.forEach(candidate => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'type-candidate';
+            button.textContent = candidate.confidence !== undefined
+                ? `${registry.get(candidate.type).name} ${Math.round(candidate.confidence * 100)}%`
+                : registry.get(candidate.type).name;
+            if (candidate.keywords) {
+                button.title = `Matched: ${candidate.keywords.join(', ')}`;
+            }
+            button.addEventListener('click', () => {
+                const typeSelect = document.getElementById('contract-type');
+                typeSelect.value = candidate.type;
+                typeSelect.dispatchEvent(new Event('change'));
+            });
+            container.appendChild(button);
+        });
+    }
+
+    // Type chosen in the picker, or null for auto-detection
+    getSelectedContractType() {
+        const typeValue = document.getElementById('contract-type')?.value;
+        return this.contractGenerator.getSupportedTypes().find(contractType => contractType.type === typeValue) || null;
+    }
+
+    // Load the wallet's generation quota for display before the first request
+    async refreshQuota() {
+        if (!this.isAuthenticated) return;
+
+        try {
+            this.renderQuota(await this.contractGenerator.fetchQuota());
+        } catch (error) {
+            console.warn('Could not load generation quota:', error.message);
+        }
+    }
+
+    // Show remaining generations and when the window resets
+    renderQuota(quota) {
+        const quotaStatus = document.getElementById('quota-status');
+        if (!quotaStatus) return;
+
+        if (!quota) {
+            quotaStatus.style.display = 'none';
+            return;
+        }
+
+        const resetTime = new Date(quota.resetAt).toLocaleTimeString();
+        quotaStatus.textContent = `${quota.remaining}/${quota.limit} left`;
+        quotaStatus.title = `Quota resets at ${resetTime}`;
+        quotaStatus.classList.toggle('exhausted', quota.remaining === 0);
+        quotaStatus.style.display = 'inline';
+    }
+
+    // Call contract generation API; with a previous contract the question is a change instruction.
+    // threadId is the history thread the result continues (only server threads are sent)
+    async callGenerationAPI(question, onDelta = null, previousContract = null, options = {}, threadId = null, contractType = null) {
         try {
             // Use LLM-powered contract generator with Vercel Functions
             console.log('🤖 Generating contract using LLM Vercel Functions for:', question);
-            
-            const result = await this.contractGenerator.generateContract(question);
+
+            const historyId = threadId && !threadId.startsWith('local-') ? threadId : null;
+            const result = previousContract
+                ? await this.contractGenerator.refineContract(question, previousContract, options, onDelta, historyId)
+                : await this.contractGenerator.generateContract(question, options, onDelta, historyId, contractType);
             
             return {
                 text: result.contract,
-                metadata: result.metadata
+                files: result.files,
+                compilation: result.compilation,
+                analysis: result.analysis,
+                tests: result.tests,
+                diff: result.diff,
+                metadata: result.metadata,
+                contractType: result.contractType,
+                historyId: result.historyId
             };
         } catch (error) {
             console.error('❌ LLM generation failed:', error);
+
+            // The server rejected the wallet session, so the user has to sign in again
+            if (error.type === 'Unauthorized') {
+                this.web3Auth.logout();
+                this.isAuthenticated = false;
+                this.updateUI();
+                throw new Error('Your wallet session is no longer valid. Please connect your wallet again.');
+            }
+
+            if (error.type === 'RateLimitExceeded') {
+                const resetTime = error.resetAt ? new Date(error.resetAt).toLocaleTimeString() : 'later';
+                throw new Error(`Generation limit reached. You can generate again at ${resetTime}.`);
+            }
             
             // Check if it's an API connectivity issue
             const isApiAvailable = await this.contractGenerator.checkBackendHealth();
@@ -216,20 +574,551 @@ class IntelligentContractApp {
         }
     }
 
-    // Display generated code
-    displayGeneratedCode(code) {
+    // Display generated code; while streaming, skip highlighting and keep the newest line in view
+    displayGeneratedCode(code, streaming = false) {
         const textToCopy = document.getElementById('textToCopy');
         const codeElement = document.getElementById('copyText1');
         
         if (codeElement) {
             codeElement.textContent = code;
-            highlightCode();
+
+            if (streaming) {
+                const pre = codeElement.parentElement;
+                pre.scrollTop = pre.scrollHeight;
+            } else {
+                highlightCode();
+            }
+        }
+    }
+
+    // Show one tab per generated file; selecting a tab displays that file and its findings
+    renderFileTabs(files, analysis = null) {
+        const tabsContainer = document.getElementById('file-tabs');
+        if (!tabsContainer) return;
+
+        tabsContainer.innerHTML = '';
+        tabsContainer.style.display = files ? 'flex' : 'none';
+        if (!files) return;
+
+        const selectFile = (file, tab) => {
+            tabsContainer.querySelectorAll('.file-tab').forEach(other => other.classList.remove('active'));
+            tab.classList.add('active');
+            this.displayGeneratedCode(file.source);
+            this.renderAnalysis(analysis && {
+                ...analysis,
+                findings: analysis.findings.filter(finding => finding.file === file.path)
+            });
+        };
+
+        files.forEach((file, index) => {
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'file-tab';
+            tab.textContent = file.path;
+            tab.title = file.units.map(unit => `${unit.kind} ${unit.name}`).join(', ');
+            tab.addEventListener('click', () => selectFile(file, tab));
+            tabsContainer.appendChild(tab);
+
+            if (index === files.length - 1) {
+                selectFile(file, tab);
+            }
+        });
+    }
+
+    // Annotate the code panel with the security findings of the generated contract
+    renderAnalysis(analysis) {
+        const codeElement = document.getElementById('copyText1');
+        const findingsContainer = document.getElementById('analysis-findings');
+        if (!codeElement || !findingsContainer) return;
+
+        const pre = codeElement.parentElement;
+        pre.querySelectorAll('.finding-marker').forEach(marker => marker.remove());
+        findingsContainer.innerHTML = '';
+        findingsContainer.style.display = 'none';
+
+        if (!analysis || analysis.findings.length === 0) return;
+
+        const preStyle = getComputedStyle(pre);
+        const lineHeight = parseFloat(preStyle.lineHeight);
+        const paddingTop = parseFloat(preStyle.paddingTop);
+
+        analysis.findings.forEach(finding => {
+            // Line marker behind the flagged source line
+            const marker = document.createElement('div');
+            marker.className = `finding-marker severity-${finding.severity}`;
+            marker.style.top = `${paddingTop + (finding.line - 1) * lineHeight}px`;
+            marker.style.height = `${lineHeight}px`;
+            pre.appendChild(marker);
+
+            // Entry in the findings list; clicking scrolls the code to the line
+            const item = document.createElement('div');
+            item.className = `finding-item severity-${finding.severity}`;
+            item.textContent = `Line ${finding.line} · ${finding.severity.toUpperCase()} · ${finding.ruleId}: ${finding.message}`;
+            item.addEventListener('click', () => {
+                pre.scrollTop = Math.max(0, (finding.line - 3) * lineHeight);
+            });
+            findingsContainer.appendChild(item);
+        });
+
+        findingsContainer.style.display = 'block';
+    }
+
+    // Show the unified diff of a revision below the code panel
+    renderDiff(diff) {
+        const diffContainer = document.getElementById('refine-diff');
+        const diffContent = document.getElementById('refine-diff-content');
+        if (!diffContainer || !diffContent) return;
+
+        diffContent.innerHTML = '';
+        diffContainer.style.display = diff ? 'block' : 'none';
+        if (!diff) return;
+
+        renderUnifiedDiff(diffContent, diff);
+    }
+
+    // Show the generated unit test file, or why it is missing, in its own panel
+    renderTests(tests) {
+        const panel = document.getElementById('tests-panel');
+        const pathLabel = document.getElementById('tests-path');
+        const codeElement = document.getElementById('tests-code');
+        if (!panel || !codeElement) return;
+
+        panel.style.display = tests ? 'block' : 'none';
+        panel.querySelector('.tests-error')?.remove();
+        codeElement.textContent = '';
+        if (!tests) return;
+
+        pathLabel.textContent = tests.path ? `(${tests.path})` : '';
+
+        if (tests.error) {
+            const errorElement = document.createElement('div');
+            errorElement.className = 'tests-error';
+            errorElement.textContent = `No ${tests.framework} tests: ${tests.error}`;
+            codeElement.parentElement.before(errorElement);
+            codeElement.parentElement.style.display = 'none';
+            return;
+        }
+
+        codeElement.parentElement.style.display = 'block';
+        codeElement.className = tests.framework === 'hardhat' ? 'language-javascript' : 'language-solidity';
+        codeElement.textContent = tests.source;
+        highlightCode();
+    }
+
+    // Export and deployment are available once a generated contract with its files is on screen
+    updateContractActions() {
+        ['export-project-btn', 'deploy-btn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.disabled = !this.currentFiles;
+            }
+        });
+
+        const explainBtn = document.getElementById('explain-btn');
+        if (explainBtn) {
+            explainBtn.disabled = !this.currentContract;
+        }
+    }
+
+    // Explain the contract on screen, beside its code
+    async handleExplain() {
+        if (!this.currentContract) {
+            alert('Please generate a contract first.');
+            return;
+        }
+
+        await this.explainFiles(this.currentFiles || [{ path: 'Contract.sol', source: this.currentContract }]);
+    }
+
+    // Explain Solidity source pasted by the user, without replacing the contract on screen
+    async handleExplainPasted() {
+        const source = document.getElementById('explain-source')?.value.trim();
+        if (!source) {
+            alert('Please paste a Solidity contract first.');
+            return;
+        }
+
+        if (!this.isAuthenticated) {
+            this.handleAuthRequired();
+            return;
+        }
+
+        await this.explainFiles([{ path: 'Contract.sol', source }]);
+    }
+
+    async explainFiles(files) {
+        const panel = document.getElementById('explain-panel');
+        const content = document.getElementById('explain-content');
+        if (!panel || !content) return;
+
+        try {
+            showLoading('Explaining contract...');
+            const explanation = await this.contractGenerator.explainContract(files);
+            renderExplanation(content, explanation);
+            panel.style.display = 'block';
+            panel.parentElement.classList.add('explaining');
+            panel.scrollTop = 0;
+        } catch (error) {
+            console.error('Explain error:', error);
+            this.showMessage(`❌ Could not explain the contract: ${error.message}`, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    closeExplanation() {
+        const panel = document.getElementById('explain-panel');
+        if (panel) {
+            panel.style.display = 'none';
+            panel.parentElement.classList.remove('explaining');
+        }
+    }
+
+    // Review an uploaded or pasted contract. Its issues are listed below the code; a patched
+    // version, when one was asked for, takes the place of the contract on screen with its diff
+    async handleReview() {
+        if (!this.isAuthenticated) {
+            this.handleAuthRequired();
+            return;
+        }
+
+        const files = await this.readReviewFiles();
+        if (files.length === 0) {
+            alert('Please upload or paste a Solidity contract first.');
+            return;
+        }
+
+        const focus = document.getElementById('review-focus')?.value.trim() || '';
+        const patch = document.getElementById('review-patch')?.checked || false;
+
+        try {
+            showLoading(patch ? 'Reviewing and patching contract using AI...' : 'Reviewing contract using AI...');
+            this.renderFileTabs(null);
+            this.renderAnalysis(null);
+            this.renderDiff(null);
+            this.renderTests(null);
+            this.renderReviewReport(null);
+            this.closeDeployPanel();
+            this.closeExplanation();
+
+            const result = await this.contractGenerator.reviewContract(files, { focus, patch });
+            const shown = result.review.patched || result;
+
+            this.renderDiff(result.review.patched?.diff || null);
+            if (shown.files.length > 1) {
+                this.renderFileTabs(shown.files, shown.analysis);
+            } else {
+                this.displayGeneratedCode(shown.contract);
+                this.renderAnalysis(shown.analysis);
+            }
+            this.renderReviewReport(result);
+
+            this.currentContract = shown.contract;
+            this.currentFiles = shown.files;
+            this.currentOptions = {};
+            this.currentTests = null;
+            this.currentQuery = null;
+            this.updateRefineMode();
+            this.updateContractActions();
+
+            this.currentHistoryId = await this.historyManager.addItem(result.metadata.focus || `Review of ${files.map(file => file.path).join(', ')}`, shown.contract, {
+                historyId: result.historyId,
+                mode: 'review',
+                files: shown.files,
+                contractType: result.contractType,
+                provider: result.metadata.llmProvider || null,
+                model: result.metadata.llmModel || null
+            });
+            this.updateHistoryTable();
+            this.updatePagination();
+
+            const high = result.review.issues.filter(issue => issue.severity === 'high').length;
+            const counts = `${result.review.issues.length} issue(s), ${high} high severity`;
+            if (result.metadata.llmError) {
+                this.showMessage(`⚠️ The AI review failed, showing the compiler and static analysis checks only: ${counts}.`, 'warning');
+            } else if (patch && !result.review.patched) {
+                this.showMessage(`⚠️ Review finished with ${counts}, but no patched version could be produced.`, 'warning');
+            } else {
+                this.showMessage(`✅ Review finished: ${counts}.`, high > 0 ? 'warning' : 'success');
+            }
+        } catch (error) {
+            console.error('Review error:', error);
+            this.showMessage(`❌ Could not review the contract: ${error.message}`, 'error');
+        } finally {
+            hideLoading();
+            this.renderQuota(this.contractGenerator.quota);
+        }
+    }
+
+    // Files to review: the uploaded .sol files, else the pasted source as Contract.sol
+    async readReviewFiles() {
+        const uploaded = [...(document.getElementById('review-file')?.files || [])];
+        if (uploaded.length > 0) {
+            return Promise.all(uploaded.map(async file => ({ path: file.name.replace(/[^\w.-]/g, '_'), source: await file.text() })));
+        }
+
+        const source = document.getElementById('review-source')?.value.trim();
+        return source ? [{ path: 'Contract.sol', source }] : [];
+    }
+
+    // Show the review of the contract on screen below its code, or hide it for null
+    renderReviewReport(result) {
+        const container = document.getElementById('review-report');
+        if (!container) return;
+
+        container.style.display = result ? 'block' : 'none';
+        container.innerHTML = '';
+        if (!result) return;
+
+        renderReview(container, result.review, { patched: result.review.patched, llmError: result.metadata?.llmError });
+    }
+
+    // Download the current contract as a Hardhat or Foundry project
+    async handleExportProject() {
+        if (!this.currentFiles) {
+            alert('Please generate a contract first.');
+            return;
+        }
+
+        const framework = document.getElementById('export-framework')?.value || 'hardhat';
+
+        try {
+            showLoading(`Building ${framework === 'foundry' ? 'Foundry' : 'Hardhat'} project...`);
+            const fileName = await this.contractGenerator.exportProject(this.currentFiles, framework, this.currentOptions, this.currentTests);
+            this.showMessage(`📦 Downloaded ${fileName}`, 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showMessage(`❌ Export failed: ${error.message}`, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    // Compile the current files and show the deploy form for their deployable contracts
+    async openDeployPanel() {
+        if (!this.currentFiles) {
+            alert('Please generate a contract first.');
+            return;
+        }
+
+        const panel = document.getElementById('deploy-panel');
+        const select = document.getElementById('deploy-contract');
+        const result = document.getElementById('deploy-result');
+        if (!panel || !select || !result) return;
+
+        try {
+            showLoading('Compiling contract...');
+            const compilation = await this.contractDeployer.compile(this.currentFiles);
+            panel.style.display = 'block';
+            result.innerHTML = '';
+
+            if (!compilation.success) {
+                this.compiledContracts = [];
+                select.innerHTML = '';
+                this.renderDeployForm();
+                this.renderDeployResult('error', `Contract does not compile: ${compilation.errors.map(error => error.message).join('; ')}`);
+                return;
+            }
+
+            this.compiledContracts = this.contractDeployer.getDeployableContracts(compilation);
+
+            select.innerHTML = '';
+            this.compiledContracts.forEach(contract => {
+                const option = document.createElement('option');
+                option.value = contract.name;
+                option.textContent = `${contract.name} (${contract.file})`;
+                select.appendChild(option);
+            });
+
+            // Default to the last deployable contract of the last file, as in the export
+            const fileOrder = this.currentFiles.map(file => file.path);
+            const main = [...this.compiledContracts]
+                .sort((a, b) => fileOrder.indexOf(a.file) - fileOrder.indexOf(b.file))
+                .pop();
+            if (main) {
+                select.value = main.name;
+            }
+
+            this.renderDeployForm();
+        } catch (error) {
+            console.error('Compile error:', error);
+            this.showMessage(`❌ Compilation failed: ${error.message}`, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    closeDeployPanel() {
+        const panel = document.getElementById('deploy-panel');
+        if (panel) {
+            panel.style.display = 'none';
+        }
+        this.compiledContracts = [];
+    }
+
+    // Build one input per constructor parameter of the selected contract
+    renderDeployForm() {
+        const argsContainer = document.getElementById('deploy-args');
+        const valueField = document.getElementById('deploy-value-field');
+        const submit = document.getElementById('deploy-submit');
+        const selected = this.getSelectedDeployContract();
+        if (!argsContainer || !valueField || !submit) return;
+
+        argsContainer.innerHTML = '';
+        submit.disabled = !selected;
+        valueField.style.display = 'none';
+        if (!selected) return;
+
+        const constructor = this.contractDeployer.getConstructor(selected.abi);
+
+        constructor.inputs.forEach((input, index) => {
+            const field = document.createElement('div');
+            field.className = 'deploy-field';
+
+            const label = document.createElement('label');
+            label.htmlFor = `deploy-arg-${index}`;
+            label.textContent = `${input.name || `arg${index}`} (${input.type})`;
+
+            const control = document.createElement('input');
+            control.type = 'text';
+            control.id = `deploy-arg-${index}`;
+            control.dataset.type = input.type;
+            control.placeholder = input.type.endsWith(']') ? '["..."]'
+                : input.type === 'bool' ? 'true / false'
+                : input.type === 'address' ? '0x...'
+                : '';
+
+            // Address parameters usually mean "owner", so offer the connected wallet
+            if (input.type === 'address' && this.web3Auth.getAuthData()?.address) {
+                control.value = this.web3Auth.getAuthData().address;
+            }
+
+            field.appendChild(label);
+            field.appendChild(control);
+            argsContainer.appendChild(field);
+        });
+
+        if (constructor.stateMutability === 'payable') {
+            valueField.style.display = 'flex';
         }
     }
 
+    getSelectedDeployContract() {
+        const select = document.getElementById('deploy-contract');
+        return this.compiledContracts.find(contract => contract.name === select?.value) || null;
+    }
+
+    // Deploy the selected contract through the wallet and record it with the history item
+    async handleDeploy() {
+        const selected = this.getSelectedDeployContract();
+        if (!selected) return;
+
+        let args;
+        try {
+            args = [...document.querySelectorAll('#deploy-args input')].map(control => {
+                try {
+                    return this.contractDeployer.parseArgument(control.dataset.type, control.value);
+                } catch (error) {
+                    throw new Error(`${control.previousElementSibling.textContent}: ${error.message}`);
+                }
+            });
+        } catch (error) {
+            this.renderDeployResult('error', error.message);
+            return;
+        }
+
+        const value = document.getElementById('deploy-value')?.value.trim() || '';
+
+        try {
+            showLoading('Confirm the deployment in your wallet...');
+            const deployment = await this.contractDeployer.deploy(selected, args, value, txHash => {
+                showLoading('Waiting for the deployment to be mined...');
+                this.renderDeployResult('pending', `Transaction sent: ${txHash}`);
+            });
+
+            this.renderDeployResult('success', `${deployment.contractName} deployed at ${deployment.address} (chain ${deployment.chainId}, tx ${deployment.txHash})`);
+
+            this.showMessage(`🚀 ${deployment.contractName} deployed at ${deployment.address}`, 'success');
+            await this.saveDeployment(deployment);
+        } catch (error) {
+            console.error('Deployment error:', error);
+            this.renderDeployResult('error', `Deployment failed: ${error.shortMessage || error.message}`);
+        } finally {
+            hideLoading();
+        }
+    }
+
+    // Record a deployment with the history entry of the contract on screen
+    async saveDeployment(deployment) {
+        if (!this.currentHistoryId) return;
+
+        try {
+            const entry = await this.historyManager.addDeployment(this.currentHistoryId, deployment);
+            if (this.selectedHistoryId === this.currentHistoryId) {
+                this.selectedHistoryEntry = entry;
+                this.renderDeployments(entry);
+            }
+        } catch (error) {
+            console.error('Error saving deployment:', error);
+            this.showMessage(`⚠️ Deployed, but the deployment could not be saved to history: ${error.message}`, 'warning');
+        }
+    }
+
+    renderDeployResult(status, text) {
+        const result = document.getElementById('deploy-result');
+        if (!result) return;
+
+        result.innerHTML = '';
+        const line = document.createElement('div');
+        line.className = status === 'error' ? 'error' : '';
+        line.textContent = text;
+        result.appendChild(line);
+    }
+
+    // List the recorded deployments of a history entry
+    renderDeployments(entry) {
+        const container = document.getElementById('history-deployments');
+        if (!container) return;
+
+        const deployments = this.historyManager.getDeployments(entry);
+        container.innerHTML = '';
+        container.style.display = deployments.length ? 'block' : 'none';
+
+        deployments.forEach(deployment => {
+            const item = document.createElement('div');
+            item.className = 'deployment-item';
+            item.textContent = `v${deployment.version} · ${deployment.contractName} · ${deployment.address} · chain ${deployment.chainId} · ${new Date(deployment.deployedAt).toLocaleString()} · tx ${deployment.txHash}`;
+            container.appendChild(item);
+        });
+    }
+
+    // Enable edit mode once there is a contract to edit and adapt the input hint
+    updateRefineMode() {
+        const refineToggle = document.getElementById('refine-mode');
+        const messageInput = document.getElementById('message');
+        if (!refineToggle || !messageInput) return;
+
+        refineToggle.disabled = !this.currentContract;
+        if (!this.currentContract) {
+            refineToggle.checked = false;
+        }
+
+        messageInput.placeholder = refineToggle.checked
+            ? 'Describe the change to the current contract, e.g. "add pausable and a 2% transfer tax"...'
+            : messageInput.dataset.defaultPlaceholder || messageInput.placeholder;
+        this.renderTypeDetection();
+    }
+
     // Setup history functionality
     setupHistory() {
+        this.refreshHistory();
+    }
+
+    // Reload the current history page (from the server when signed in) and redraw it
+    async refreshHistory() {
+        await this.historyManager.loadData();
         this.updateHistoryTable();
+        this.updatePagination();
     }
 
     // Update history table
@@ -240,29 +1129,281 @@ class IntelligentContractApp {
         tableBody.innerHTML = '';
         const paginatedData = this.historyManager.getPaginatedData();
 
+        // Built with DOM nodes: titles are user text and may contain quotes, newlines or markup
         paginatedData.forEach(item => {
             const row = document.createElement('tr');
-            row.innerHTML = `
-                <td class="contract-list-xh">${item.order}</td>
-                <td class="contract-list-lb" style="cursor: pointer;" onclick="app.showHistoryCode('${item.message.replace(/'/g, "\\'")}')">
-                    ${item.message}
-                </td>
-            `;
+
+            const order = document.createElement('td');
+            order.className = 'contract-list-xh';
+            order.textContent = item.order;
+
+            const title = document.createElement('td');
+            title.className = 'contract-list-lb';
+            title.style.cursor = 'pointer';
+            title.title = [item.message, item.provider && `${item.provider}/${item.model}`].filter(Boolean).join('\n');
+            title.textContent = item.message;
+            if (item.versionCount > 1) {
+                const versions = document.createElement('span');
+                versions.className = 'history-version-count';
+                versions.textContent = `v${item.versionCount}`;
+                title.appendChild(versions);
+            }
+            item.tags.forEach(tag => {
+                const tagElement = document.createElement('span');
+                tagElement.className = 'history-tag';
+                tagElement.textContent = tag;
+                title.appendChild(tagElement);
+            });
+            title.addEventListener('click', () => this.showHistoryCode(item.id));
+
+            const type = document.createElement('td');
+            type.className = 'contract-list-type';
+            type.textContent = item.contractType || '—';
+
+            const created = document.createElement('td');
+            created.className = 'contract-list-date';
+            created.textContent = item.createdAt ? new Date(item.createdAt).toLocaleDateString() : '';
+
+            row.append(order, title, type, created);
             tableBody.appendChild(row);
         });
     }
 
     // Show history code
-    showHistoryCode(query) {
-        const code = this.historyManager.getItem(query);
-        if (code) {
-            const textToCopy = document.getElementById('textToCopy-1');
+    async showHistoryCode(id) {
+        const entry = await this.historyManager.getItem(id);
+        if (entry) {
+            this.selectedHistoryId = id;
+            this.selectedHistoryEntry = entry;
+            this.updateHistoryActions();
+            this.renderHistoryVersions(entry);
+            this.renderHistoryReview(entry);
+            this.renderDeployments(entry);
+        }
+    }
+
+    // Fill the version and comparison pickers of a history entry and show its latest version
+    renderHistoryVersions(entry) {
+        const panel = document.getElementById('history-versions');
+        const versionSelect = document.getElementById('history-version');
+        const compareSelect = document.getElementById('history-compare');
+        if (!panel || !versionSelect || !compareSelect) return;
+
+        versionSelect.innerHTML = '';
+        compareSelect.innerHTML = '<option value="">No comparison</option>';
+        panel.style.display = entry ? 'flex' : 'none';
+
+        if (!entry) {
+            this.renderHistoryVersion();
+            return;
+        }
+
+        const versions = this.historyManager.getVersions(entry);
+        [...versions].reverse().forEach(version => {
+            const label = `v${version.version} · ${version.mode} · ${new Date(version.createdAt).toLocaleString()}`;
+            versionSelect.add(new Option(label, version.version));
+            compareSelect.add(new Option(label, version.version));
+        });
+
+        // Compare with the previous version by default, if there is one
+        versionSelect.value = versions[versions.length - 1].version;
+        compareSelect.value = versions.length > 1 ? versions[versions.length - 2].version : '';
+        this.renderHistoryVersion();
+    }
+
+    // Show the picked version of the selected entry, and its diff against the compared version
+    renderHistoryVersion() {
+        const codeElement = document.getElementById('copyText2');
+        const note = document.getElementById('history-version-note');
+        const diffContainer = document.getElementById('history-version-diff');
+        const restoreBtn = document.getElementById('history-restore-btn');
+        const entry = this.selectedHistoryEntry;
+
+        if (!entry) {
+            if (note) note.textContent = '';
+            if (diffContainer) diffContainer.style.display = 'none';
+            return;
+        }
+
+        const versions = this.historyManager.getVersions(entry);
+        const pick = selectId => versions.find(version => version.version === parseInt(document.getElementById(selectId)?.value));
+        const selected = pick('history-version') || versions[versions.length - 1];
+        const compared = pick('history-compare');
+
+        if (codeElement) {
+            codeElement.textContent = selected.contract;
+            highlightCode();
+        }
+
+        if (note) {
+            note.textContent = `v${selected.version}: ${selected.instruction}`;
+        }
+
+        if (restoreBtn) {
+            restoreBtn.disabled = selected === versions[versions.length - 1];
+        }
+
+        if (!diffContainer) return;
+        diffContainer.style.display = compared && compared !== selected ? 'block' : 'none';
+        if (!compared || compared === selected) return;
+
+        if (document.getElementById('history-diff-mode')?.value === 'split') {
+            diffContainer.className = 'diff-view diff-view-split';
+            renderSideBySideDiff(diffContainer, compared.contract, selected.contract);
+        } else {
+            diffContainer.className = 'diff-view';
+            renderUnifiedDiff(diffContainer, createTwoFilesPatch(
+                `v${compared.version}.sol`,
+                `v${selected.version}.sol`,
+                compared.contract,
+                selected.contract
+            ));
+        }
+    }
+
+    // The saved review of a history entry that came from review mode
+    renderHistoryReview(entry) {
+        const container = document.getElementById('history-review');
+        if (!container) return;
+
+        const review = entry?.metadata?.review;
+        container.style.display = review ? 'block' : 'none';
+        container.innerHTML = '';
+        if (review) {
+            renderReview(container, review);
+        }
+    }
+
+    // Make the picked version the latest version of the selected entry
+    async handleRestoreVersion() {
+        const versionSelect = document.getElementById('history-version');
+        if (!this.selectedHistoryId || !versionSelect) return;
+
+        const versionNumber = parseInt(versionSelect.value);
+        try {
+            const entry = await this.historyManager.restoreVersion(this.selectedHistoryId, versionNumber);
+            this.selectedHistoryEntry = entry;
+            this.renderHistoryVersions(entry);
+            this.updateHistoryTable();
+
+            // Keep editing from the restored source if this thread is the one in the editor
+            if (this.selectedHistoryId === this.currentHistoryId) {
+                this.currentContract = entry.contract;
+                this.currentFiles = entry.files || null;
+                this.displayGeneratedCode(entry.contract);
+                this.updateContractActions();
+                this.closeExplanation();
+            }
+
+            this.showMessage(`✅ Restored version ${versionNumber}`, 'success');
+        } catch (error) {
+            this.showMessage(`❌ Could not restore version: ${error.message}`, 'error');
+        }
+    }
+
+    // Rename and delete apply to the selected history entry
+    updateHistoryActions() {
+        ['history-rename-btn', 'history-tags-btn', 'history-delete-btn'].forEach(buttonId => {
+            const button = document.getElementById(buttonId);
+            if (button) {
+                button.disabled = !this.selectedHistoryId;
+            }
+        });
+    }
+
+    async handleRenameHistory() {
+        if (!this.selectedHistoryId) return;
+
+        const current = this.historyManager.getPaginatedData().find(item => item.id === this.selectedHistoryId);
+        const title = prompt('New name for this contract:', current ? current.message : '');
+        if (!title || !title.trim()) return;
+
+        try {
+            await this.historyManager.updateItem(this.selectedHistoryId, { title: title.trim() });
+            this.updateHistoryTable();
+        } catch (error) {
+            this.showMessage(`❌ Could not rename: ${error.message}`, 'error');
+        }
+    }
+
+    async handleEditTags() {
+        if (!this.selectedHistoryId) return;
+
+        const current = this.historyManager.getPaginatedData().find(item => item.id === this.selectedHistoryId);
+        const input = prompt('Tags, separated by commas:', current ? current.tags.join(', ') : '');
+        if (input === null) return;
+
+        try {
+            await this.historyManager.updateItem(this.selectedHistoryId, { tags: input.split(',') });
+            this.updateHistoryTable();
+        } catch (error) {
+            this.showMessage(`❌ Could not update tags: ${error.message}`, 'error');
+        }
+    }
+
+    // Read the search, type and sort controls and reload the first history page
+    applyHistoryFilters() {
+        this.historyManager.setFilters({
+            query: document.getElementById('history-search')?.value.trim() || '',
+            type: document.getElementById('history-type-filter')?.value || '',
+            sort: document.getElementById('history-sort')?.value || 'newest'
+        });
+        this.refreshHistory();
+    }
+
+    // Download the whole history as JSON
+    async handleExportHistory() {
+        try {
+            const exported = await this.historyManager.exportHistory();
+            const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `contract-history-${new Date().toISOString().slice(0, 10)}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            this.showMessage(`❌ Could not export history: ${error.message}`, 'error');
+        }
+    }
+
+    // Add the entries of an exported history file
+    async handleImportHistory(fileInput) {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        try {
+            const imported = await this.historyManager.importHistory(JSON.parse(await file.text()));
+            this.updateHistoryTable();
+            this.updatePagination();
+            this.showMessage(`✅ Imported ${imported} history entr${imported === 1 ? 'y' : 'ies'}`, 'success');
+        } catch (error) {
+            this.showMessage(`❌ Could not import history: ${error.message}`, 'error');
+        }
+    }
+
+    async handleDeleteHistory() {
+        if (!this.selectedHistoryId || !confirm('Delete this contract from your history?')) return;
+
+        try {
+            await this.historyManager.deleteItem(this.selectedHistoryId);
+            this.selectedHistoryId = null;
+            this.selectedHistoryEntry = null;
+            this.updateHistoryActions();
+            this.renderHistoryVersions(null);
+            this.renderHistoryReview(null);
+
             const codeElement = document.getElementById('copyText2');
-            
             if (codeElement) {
-                codeElement.textContent = code;
-                highlightCode();
+                codeElement.textContent = '// Select a contract from the history to view its code...';
             }
+            this.renderDeployments(null);
+            await this.refreshHistory();
+        } catch (error) {
+            this.showMessage(`❌ Could not delete: ${error.message}`, 'error');
         }
     }
 
@@ -306,8 +1447,7 @@ class IntelligentContractApp {
     // Change page
     changePage(page) {
         this.historyManager.setPage(page);
-        this.updateHistoryTable();
-        this.updatePagination();
+        this.refreshHistory();
     }
 
     // Handle page jump
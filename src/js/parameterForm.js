@@ -0,0 +1,126 @@
+// Form for the typed parameters of a contract type, built from the JSON Schema in its type
+// definition (shared/contractTypes/). Supports the keywords those schemas use: type, minimum/maximum, minLength/maxLength,
+// pattern, format "date" and, for lists, items, minItems/maxItems and uniqueItems.
+
+// Form control for one schema property; lists are textareas with one item per line
+function createControl(key, property) {
+    let control;
+
+    if (property.type === 'array') {
+        control = document.createElement('textarea');
+        control.rows = 3;
+        control.placeholder = property.examples?.[0]?.join('\n') || '';
+    } else {
+        control = document.createElement('input');
+
+        if (property.type === 'integer' || property.type === 'number') {
+            control.type = 'number';
+            control.step = property.type === 'integer' ? '1' : 'any';
+            if (property.minimum !== undefined) control.min = property.minimum;
+            if (property.maximum !== undefined) control.max = property.maximum;
+            if (property.default !== undefined) control.placeholder = property.default;
+        } else if (property.format === 'date') {
+            control.type = 'date';
+        } else {
+            control.type = 'text';
+            if (property.pattern) control.pattern = property.pattern;
+            if (property.maxLength) control.maxLength = property.maxLength;
+        }
+    }
+
+    control.className = 'form-control';
+    control.name = key;
+    control.dataset.parameter = key;
+    return control;
+}
+
+// Problems with one value against its property schema, as readable messages
+function checkValue(property, value) {
+    if (property.type === 'array') {
+        const errors = [];
+        if (property.minItems !== undefined && value.length < property.minItems) errors.push(`needs at least ${property.minItems} item(s)`);
+        if (property.maxItems !== undefined && value.length > property.maxItems) errors.push(`allows at most ${property.maxItems} item(s)`);
+        if (property.uniqueItems && new Set(value.map(item => item.toLowerCase())).size !== value.length) errors.push('has duplicate items');
+        value.forEach(item => errors.push(...checkValue(property.items || {}, item).map(error => `"${item}" ${error}`)));
+        return errors;
+    }
+
+    if (property.type === 'integer' || property.type === 'number') {
+        if (Number.isNaN(value) || (property.type === 'integer' && !Number.isInteger(value))) return ['must be a whole number'];
+        if (property.minimum !== undefined && value < property.minimum) return [`must be at least ${property.minimum}`];
+        if (property.maximum !== undefined && value > property.maximum) return [`must be at most ${property.maximum}`];
+        return [];
+    }
+
+    if (property.minLength !== undefined && value.length < property.minLength) return [`must have at least ${property.minLength} character(s)`];
+    if (property.maxLength !== undefined && value.length > property.maxLength) return [`must have at most ${property.maxLength} characters`];
+    if (property.pattern && !new RegExp(property.pattern).test(value)) return ['has an invalid format'];
+    if (property.format === 'date' && Number.isNaN(Date.parse(value))) return ['must be a date'];
+    return [];
+}
+
+// Replace the container's content with one labelled field per schema property
+export function renderParameterForm(container, schema) {
+    container.innerHTML = '';
+    const properties = Object.entries(schema?.properties || {});
+    container.style.display = properties.length > 0 ? 'grid' : 'none';
+
+    properties.forEach(([key, property]) => {
+        const field = document.createElement('label');
+        field.className = 'parameter-field';
+
+        const title = document.createElement('span');
+        title.className = 'parameter-title';
+        title.textContent = property.title || key;
+
+        field.append(title, createControl(key, property));
+
+        if (property.description) {
+            const hint = document.createElement('small');
+            hint.className = 'parameter-hint';
+            hint.textContent = property.description;
+            field.appendChild(hint);
+        }
+
+        container.appendChild(field);
+    });
+}
+
+// Filled-in values of the form for a type definition, typed per its schema, and the problems
+// found, including those of the definition's checkParameters; empty fields are left out.
+// Invalid fields are marked for the browser's validation UI
+export function readParameterForm(container, definition) {
+    const values = {};
+    const errors = [];
+
+    Object.entries(definition?.parameters?.properties || {}).forEach(([key, property]) => {
+        const control = container.querySelector(`[data-parameter="${key}"]`);
+        if (!control) return;
+
+        control.setCustomValidity('');
+        const raw = control.value.trim();
+        if (raw === '') return;
+
+        let value = raw;
+        if (property.type === 'array') {
+            value = raw.split('\n').map(line => line.trim()).filter(Boolean);
+        } else if (property.type === 'integer' || property.type === 'number') {
+            value = Number(raw);
+        }
+
+        const problems = checkValue(property, value);
+        if (problems.length > 0) {
+            const message = `${property.title || key} ${problems.join(', ')}`;
+            control.setCustomValidity(message);
+            errors.push(message);
+        } else {
+            values[key] = value;
+        }
+    });
+
+    if (errors.length === 0 && definition?.checkParameters) {
+        errors.push(...definition.checkParameters(values));
+    }
+
+    return { values, errors };
+}
@@ -0,0 +1,59 @@
+// Review report of an existing contract from /api/generate?mode=review: summary and issues
+// with their fixes. Issue texts come partly from the LLM, so they are only ever set as text
+
+const SOURCE_LABELS = {
+    llm: 'AI review',
+    analyzer: 'Static analysis',
+    compiler: 'Compiler'
+};
+
+function element(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+}
+
+function issueItem(issue) {
+    const item = element('li', `review-issue severity-${issue.severity}`);
+
+    const header = element('div', 'review-issue-header');
+    header.appendChild(element('span', 'review-severity', issue.severity.toUpperCase()));
+    header.appendChild(element('strong', null, issue.title));
+    const location = [issue.file, issue.line && `line ${issue.line}`].filter(Boolean).join(' ');
+    header.appendChild(element('small', 'review-issue-meta', [SOURCE_LABELS[issue.source], location].filter(Boolean).join(' · ')));
+    item.appendChild(header);
+
+    if (issue.description) item.appendChild(element('p', 'review-issue-text', issue.description));
+    if (issue.fix) item.appendChild(element('p', 'review-issue-fix', `Fix: ${issue.fix}`));
+
+    return item;
+}
+
+// Replace the container's content with the review; patched is the patched version, if any
+export function renderReview(container, review, { patched = null, llmError = null } = {}) {
+    container.innerHTML = '';
+
+    container.appendChild(element('h6', 'review-title', 'Review'));
+
+    if (review.summary) {
+        container.appendChild(element('p', 'review-summary', review.summary));
+    } else if (llmError) {
+        container.appendChild(element('p', 'review-summary', `The AI review is unavailable (${llmError}); only the compiler and static analysis checks ran.`));
+    }
+
+    if (review.issues.length === 0) {
+        container.appendChild(element('p', 'review-empty', 'No issues found.'));
+    } else {
+        const list = element('ul', 'review-issues');
+        review.issues.forEach(issue => list.appendChild(issueItem(issue)));
+        container.appendChild(list);
+    }
+
+    if (patched) {
+        const compiles = patched.compilation?.success
+            ? 'It compiles.'
+            : `It does not compile (${patched.compilation?.errors.length || 0} error(s)); fix it before use.`;
+        container.appendChild(element('p', 'review-patched-note', `A patched version is shown in the editor, with its changes below. ${compiles}`));
+    }
+}
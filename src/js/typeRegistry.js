@@ -0,0 +1,7 @@
+// Contract type registry for the browser, bundled from the definition files in
+// shared/contractTypes/ at build time (the API reads the same files at runtime)
+import { createTypeRegistry } from '../../shared/typeRegistry.js';
+
+const modules = import.meta.glob(['../../shared/contractTypes/*.js', '!../../shared/contractTypes/_*.js'], { eager: true });
+
+export default createTypeRegistry(Object.values(modules).map(module => module.default));
@@ -1,4 +1,5 @@
 // Utility functions
+import HistoryStore from './historyStore.js';
 
 // Copy text to clipboard with modern API
 export function copyToClipboard(elementId) {
@@ -115,44 +116,196 @@ export function hideLoading() {
 }
 
 // History management
+// localStorage key of deployments per prompt text, before they moved onto history records
+const LEGACY_DEPLOYMENTS_KEY = 'contractDeployments';
+
+// localStorage key of signed-out history before it moved to IndexedDB
+const LEGACY_HISTORY_KEY = 'contractHistory';
+
+// Version of the document produced by HistoryManager.exportHistory
+const EXPORT_VERSION = 1;
+
+// Longest title the history API keeps
+const MAX_TITLE_LENGTH = 200;
+
+// Title shown in the history list when none is given: the start of the requirements
+// (the API makes the same default)
+function defaultTitle(requirements) {
+    const singleLine = requirements.trim().replace(/\s+/g, ' ');
+    return singleLine.length > 80 ? `${singleLine.slice(0, 77)}...` : singleLine;
+}
+
+// Trimmed, lower-case, unique tags (the API normalizes them the same way)
+function normalizeTags(tags) {
+    return [...new Set(tags.filter(tag => typeof tag === 'string' && tag.trim()).map(tag => tag.trim().toLowerCase()))];
+}
+
+// Append a version to a record and make it current (the API does the same for its entries)
+function appendVersion(record, { contract, files = null, instruction, mode, provider = null, model = null, createdAt }) {
+    const versions = record.versions || [];
+    const last = versions[versions.length - 1];
+    const now = new Date().toISOString();
+
+    record.versions = [...versions, {
+        version: last ? last.version + 1 : 1,
+        contract,
+        files,
+        instruction,
+        mode,
+        provider,
+        model,
+        createdAt: createdAt || now
+    }];
+    record.contract = contract;
+    record.files = files;
+    record.updatedAt = now;
+    return record;
+}
+
+// Whether a value is a file list the history API accepts: 1 to 20 { path, source } entries
+// with .sol paths and at most 200000 characters in total
+function isSourceFileList(files) {
+    return Array.isArray(files) && files.length > 0 && files.length <= 20 &&
+        files.every(file => file && typeof file.path === 'string' && /^[\w.-]+\.sol$/.test(file.path) && typeof file.source === 'string') &&
+        files.reduce((total, file) => total + file.source.length, 0) <= 200000;
+}
+
+// Whether a value looks like a deployment returned by ContractDeployer.deploy
+function isDeployment(deployment) {
+    return !!deployment && typeof deployment.contractName === 'string' && deployment.contractName !== '' &&
+        isValidEthereumAddress(deployment.address) && /^0x[a-fA-F0-9]{64}$/.test(deployment.txHash) &&
+        Number.isInteger(deployment.chainId) && !Number.isNaN(Date.parse(deployment.deployedAt));
+}
+
+// Records matching a search text (title, requirements, type, tags) and type, in a sort order
+// (newest, oldest or title); the same rules as the history API
+function filterEntries(entries, { query = '', type = '', sort = 'newest' } = {}) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    const matching = entries.filter(entry => {
+        if (type && entry.contractType !== type) return false;
+
+        const text = [entry.title, entry.requirements, entry.contractType, ...(entry.tags || [])].join(' ').toLowerCase();
+        return terms.every(term => text.includes(term));
+    });
+
+    const byCreated = (a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt);
+    if (sort === 'oldest') return matching.sort(byCreated);
+    if (sort === 'title') return matching.sort((a, b) => a.title.localeCompare(b.title));
+    return matching.sort((a, b) => byCreated(b, a));
+}
+
+// Generation history. A record is { id, createdAt, updatedAt, title, requirements, contract,
+// files, contractType, provider, model, tags, versions, deployments }: a thread whose versions
+// ({ version, contract, files, instruction, mode, provider, model, createdAt }) grow as it is
+// regenerated or refined, with contract and files those of the latest version. Deployments
+// ({ version, contractName, address, chainId, txHash, deployedAt, ... }) note the version
+// they were made from. Signed in,
+// records live in the wallet's history on the server (/api/history) and follow it across
+// browsers; signed out, they are kept in IndexedDB and uploaded on the next sign-in.
 export class HistoryManager {
-    constructor() {
+    constructor(web3Auth = null) {
+        this.web3Auth = web3Auth;
+        this.apiUrl = import.meta.env.VITE_BACKEND_API_URL || '/api';
+        this.store = new HistoryStore();
         this.currentPage = 1;
         this.itemsPerPage = 5;
         this.totalItems = 0;
         this.data = [];
-        this.loadData();
+        this.filters = { query: '', type: '', sort: 'newest' };
+        this.ready = this.migrateLegacyEntries().catch(error => console.error('Error migrating history:', error));
     }
 
-    // Load data from localStorage
-    loadData() {
-        this.data = [];
-        let index = 1;
-        
-        Object.keys(localStorage).forEach(key => {
-            if (key !== 'web3AuthData') { // Exclude auth data
-                this.data.push({
-                    order: index,
-                    message: key,
-                    code: localStorage.getItem(key)
-                });
-                index++;
+    isRemote() {
+        return !!this.web3Auth && this.web3Auth.isUserAuthenticated();
+    }
+
+    // Call /api/history; returns the unwrapped data
+    async request(path = '', options = {}) {
+        const response = await fetch(`${this.apiUrl}/history${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.web3Auth.getAuthHeaders()
             }
         });
-        
-        this.totalItems = this.data.length;
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            const apiError = new Error(data.error?.message || 'History request failed');
+            apiError.type = data.error?.type;
+            throw apiError;
+        }
+
+        return data.data;
     }
 
-    // Get paginated data
-    getPaginatedData() {
+    // Search text, contract type and sort order of the table; back to the first page
+    setFilters(filters) {
+        this.filters = { ...this.filters, ...filters };
+        this.currentPage = 1;
+    }
+
+    // Load the current page, from the server when signed in
+    async loadData() {
+        await this.ready;
+
+        if (!this.isRemote()) {
+            await this.migrateLegacyDeployments().catch(error => console.error('Error migrating deployments:', error));
+            await this.loadLocalPage();
+            return;
+        }
+
+        try {
+            await this.uploadLocalEntries();
+            await this.migrateLegacyDeployments().catch(error => console.error('Error migrating deployments:', error));
+            const params = new URLSearchParams({
+                page: this.currentPage,
+                limit: this.itemsPerPage,
+                q: this.filters.query,
+                type: this.filters.type,
+                sort: this.filters.sort
+            });
+            const result = await this.request(`?${params}`);
+            this.totalItems = result.total;
+            this.data = this.toRows(result.items);
+        } catch (error) {
+            console.error('Error loading history:', error);
+            await this.loadLocalPage();
+        }
+    }
+
+    async loadLocalPage() {
+        const entries = filterEntries(await this.store.getAll(), this.filters);
         const startIndex = (this.currentPage - 1) * this.itemsPerPage;
-        const endIndex = startIndex + this.itemsPerPage;
-        return this.data.slice(startIndex, endIndex);
+        this.totalItems = entries.length;
+        this.data = this.toRows(entries.slice(startIndex, startIndex + this.itemsPerPage));
+    }
+
+    // Table rows for records of the current page
+    toRows(entries) {
+        const firstOrder = (this.currentPage - 1) * this.itemsPerPage + 1;
+        return entries.map((entry, index) => ({
+            order: firstOrder + index,
+            id: entry.id,
+            message: entry.title,
+            contractType: entry.contractType,
+            provider: entry.provider,
+            model: entry.model,
+            tags: entry.tags || [],
+            versionCount: entry.versionCount || entry.versions?.length || 1,
+            createdAt: entry.createdAt
+        }));
+    }
+
+    // Rows of the current page (loaded by loadData)
+    getPaginatedData() {
+        return this.data;
     }
 
     // Set page
     setPage(page) {
-        const maxPage = Math.ceil(this.totalItems / this.itemsPerPage);
+        const maxPage = Math.max(1, this.getTotalPages());
         if (page > maxPage) {
             this.currentPage = maxPage;
         } else if (page < 1) {
@@ -173,15 +326,362 @@ export class HistoryManager {
         return Math.ceil(this.totalItems / this.itemsPerPage);
     }
 
-    // Add new item
-    addItem(query, code) {
-        localStorage.setItem(query, code);
-        this.loadData(); // Reload data
+    // A new local record; fields override the defaults. Without versions, its contract
+    // becomes version 1.
+    newRecord(fields) {
+        const now = new Date().toISOString();
+        const record = {
+            id: `local-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+            createdAt: now,
+            updatedAt: now,
+            title: defaultTitle(fields.requirements),
+            files: null,
+            contractType: null,
+            provider: null,
+            model: null,
+            tags: [],
+            versions: [],
+            deployments: [],
+            ...fields
+        };
+        record.title = record.title.slice(0, MAX_TITLE_LENGTH);
+
+        if (record.versions.length === 0) {
+            appendVersion(record, {
+                contract: record.contract,
+                files: record.files,
+                instruction: record.requirements,
+                mode: 'generate',
+                provider: record.provider,
+                model: record.model,
+                createdAt: record.createdAt
+            });
+            record.updatedAt = now;
+        }
+        return record;
+    }
+
+    // Versions of a record, oldest first; records from before threads count as one version
+    getVersions(entry) {
+        if (entry.versions && entry.versions.length > 0) {
+            return entry.versions;
+        }
+        return [{
+            version: 1,
+            contract: entry.contract,
+            files: entry.files || null,
+            instruction: entry.requirements,
+            mode: 'generate',
+            provider: entry.provider,
+            model: entry.model,
+            createdAt: entry.createdAt
+        }];
+    }
+
+    // Record a generation and return the id of its thread. Signed-in generations are saved by
+    // the API itself (historyId); anything else is kept locally until it can be uploaded, as a
+    // new version of the local thread threadId when there is one. details holds mode
+    // ('generate', 'refine' or 'template'), files, contractType, provider and model.
+    async addItem(query, code, { historyId = null, threadId = null, ...details } = {}) {
+        await this.ready;
+        let id = historyId;
+
+        if (!historyId) {
+            const thread = threadId ? await this.store.get(threadId) : null;
+
+            if (thread) {
+                thread.versions = this.getVersions(thread);
+                appendVersion(thread, {
+                    contract: code,
+                    files: details.files,
+                    instruction: query,
+                    mode: details.mode || 'generate',
+                    provider: details.provider,
+                    model: details.model
+                });
+                await this.store.put(thread);
+                id = thread.id;
+            } else {
+                const { mode, ...fields } = details;
+                const record = this.newRecord({ requirements: query, contract: code, ...fields });
+                await this.store.put(record);
+                id = record.id;
+            }
+        }
+
+        this.currentPage = 1;
+        await this.loadData();
+        return id;
+    }
+
+    // Make an earlier version current again by appending a copy of it; returns the record
+    async restoreVersion(id, versionNumber) {
+        const localEntry = await this.store.get(id);
+        let entry;
+
+        if (localEntry) {
+            localEntry.versions = this.getVersions(localEntry);
+            const source = localEntry.versions.find(version => version.version === versionNumber);
+            if (!source) {
+                throw new Error(`Version ${versionNumber} not found`);
+            }
+
+            entry = appendVersion(localEntry, {
+                contract: source.contract,
+                files: source.files,
+                instruction: `Restored version ${versionNumber}`,
+                mode: 'restore'
+            });
+            await this.store.put(entry);
+        } else {
+            entry = await this.request(`/${encodeURIComponent(id)}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ restoreVersion: versionNumber })
+            });
+        }
+
+        await this.loadData();
+        return entry;
     }
 
-    // Get item by query
-    getItem(query) {
-        return localStorage.getItem(query);
+    // Full record by id, or null
+    async getItem(id) {
+        await this.ready;
+
+        const localEntry = await this.store.get(id);
+        if (localEntry || !this.isRemote()) {
+            return localEntry || null;
+        }
+
+        try {
+            return await this.request(`/${encodeURIComponent(id)}`);
+        } catch (error) {
+            console.error('Error loading history entry:', error);
+            return null;
+        }
+    }
+
+    // Change the title and/or tags of a record
+    async updateItem(id, { title, tags }) {
+        const changes = {};
+        if (title !== undefined) changes.title = title;
+        if (tags !== undefined) changes.tags = normalizeTags(tags);
+
+        const localEntry = await this.store.get(id);
+        if (localEntry) {
+            await this.store.put({ ...localEntry, ...changes, updatedAt: new Date().toISOString() });
+        } else {
+            await this.request(`/${encodeURIComponent(id)}`, {
+                method: 'PATCH',
+                body: JSON.stringify(changes)
+            });
+        }
+
+        await this.loadData();
+    }
+
+    async deleteItem(id) {
+        if (await this.store.get(id)) {
+            await this.store.delete(id);
+        } else {
+            await this.request(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        }
+
+        await this.loadData();
+        this.setPage(this.currentPage);
+    }
+
+    // Move records kept in this browser to the wallet's server history. A record the server
+    // rejects stays in this browser and does not hold up the others
+    async uploadLocalEntries() {
+        const entries = filterEntries(await this.store.getAll(), { sort: 'oldest' });
+
+        for (const entry of entries) {
+            const { id, updatedAt, ...fields } = entry;
+            try {
+                await this.request('', { method: 'POST', body: JSON.stringify({ ...fields, title: fields.title?.slice(0, MAX_TITLE_LENGTH) }) });
+            } catch (error) {
+                console.error(`Error uploading history entry ${id}:`, error);
+                continue;
+            }
+            await this.store.delete(id);
+        }
+    }
+
+    // The whole history (server and local records) as a JSON-serializable document
+    async exportHistory() {
+        await this.ready;
+
+        const remoteEntries = this.isRemote() ? (await this.request('?all=true')).entries : [];
+        const localEntries = await this.store.getAll();
+
+        return {
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            entries: filterEntries([...remoteEntries, ...localEntries])
+        };
+    }
+
+    // Add the records of an exported document, skipping ones already in the history
+    // (same creation time and requirements); returns how many were added
+    async importHistory(document) {
+        const entries = Array.isArray(document) ? document : document?.entries;
+        if (!Array.isArray(entries)) {
+            throw new Error('Expected an exported history file with an "entries" list');
+        }
+
+        const identity = entry => `${new Date(entry.createdAt).getTime()}|${entry.requirements}`;
+        const existing = new Set((await this.exportHistory()).entries.map(identity));
+        let imported = 0;
+
+        for (const entry of entries) {
+            if (!entry || typeof entry.requirements !== 'string' || typeof entry.contract !== 'string') continue;
+
+            const record = this.newRecord({
+                title: typeof entry.title === 'string' && entry.title.trim() ? entry.title : defaultTitle(entry.requirements),
+                requirements: entry.requirements,
+                contract: entry.contract,
+                files: isSourceFileList(entry.files) ? entry.files : null,
+                contractType: typeof entry.contractType === 'string' ? entry.contractType : null,
+                provider: typeof entry.provider === 'string' ? entry.provider : null,
+                model: typeof entry.model === 'string' ? entry.model : null,
+                tags: Array.isArray(entry.tags) ? normalizeTags(entry.tags) : [],
+                versions: Array.isArray(entry.versions)
+                    ? entry.versions
+                        .filter(version => version && typeof version.contract === 'string')
+                        .map(version => ({ ...version, files: isSourceFileList(version.files) ? version.files : null }))
+                    : [],
+                deployments: Array.isArray(entry.deployments) ? entry.deployments.filter(isDeployment) : [],
+                ...(Number.isNaN(Date.parse(entry.createdAt)) ? {} : { createdAt: new Date(entry.createdAt).toISOString() })
+            });
+
+            const key = identity(record);
+            if (existing.has(key)) continue;
+            existing.add(key);
+
+            if (this.isRemote()) {
+                const { id, updatedAt, ...fields } = record;
+                await this.request('', { method: 'POST', body: JSON.stringify(fields) });
+            } else {
+                await this.store.put(record);
+            }
+            imported++;
+        }
+
+        this.currentPage = 1;
+        await this.loadData();
+        return imported;
+    }
+
+    // Earlier versions kept signed-out history in localStorage: first one key per prompt with
+    // the contract as value, then a JSON list under LEGACY_HISTORY_KEY. Move both into
+    // IndexedDB and leave unrelated keys alone.
+    async migrateLegacyEntries() {
+        const reserved = ['web3AuthData', LEGACY_DEPLOYMENTS_KEY, LEGACY_HISTORY_KEY];
+        const promptKeys = Object.keys(localStorage).filter(key =>
+            !reserved.includes(key) && /pragma solidity|\bcontract\s+\w+/.test(localStorage.getItem(key) || '')
+        );
+
+        let listed = [];
+        try {
+            listed = JSON.parse(localStorage.getItem(LEGACY_HISTORY_KEY)) || [];
+        } catch (error) {
+            console.error('Error parsing history:', error);
+        }
+
+        if (promptKeys.length === 0 && listed.length === 0) return;
+
+        const records = [
+            ...listed.map(entry => this.newRecord({
+                title: entry.title || defaultTitle(entry.requirements),
+                requirements: entry.requirements,
+                contract: entry.contract,
+                ...(entry.createdAt ? { createdAt: entry.createdAt } : {})
+            })),
+            ...promptKeys.map(key => this.newRecord({
+                requirements: key,
+                contract: localStorage.getItem(key)
+            }))
+        ];
+
+        await this.store.putAll(records);
+        promptKeys.forEach(key => localStorage.removeItem(key));
+        localStorage.removeItem(LEGACY_HISTORY_KEY);
+    }
+
+    // Record an on-chain deployment of a record; it belongs to the record's latest version
+    // unless deployment.version says otherwise. Returns the updated record
+    async addDeployment(id, deployment) {
+        await this.ready;
+        const localEntry = await this.store.get(id);
+
+        if (!localEntry) {
+            return this.request(`/${encodeURIComponent(id)}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ deployment })
+            });
+        }
+
+        const versions = this.getVersions(localEntry);
+        const entry = {
+            ...localEntry,
+            deployments: [...(localEntry.deployments || []), { ...deployment, version: deployment.version || versions[versions.length - 1].version }],
+            updatedAt: new Date().toISOString()
+        };
+        await this.store.put(entry);
+        return entry;
+    }
+
+    // Deployments of a record, oldest first
+    getDeployments(entry) {
+        return entry?.deployments || [];
+    }
+
+    // Earlier versions kept deployments in localStorage under the prompt text that was on
+    // screen: the requirements, or the change instruction after a refine. Attach each one to
+    // the version with that instruction made last before it, among local records and, signed
+    // in, the server history. Deployments without a match stay until a later load finds one.
+    async migrateLegacyDeployments() {
+        let legacy;
+        try {
+            legacy = JSON.parse(localStorage.getItem(LEGACY_DEPLOYMENTS_KEY));
+        } catch (error) {
+            console.error('Error parsing deployments:', error);
+        }
+        if (!legacy || typeof legacy !== 'object') {
+            localStorage.removeItem(LEGACY_DEPLOYMENTS_KEY);
+            return;
+        }
+
+        const entries = [
+            ...(await this.store.getAll()),
+            ...(this.isRemote() ? (await this.request('?all=true')).entries : [])
+        ];
+        const candidates = entries.flatMap(entry => this.getVersions(entry).map(version => ({ entry, version })));
+        const remaining = {};
+
+        for (const [query, deployments] of Object.entries(legacy)) {
+            const matching = candidates
+                .filter(candidate => candidate.version.instruction === query)
+                .sort((a, b) => Date.parse(a.version.createdAt) - Date.parse(b.version.createdAt));
+
+            for (const deployment of Array.isArray(deployments) ? deployments.filter(isDeployment) : []) {
+                const earlier = matching.filter(candidate => Date.parse(candidate.version.createdAt) <= Date.parse(deployment.deployedAt));
+                const match = earlier[earlier.length - 1] || matching[matching.length - 1];
+
+                if (match) {
+                    await this.addDeployment(match.entry.id, { ...deployment, version: match.version.version });
+                } else {
+                    remaining[query] = [...(remaining[query] || []), deployment];
+                }
+            }
+        }
+
+        if (Object.keys(remaining).length > 0) {
+            localStorage.setItem(LEGACY_DEPLOYMENTS_KEY, JSON.stringify(remaining));
+        } else {
+            localStorage.removeItem(LEGACY_DEPLOYMENTS_KEY);
+        }
     }
 }
 
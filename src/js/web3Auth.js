@@ -11,20 +11,9 @@ class Web3Auth {
         
         // Configuration
         this.config = {
-            moralisApiKey: import.meta.env.VITE_MORALIS_API_KEY || 'TCU2F2MYHpQxMNrRlCQkfnE6sYOky1KPn27cbp49dzA2T0UqrLtQpuDcEl8mAiSz',
-            domain: import.meta.env.VITE_WEB3_DOMAIN || window.location.hostname,
-            uri: import.meta.env.VITE_WEB3_URI || window.location.origin,
-            chainId: parseInt(import.meta.env.VITE_WEB3_CHAIN_ID || '1'),
-            moralisEndpoint: 'https://authapi.moralis.io/challenge'
+            apiUrl: import.meta.env.VITE_BACKEND_API_URL || '/api',
+            chainId: parseInt(import.meta.env.VITE_WEB3_CHAIN_ID || '1')
         };
-        
-        // Log configuration for debugging
-        console.log('Web3Auth Config:', {
-            domain: this.config.domain,
-            uri: this.config.uri,
-            chainId: this.config.chainId,
-            hasApiKey: !!this.config.moralisApiKey && this.config.moralisApiKey !== 'your-moralis-api-key-here'
-        });
     }
 
     // Check if MetaMask is installed
@@ -59,94 +48,58 @@ class Web3Auth {
         }
     }
 
-    // Request authentication message from Moralis
-    async requestMessage(address, chainId) {
-        // Check if API key is configured
-        if (!this.config.moralisApiKey || this.config.moralisApiKey === 'your-moralis-api-key-here') {
-            throw new Error('Moralis API key is not configured. Please set VITE_MORALIS_API_KEY in your .env file.');
+    // Signer for sending transactions on whatever network the wallet is on right now.
+    // A fresh provider is created every time so that a chain switch (e.g. to a local
+    // Hardhat/Anvil node) since sign-in is picked up.
+    async getSigner() {
+        if (!this.isMetaMaskInstalled()) {
+            throw new Error('MetaMask is not installed');
         }
 
+        this.provider = new ethers.BrowserProvider(window.ethereum);
+        await this.provider.send('eth_requestAccounts', []);
+        this.signer = await this.provider.getSigner();
+        this.account = await this.signer.getAddress();
+        this.chainId = await this.provider.send('eth_chainId', []);
+
+        return this.signer;
+    }
+
+    // Request a sign-in challenge from the API
+    async requestMessage(address, chainId) {
         const requestObject = {
-            domain: this.config.domain,
-            chainId: parseInt(chainId, 16), // Convert hex to decimal
             address: address,
-            statement: "Please confirm authentication to Intelligent Contract Platform",
-            uri: this.config.uri,
-            expirationTime: new Date(Date.now() + 15 * 60 * 1000).toISOString(), // 15 minutes from now
-            notBefore: new Date(Date.now() - 60 * 1000).toISOString(), // 1 minute ago
-            timeout: 15
+            chainId: parseInt(chainId, 16) // Convert hex to decimal
         };
 
-        console.log('Requesting message with:', requestObject);
-
-        try {
-            const response = await fetch(`${this.config.moralisEndpoint}/request/evm`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-API-KEY': this.config.moralisApiKey
-                },
-                body: JSON.stringify(requestObject)
-            });
-
-            const responseText = await response.text();
-            console.log('Moralis response:', response.status, responseText);
-
-            if (!response.ok) {
-                let errorMessage = `HTTP error! status: ${response.status}`;
-                try {
-                    const errorData = JSON.parse(responseText);
-                    errorMessage += ` - ${errorData.message || errorData.error || responseText}`;
-                } catch (e) {
-                    errorMessage += ` - ${responseText}`;
-                }
-                throw new Error(errorMessage);
-            }
-
-            return JSON.parse(responseText);
-        } catch (error) {
-            console.error('Error requesting message:', error);
-            throw error;
-        }
+        return this.postAuthRequest('challenge', requestObject);
     }
 
-    // Verify signature with Moralis
+    // Verify the signed challenge with the API and receive a session token
     async verifyMessage(message, signature) {
-        const verifyObject = {
-            message,
-            signature,
-            network: 'evm'
-        };
-
-        console.log('Verifying message with:', verifyObject);
+        return this.postAuthRequest('verify', { message, signature });
+    }
 
+    // POST to one of the /api/auth functions and unwrap the response
+    async postAuthRequest(action, body) {
         try {
-            const response = await fetch(`${this.config.moralisEndpoint}/verify/evm`, {
+            const response = await fetch(`${this.config.apiUrl}/auth/${action}`, {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json',
-                    'X-API-KEY': this.config.moralisApiKey
+                    'Content-Type': 'application/json'
                 },
-                body: JSON.stringify(verifyObject)
+                body: JSON.stringify(body)
             });
 
-            const responseText = await response.text();
-            console.log('Verification response:', response.status, responseText);
+            const data = await response.json();
 
-            if (!response.ok) {
-                let errorMessage = `HTTP error! status: ${response.status}`;
-                try {
-                    const errorData = JSON.parse(responseText);
-                    errorMessage += ` - ${errorData.message || errorData.error || responseText}`;
-                } catch (e) {
-                    errorMessage += ` - ${responseText}`;
-                }
-                throw new Error(errorMessage);
+            if (!response.ok || !data.success) {
+                throw new Error(data.error?.message || `HTTP error! status: ${response.status}`);
             }
 
-            return JSON.parse(responseText);
+            return data.data;
         } catch (error) {
-            console.error('Error verifying message:', error);
+            console.error(`Error during auth ${action}:`, error);
             throw error;
         }
     }
@@ -164,7 +117,7 @@ class Web3Auth {
                 throw new Error('No chain found');
             }
 
-            // Step 2: Request message from Moralis
+            // Step 2: Request challenge from the API
             const { message } = await this.requestMessage(account, chain);
             
             // Step 3: Sign message
@@ -182,6 +135,8 @@ class Web3Auth {
                     chainId: chain,
                     message: message,
                     signature: signature,
+                    token: verificationResult.token,
+                    expiresAt: verificationResult.expiresAt,
                     timestamp: Date.now(),
                     verificationResult: verificationResult
                 };
@@ -211,8 +166,8 @@ class Web3Auth {
         if (authData) {
             try {
                 const parsed = JSON.parse(authData);
-                // Check if authentication is still valid (24 hours)
-                const isValid = Date.now() - parsed.timestamp < 24 * 60 * 60 * 1000;
+                // Check if the session token issued by the API is still valid
+                const isValid = !!parsed.token && Date.now() < Date.parse(parsed.expiresAt);
                 this.isAuthenticated = isValid;
                 if (isValid) {
                     this.account = parsed.address;
@@ -241,6 +196,16 @@ class Web3Auth {
         return null;
     }
 
+    // Build the Authorization header the API uses to verify the wallet session
+    getAuthHeaders() {
+        const authData = this.getAuthData();
+        if (!authData || !authData.token) {
+            return {};
+        }
+
+        return { 'Authorization': `Bearer ${authData.token}` };
+    }
+
     // Logout user
     logout() {
         localStorage.removeItem('web3AuthData');